@@ -1,8 +1,13 @@
 // src/background/background.js
 
-import { getAIService, optimizeMessageHistory } from './ai-service.js';
-import { isGuestMode, isGuestConfigured, makeGuestRequest, GUEST_DEFAULT_MODEL } from './guest-config.js';
-import { getChatWindowModels, checkGuestModeStatus } from './models-config.js';
+import { getAIService, optimizeMessageHistory, compactMessageHistory, getFailoverReason, getSafeLimit } from './ai-service.js';
+import { isGuestMode, isGuestConfigured, GUEST_DEFAULT_MODEL } from './guest-config.js';
+import { getChatWindowModels, checkGuestModeStatus, isVisionModel, getModelProvider } from './models-config.js';
+import { saveSession, getSession, listSessions, deleteSession, clearSessions, stripSessionImages } from './history-store.js';
+import { recordUsage, listUsage, clearUsage } from './usage-store.js';
+import { DEFAULT_OCR_LANGUAGE } from './ocr-languages.js';
+import { getTemplateFields, renderPromptTemplate, getLanguageName } from './prompt-template.js';
+import { getRedactionPolicy, applyRedaction } from './redaction.js';
 
 // --- UTILITIES ---
 
@@ -16,6 +21,128 @@ function getStorage(keys) {
     });
 }
 
+/**
+ * Resolve the key/host the model's provider needs from storage
+ * @param {string} modelName
+ * @param {Object} storage - Result of getStorage() including the provider keys
+ * @returns {string|Object|undefined} Key or host; { baseUrl, apiKey } for OpenAI-compatible servers
+ */
+function getProviderCredentials(modelName, storage) {
+    if (modelName.startsWith('ollama:')) return storage.ollamaHost || "http://localhost:11434";
+    if (modelName.startsWith('compatible:')) {
+        return storage.compatibleBaseUrl ? { baseUrl: storage.compatibleBaseUrl, apiKey: storage.compatibleKey || '' } : undefined;
+    }
+    if (modelName.startsWith('openrouter:')) return storage.openrouterKey;
+    if (modelName.includes('gemini') || modelName.includes('gemma')) return storage.geminiKey;
+    return storage.groqKey;
+}
+
+/**
+ * OpenAI-compatible servers live on user-chosen origins, so host access is an optional
+ * permission granted from the popup. Fail early with a clear message if it's missing.
+ * @param {Object} credentials - { baseUrl, apiKey }
+ */
+async function ensureCompatibleHostPermission(credentials) {
+    let origin;
+    try {
+        origin = new URL(credentials.baseUrl).origin;
+    } catch (e) {
+        return; // OpenAICompatibleService reports the invalid URL
+    }
+    const granted = await chrome.permissions.contains({ origins: [`${origin}/*`] });
+    if (!granted) {
+        throw new Error(`Access to ${origin} has not been granted. Open the extension popup and click "Allow access" next to the OpenAI-Compatible Base URL.`);
+    }
+}
+
+/**
+ * Whether OCR for a mode keeps line breaks, indentation and tables.
+ * The built-in code mode always does; other modes opt in via `preserveLayout`.
+ * @param {string} mode - Mode id
+ * @param {Array|undefined} customModes - Modes from storage
+ * @returns {boolean}
+ */
+function shouldPreserveOCRLayout(mode, customModes) {
+    if (mode === 'code') return true;
+    return !!customModes?.find(m => m.id === mode)?.preserveLayout;
+}
+
+/**
+ * Values for prompt template variables. Page details come from the sender tab;
+ * the selection and fill-in fields are collected by the content script.
+ * @param {Object|undefined} requestContext - { selection, fields } from the request
+ * @param {chrome.tabs.Tab|undefined} tab - Tab the request came from
+ * @returns {Object}
+ */
+function buildPromptContext(requestContext, tab) {
+    return {
+        page: { title: tab?.title || '', url: tab?.url || '' },
+        selection: requestContext?.selection || '',
+        fields: requestContext?.fields || {},
+        date: new Date().toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+        language: getLanguageName(chrome.i18n.getUILanguage())
+    };
+}
+
+/**
+ * Render template variables in the stored mode prompts (in place) before a request
+ * @param {Object} storage - getStorage() result with customModes/customPrompt
+ * @param {Object|null} promptContext - From buildPromptContext()
+ */
+function applyPromptTemplates(storage, promptContext) {
+    if (!promptContext) return;
+    storage.customPrompt = renderPromptTemplate(storage.customPrompt, promptContext);
+    if (storage.customModes) {
+        storage.customModes = storage.customModes.map(m => ({ ...m, prompt: renderPromptTemplate(m.prompt, promptContext) }));
+    }
+}
+
+// Content scripts in load order (classic scripts sharing globals)
+const CONTENT_SCRIPT_FILES = [
+    'lib/katex.min.js',
+    'lib/purify.min.js',
+    'src/content/utils.js',
+    'src/content/ui-helpers.js',
+    'src/content/window-manager.js',
+    'src/content/element-snip.js',
+    'src/content/snip-selection.js',
+    'src/content/snip-annotator.js',
+    'src/content/floating-chat-ui.js',
+    'src/content/compare-view.js',
+    'src/content/conversation-export.js',
+    'src/content/file-drop.js',
+    'src/content/content.js'
+];
+
+/**
+ * Pages where content scripts can't run (Chrome store, Settings, etc.)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isRestrictedUrl(url) {
+    return !url || url.startsWith("chrome://") || url.startsWith("chrome-extension://") ||
+        url.startsWith("https://chrome.google.com/webstore") || url.startsWith("edge://") ||
+        url.startsWith("about:");
+}
+
+/**
+ * Send a message to the tab's content script, injecting the scripts first if needed
+ * @param {number} tabId
+ * @param {Object} message
+ */
+async function sendToContentScript(tabId, message) {
+    try {
+        return await chrome.tabs.sendMessage(tabId, message);
+    } catch (e) {
+        // Content script not loaded, inject it first
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            files: CONTENT_SCRIPT_FILES
+        });
+        return await chrome.tabs.sendMessage(tabId, message);
+    }
+}
+
 // --- CONTEXT MENU & KEYBOARD SHORTCUTS ---
 
 // Create context menu on install
@@ -40,77 +167,44 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     // Prevent errors on restricted pages (Chrome store, Settings, etc.)
-    if (!tab?.url || tab.url.startsWith("chrome://") || tab.url.startsWith("chrome-extension://") ||
-        tab.url.startsWith("https://chrome.google.com/webstore") || tab.url.startsWith("edge://") ||
-        tab.url.startsWith("about:")) {
+    if (isRestrictedUrl(tab?.url)) {
         console.warn("Snip & Ask: Cannot run on this restricted page");
         return;
     }
 
     if (info.menuItemId === "askAI" && info.selectionText) {
         // Send selected text to content script for display
-        try {
-            await chrome.tabs.sendMessage(tab.id, {
-                action: "SHOW_AI_RESPONSE_FOR_TEXT",
-                text: info.selectionText
-            });
-        } catch (e) {
-            // Content script not loaded, inject it first
-            await chrome.scripting.executeScript({
-                target: { tabId: tab.id },
-                files: [
-                    'lib/katex.min.js',
-                    'lib/purify.min.js',
-                    'src/content/utils.js',
-                    'src/content/ui-helpers.js',
-                    'src/content/window-manager.js',
-                    'src/content/snip-selection.js',
-                    'src/content/floating-chat-ui.js',
-                    'src/content/content.js'
-                ]
-            });
-            await chrome.tabs.sendMessage(tab.id, {
-                action: "SHOW_AI_RESPONSE_FOR_TEXT",
-                text: info.selectionText
-            });
-        }
+        await sendToContentScript(tab.id, {
+            action: "SHOW_AI_RESPONSE_FOR_TEXT",
+            text: info.selectionText
+        });
     }
 });
 
 // Handle keyboard shortcuts
 chrome.commands.onCommand.addListener(async (command) => {
-    if (command === "start-snip") {
+    if (command === "start-snip" || command === "repeat-last-snip") {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         if (tab) {
             // Prevent errors on restricted pages
-            if (!tab.url || tab.url.startsWith("chrome://") || tab.url.startsWith("chrome-extension://") ||
-                tab.url.startsWith("https://chrome.google.com/webstore") || tab.url.startsWith("edge://") ||
-                tab.url.startsWith("about:")) {
+            if (isRestrictedUrl(tab.url)) {
                 console.warn("Snip & Ask: Cannot run on this restricted page");
                 return;
             }
 
-            try {
-                await chrome.tabs.sendMessage(tab.id, { action: "START_SNIP" });
-            } catch (e) {
-                // Content script not loaded, inject it first
-                await chrome.scripting.executeScript({
-                    target: { tabId: tab.id },
-                    files: [
-                        'lib/katex.min.js',
-                        'lib/purify.min.js',
-                        'src/content/utils.js',
-                        'src/content/ui-helpers.js',
-                        'src/content/window-manager.js',
-                        'src/content/snip-selection.js',
-                        'src/content/floating-chat-ui.js',
-                        'src/content/content.js'
-                    ]
-                });
-                await chrome.tabs.sendMessage(tab.id, { action: "START_SNIP" });
-            }
+            await sendToContentScript(tab.id, { action: command === "start-snip" ? "START_SNIP" : "REPEAT_LAST_SNIP" });
         }
     }
+
+    if (command === "ask-clipboard-image") {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        // Restricted pages can't host the chat window - use the chat page instead
+        if (!tab || isRestrictedUrl(tab.url)) {
+            await openClipboardChat();
+            return;
+        }
+        await sendToContentScript(tab.id, { action: "ASK_CLIPBOARD_IMAGE" });
+    }
 });
 
 // --- OFFSCREEN DOCUMENT MANAGER ---
@@ -137,35 +231,65 @@ async function setupOffscreenDocument(path) {
     }
 }
 
+// Log OCR timings and preprocessing attempts to the service worker console (development only)
+const DEBUG_OCR_TIMINGS = false;
+
+/**
+ * Run OCR in the offscreen document with the user's language and the mode's layout setting
+ * @param {string} base64Image
+ * @param {string} [requestMode] - Mode the text is for (defaults to the selected mode)
+ * @returns {Promise<Object>} OCR response ({ success, text, confidence, error })
+ */
+async function performOCR(base64Image, requestMode) {
+    await setupOffscreenDocument('src/offscreen/offscreen.html');
+    const storage = await getStorage(['ocrLanguage', 'selectedMode', 'interactionMode', 'customModes']);
+    const mode = requestMode || storage.selectedMode || storage.interactionMode || 'short';
+    const response = await chrome.runtime.sendMessage({
+        action: 'OCR_Request',
+        base64Image,
+        language: storage.ocrLanguage || DEFAULT_OCR_LANGUAGE,
+        preserveLayout: shouldPreserveOCRLayout(mode, storage.customModes)
+    });
+    if (DEBUG_OCR_TIMINGS && response?.timings) {
+        const t = response.timings;
+        console.debug(`[OCR] ${t.warmWorker ? 'warm' : 'cold'} worker, '${response.variant}' preprocessing won: total ${t.totalMs}ms (queue ${t.queueMs}ms, init ${t.initMs}ms, preprocess ${t.preprocessMs}ms, recognize ${t.recognizeMs}ms)`, response.attempts);
+    }
+    return response;
+}
+
+// --- SCREENSHOT RATE LIMIT ---
+
+// Chrome rejects more than MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND (2) captures per second,
+// which scrolling capture would hit while grabbing successive frames
+const CAPTURE_MIN_INTERVAL_MS = 550;
+let nextCaptureTime = 0;
+
 // --- MESSAGE LISTENER ---
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     // --- A. SCREENSHOT HANDLER ---
     if (request.action === "CAPTURE_VISIBLE_TAB") {
-        chrome.tabs.captureVisibleTab(null, {
-            format: "jpeg",
-            quality: 80
-        }, (dataUrl) => {
-            sendResponse({ dataUrl: dataUrl });
-        });
+        // Queue captures so back-to-back requests stay under Chrome's rate limit
+        const delay = Math.max(0, nextCaptureTime - Date.now());
+        nextCaptureTime = Date.now() + delay + CAPTURE_MIN_INTERVAL_MS;
+
+        setTimeout(() => {
+            chrome.tabs.captureVisibleTab(null, {
+                format: "jpeg",
+                quality: 80
+            }, (dataUrl) => {
+                sendResponse({ dataUrl: dataUrl, error: chrome.runtime.lastError?.message });
+            });
+        }, delay);
         return true;
     }
 
     // --- B. OCR HANDLER ---
     if (request.action === "PERFORM_OCR") {
-        (async () => {
-            try {
-                await setupOffscreenDocument('src/offscreen/offscreen.html');
-                const response = await chrome.runtime.sendMessage({
-                    action: 'OCR_Request',
-                    base64Image: request.base64Image
-                });
-                sendResponse(response);
-            } catch (err) {
-                sendResponse({ success: false, error: err.message });
-            }
-        })();
+        performOCR(request.base64Image, request.mode)
+            .then(sendResponse)
+            .catch(err => sendResponse({ success: false, error: err.message }));
         return true;
     }
 
@@ -175,112 +299,19 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         const content = type === 'text' ? request.text : request.base64Image;
         const ocrConfidence = request.ocrConfidence || null;
 
-        handleAIRequest(content, type, request.model, sendResponse, ocrConfidence);
+        handleAIRequest(content, type, request.model, sendResponse, ocrConfidence, null, buildPromptContext(request.promptContext, sender.tab));
         return true;
     }
 
     // --- C2. MULTI-IMAGE AI REQUEST (for compare window) ---
     if (request.action === "ASK_AI_MULTI_IMAGE") {
-        handleMultiImageRequest(request.images, request.model, request.textContext, sendResponse);
+        handleMultiImageRequest(request.images, request.model, request.textContext, sendResponse, null, buildPromptContext(request.promptContext, sender.tab), request.imageLabels);
         return true;
     }
 
     // --- D. CHAT CONTINUATION (REPLY) ---
     if (request.action === "CONTINUE_CHAT") {
-        (async () => {
-            try {
-                const storage = await getStorage(['interactionMode', 'customPrompt', 'selectedModel', 'selectedMode', 'customModes', 'groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost']);
-
-                let modelName = request.model || storage.selectedModel;
-
-                // Check if this is a Groq model and if we need demo mode
-                const isOllama = modelName && modelName.startsWith('ollama:');
-                const isOpenRouter = modelName && modelName.startsWith('openrouter:');
-                const isGoogle = modelName && (modelName.includes('gemini') || modelName.includes('gemma'));
-                const isGroq = !isOllama && !isOpenRouter && !isGoogle;
-
-                // Check if we should use demo mode for this request
-                if (isGroq && !storage.groqKey && isGuestConfigured()) {
-                    // Demo mode: use Cloudflare Worker for follow-up chat
-                    // parallelCount: how many requests to count (for comparison mode)
-                    // 0 means don't count this request (companion in parallel batch)
-                    const parallelCount = request.parallelCount ?? 1;
-
-                    // Use mode from request (mode selector), fallback to storage
-                    const mode = request.mode || storage.selectedMode || storage.interactionMode || 'short';
-                    const customModes = storage.customModes || null;
-
-                    // Build system prompt based on mode (guest mode doesn't use aiService, so we add manually)
-                    let systemPrompt = 'This is a POPUP WINDOW. Analyze the input and provide a helpful, concise response (under 200 words). Be direct and focused.';
-                    if (mode === 'short') systemPrompt = "POPUP WINDOW: Concise answer engine. Keep under 100 words. For MCQs: 'Answer: <option>. <one-sentence explanation>'. For other questions: direct answer only. No preamble, no elaboration.";
-                    else if (mode === 'detailed') systemPrompt = "POPUP TUTOR: Provide a focused, step-by-step answer. Use concise bullet points. Limit to 3-5 key steps max. Use Markdown sparingly (bold for emphasis only).";
-                    else if (mode === 'code') systemPrompt = "POPUP CODE ASSISTANT: Provide ESSENTIAL CODE ONLY - no exhaustive examples. Output ONE clean code block + 1-2 sentences explaining the key fix/concept. Be concise.";
-                    else if (mode === 'custom' && storage.customPrompt) {
-                        // Use user's custom prompt
-                        systemPrompt = storage.customPrompt;
-                    } else if (customModes) {
-                        // Check for user-created custom mode
-                        const customMode = customModes.find(m => m.id === mode);
-                        if (customMode) systemPrompt = customMode.prompt;
-                    }
-
-                    // Prepend system message to history
-                    const messagesWithSystem = [
-                        { role: 'system', content: systemPrompt },
-                        ...request.history
-                    ];
-
-                    // Optimize history to stay within model token limits
-                    const optimizedMessages = optimizeMessageHistory(messagesWithSystem, modelName || GUEST_DEFAULT_MODEL);
-
-                    const guestResponse = await makeGuestRequest({
-                        model: modelName || GUEST_DEFAULT_MODEL,
-                        messages: optimizedMessages,
-                        temperature: 0.3,
-                        max_tokens: mode === 'short' ? 512 : (mode === 'code' ? 2048 : 1536),
-                        _meta: { parallelCount } // Pass to worker for proper counting
-                    });
-
-                    let answer = guestResponse.choices?.[0]?.message?.content || 'No answer returned.';
-
-                    // Strip thinking tags from Qwen models
-                    answer = answer.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
-
-                    // Extract token usage from Groq response
-                    const tokenUsage = guestResponse.usage ? {
-                        promptTokens: guestResponse.usage.prompt_tokens || 0,
-                        completionTokens: guestResponse.usage.completion_tokens || 0,
-                        totalTokens: guestResponse.usage.total_tokens || 0
-                    } : null;
-
-                    sendResponse({ success: true, answer: answer, guestInfo: guestResponse._demo, tokenUsage: tokenUsage });
-                    return;
-                }
-
-                // Regular mode with user API keys
-                let activeKeyOrHost;
-                if (isOllama) activeKeyOrHost = storage.ollamaHost || "http://localhost:11434";
-                else if (isOpenRouter) activeKeyOrHost = storage.openrouterKey;
-                else if (isGoogle) activeKeyOrHost = storage.geminiKey;
-                else activeKeyOrHost = storage.groqKey;
-
-                if (!activeKeyOrHost) {
-                    throw new Error('Missing API key. Please configure your API keys in the extension popup.');
-                }
-
-                // Use mode from request (set by mode selector), fallback to storage
-                const mode = request.mode || storage.selectedMode || storage.interactionMode || 'short';
-                const aiService = getAIService(activeKeyOrHost, modelName, mode, storage.customPrompt, storage.customModes);
-
-                // Optimize history to stay within model token limits
-                const optimizedHistory = optimizeMessageHistory(request.history, modelName);
-                const result = await aiService.chat(optimizedHistory);
-                sendResponse({ success: true, answer: result.text, tokenUsage: result.tokenUsage });
-
-            } catch (err) {
-                sendResponse({ success: false, error: err.message });
-            }
-        })();
+        handleContinueChat(request, sendResponse, null, buildPromptContext(request.promptContext, sender.tab));
         return true;
     }
 
@@ -318,14 +349,15 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "CHECK_PROVIDER_CONFIG") {
         (async () => {
             try {
-                const storage = await getStorage(['groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost', 'selectedModel']);
+                const storage = await getStorage(['groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost', 'compatibleBaseUrl', 'selectedModel', 'consensusMode']);
                 let modelName = request.model || storage.selectedModel || 'meta-llama/llama-4-scout-17b-16e-instruct';
 
                 // Determine which provider this model needs
                 const isOllama = modelName.startsWith('ollama:');
+                const isCompatible = modelName.startsWith('compatible:');
                 const isOpenRouter = modelName.startsWith('openrouter:');
-                const isGoogle = modelName.includes('gemini') || modelName.includes('gemma');
-                const isGroq = !isOllama && !isOpenRouter && !isGoogle;
+                const isGoogle = !isCompatible && (modelName.includes('gemini') || modelName.includes('gemma'));
+                const isGroq = !isOllama && !isCompatible && !isOpenRouter && !isGoogle;
 
                 let isConfigured = false;
                 let providerName = 'Groq';
@@ -333,6 +365,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 if (isOllama) {
                     isConfigured = !!storage.ollamaHost;
                     providerName = 'Ollama Host';
+                } else if (isCompatible) {
+                    isConfigured = !!storage.compatibleBaseUrl;
+                    providerName = 'OpenAI-Compatible Base URL';
                 } else if (isOpenRouter) {
                     isConfigured = !!storage.openrouterKey;
                     providerName = 'OpenRouter Key';
@@ -356,7 +391,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     success: true,
                     isConfigured,
                     providerName,
-                    model: modelName
+                    model: modelName,
+                    isVision: isVisionModel(modelName),
+                    consensus: storage.consensusMode === true
                 });
             } catch (err) {
                 sendResponse({ success: false, error: err.message });
@@ -398,9 +435,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 // Get filtered models using centralized logic
                 const models = await getChatWindowModels(enabledProviders, enabledModels, inGuestMode);
 
+                // Vision support is decided here so content scripts don't keep their own keyword list
                 sendResponse({
                     success: true,
-                    models,
+                    models: models.map(m => ({ ...m, vision: isVisionModel(m.value) })),
                     isGuestMode: inGuestMode
                 });
             } catch (err) {
@@ -409,135 +447,600 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         })();
         return true;
     }
+
+    // --- J. SAVE CONVERSATION (from chat windows) ---
+    if (request.action === "SAVE_CONVERSATION") {
+        getStorage(['historyEnabled', 'historyImages'])
+            .then(({ historyEnabled, historyImages }) => {
+                // History can be turned off, or kept without the screenshots
+                if (historyEnabled === false) return;
+                const session = {
+                    ...request.session,
+                    pageUrl: sender.tab?.url || '',
+                    pageTitle: sender.tab?.title || ''
+                };
+                return saveSession(historyImages === false ? stripSessionImages(session) : session);
+            })
+            .then(() => sendResponse({ success: true }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    // --- K. HISTORY ARCHIVE QUERIES (history page) ---
+    if (request.action === "GET_HISTORY") {
+        listSessions(request.filters || {})
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(err => sendResponse({ success: false, error: err.message, sessions: [] }));
+        return true;
+    }
+
+    if (request.action === "GET_HISTORY_SESSION") {
+        getSession(request.id)
+            .then(session => sendResponse({ success: !!session, session, error: session ? undefined : 'Conversation not found' }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (request.action === "DELETE_HISTORY_SESSION") {
+        deleteSession(request.id)
+            .then(() => sendResponse({ success: true }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (request.action === "CLEAR_HISTORY") {
+        clearSessions()
+            .then(() => sendResponse({ success: true }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    // --- L. REOPEN A SAVED CONVERSATION IN A CHAT WINDOW ---
+    if (request.action === "REOPEN_HISTORY_SESSION") {
+        reopenSession(request.id)
+            .then(() => sendResponse({ success: true }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    // --- M. PROMPT TEMPLATE FIELDS (asked for before a snip is sent) ---
+    if (request.action === "GET_PROMPT_FIELDS") {
+        getStorage(['selectedMode', 'interactionMode', 'customModes', 'customPrompt']).then((storage) => {
+            const mode = storage.selectedMode || storage.interactionMode || 'short';
+            const prompt = mode === 'custom'
+                ? storage.customPrompt
+                : (storage.customModes || []).find(m => m.id === mode)?.prompt;
+            sendResponse({ success: true, fields: getTemplateFields(prompt) });
+        });
+        return true;
+    }
+
+    // --- N. USAGE LOG QUERIES (usage dashboard) ---
+    if (request.action === "GET_USAGE") {
+        listUsage(request.since || 0)
+            .then(records => {
+                // TPM limits only mean something for hosted free tiers
+                const limits = {};
+                records.forEach(r => {
+                    if (!r.guest && ['groq', 'google', 'openrouter'].includes(r.provider)) {
+                        limits[r.model] = getSafeLimit(r.model);
+                    }
+                });
+                sendResponse({ success: true, records, limits });
+            })
+            .catch(err => sendResponse({ success: false, error: err.message, records: [], limits: {} }));
+        return true;
+    }
+
+    if (request.action === "CLEAR_USAGE") {
+        clearUsage()
+            .then(() => sendResponse({ success: true }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    // --- O. COMPARE VIEW VOTES (local model leaderboard) ---
+    if (request.action === "RECORD_COMPARE_VOTE") {
+        recordCompareVote(request.vote)
+            .then(() => sendResponse({ success: true }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (request.action === "GET_COMPARE_LEADERBOARD") {
+        getCompareLeaderboard(request.mode || null)
+            .then(leaderboard => sendResponse({ success: true, leaderboard }))
+            .catch(err => sendResponse({ success: false, error: err.message, leaderboard: [] }));
+        return true;
+    }
+
+    // --- P. CONSENSUS ANSWER (same snip to several models) ---
+    if (request.action === "ASK_AI_CONSENSUS") {
+        handleConsensusRequest(request, sendResponse, buildPromptContext(request.promptContext, sender.tab));
+        return true;
+    }
+
+    // --- Q. PRINT / SAVE AS PDF (conversation export) ---
+    if (request.action === "PRINT_CONVERSATION") {
+        openPrintView(request.html, request.title)
+            .then(() => sendResponse({ success: true }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (request.action === "GET_PRINT_EXPORT") {
+        const printExport = pendingPrints.get(request.id);
+        pendingPrints.delete(request.id);
+        sendResponse(printExport ? { success: true, ...printExport } : { success: false, error: 'This export has expired. Export the conversation again.' });
+        return false;
+    }
+
+    // --- R. DROPPED / PASTED PDFs (rendered in the offscreen document) ---
+    if (request.action === "RENDER_PDF_PAGES") {
+        renderPdfPages(request.data, request.maxPages)
+            .then(sendResponse)
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    // --- S. FILES DROPPED ON THE POPUP (asked about in a chat tab) ---
+    if (request.action === "OPEN_FILE_CHAT") {
+        openFileChat(request.files, !!request.pasted)
+            .then(() => sendResponse({ success: true }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
+
+    if (request.action === "GET_PENDING_FILES") {
+        const pending = pendingFileChats.get(request.id);
+        pendingFileChats.delete(request.id);
+        sendResponse(pending ? { success: true, ...pending } : { success: false, error: 'These files have expired. Drop them again.' });
+        return false;
+    }
+
+    // --- T. START A SNIP FROM THE POPUP (injects the content scripts if the tab lacks them) ---
+    if (request.action === "START_SNIP_IN_TAB") {
+        sendToContentScript(request.tabId, { action: "START_SNIP" })
+            .then(() => sendResponse({ success: true }))
+            .catch(err => sendResponse({ success: false, error: err.message }));
+        return true;
+    }
 });
 
-// --- AI REQUEST HANDLER ---
+// --- PRINT VIEW ---
+// The exported HTML is handed to an extension page that opens the browser's print dialog.
+// Kept in memory only until the page picks it up (exports with images are too big for storage.session)
+const pendingPrints = new Map();
+
+/**
+ * Open the print page for an exported conversation
+ * @param {string} html - Self-contained HTML export
+ * @param {string} title - Suggested PDF file name
+ */
+async function openPrintView(html, title) {
+    if (typeof html !== 'string' || !html) throw new Error('Nothing to print');
+    const id = crypto.randomUUID();
+    pendingPrints.set(id, { html, title: title || 'Snip & Ask conversation' });
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`src/export/print.html?id=${id}`) });
+}
 
-async function handleAIRequest(inputContent, type, explicitModel, sendResponse, ocrConfidence) {
-    try {
-        const storage = await getStorage(['interactionMode', 'customPrompt', 'selectedModel', 'selectedMode', 'customModes', 'groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost']);
-        const mode = storage.selectedMode || storage.interactionMode || 'short';
+// --- FILE CHAT ---
+// Files dropped on the popup can't be asked about there (it closes on blur), so they are
+// handed to a chat page. In memory only, like pendingPrints.
+const pendingFileChats = new Map();
+
+/**
+ * Open the chat page for files dropped or pasted into the popup
+ * @param {Array<{name: string, type: string, data: string}>} files - data is base64
+ * @param {boolean} pasted - From the clipboard rather than a drop
+ */
+async function openFileChat(files, pasted) {
+    if (!Array.isArray(files) || files.length === 0) throw new Error('No files to open');
+    const id = crypto.randomUUID();
+    pendingFileChats.set(id, { files, pasted });
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`src/chat/chat.html?id=${id}`) });
+}
 
-        let modelName = explicitModel || storage.selectedModel || "meta-llama/llama-4-scout-17b-16e-instruct";
+/**
+ * Open the chat page and have it ask about the image on the clipboard
+ */
+async function openClipboardChat() {
+    await chrome.tabs.create({ url: chrome.runtime.getURL('src/chat/chat.html?clipboard=1') });
+}
 
-        // CHECK FOR FREE TRIAL MODE
-        const inGuestMode = await isGuestMode();
+/**
+ * Render PDF pages to JPEGs in the offscreen document
+ * @param {string} data - PDF as base64
+ * @param {number} maxPages
+ * @returns {Promise<{success: boolean, pages?: string[], pageCount?: number, error?: string}>}
+ */
+async function renderPdfPages(data, maxPages) {
+    await setupOffscreenDocument('src/offscreen/offscreen.html');
+    return chrome.runtime.sendMessage({ action: 'PDF_Rasterize', data, maxPages });
+}
 
-        if (inGuestMode) {
-            // Guest Mode: use Cloudflare Worker proxy
-            if (!isGuestConfigured()) {
-                throw new Error('Guest Mode is not available. Please add your own API key in the extension popup.');
-            }
+// --- COMPARE VOTES ---
 
-            // Force Groq model in demo mode
-            if (!modelName || modelName.startsWith('openrouter:') || modelName.includes('gemini') || modelName.includes('gemma') || modelName.startsWith('ollama:')) {
-                modelName = GUEST_DEFAULT_MODEL;
-            }
+// Oldest votes are dropped beyond this
+const MAX_COMPARE_VOTES = 1000;
 
-            // Build request body for Cloudflare Worker
-            const messages = [];
-
-            // Add system instruction
-            const customModes = storage.customModes || null;
-            let systemPrompt = 'This is a POPUP WINDOW. Analyze the input and provide a helpful, concise response (under 200 words).';
-            if (mode === 'short') systemPrompt = "POPUP WINDOW: Concise answer engine. Keep under 100 words. For MCQs: 'Answer: <option>. <one-sentence explanation>'. For other questions: direct answer only. No preamble, no elaboration.";
-            else if (mode === 'detailed') systemPrompt = "POPUP TUTOR: Provide a focused, step-by-step answer. Use concise bullet points. Limit to 3-5 key steps max. Use Markdown sparingly (bold for emphasis only).";
-            else if (mode === 'code') systemPrompt = "POPUP CODE ASSISTANT: Provide ESSENTIAL CODE ONLY - no exhaustive examples. Output ONE clean code block + 1-2 sentences explaining the key fix/concept. Be concise.";
-            else if (mode === 'custom' && storage.customPrompt) {
-                // Use user's custom prompt
-                systemPrompt = storage.customPrompt;
-            } else if (customModes) {
-                const customMode = customModes.find(m => m.id === mode);
-                if (customMode) systemPrompt = customMode.prompt;
-            }
+/**
+ * Store a compare view vote
+ * @param {Object} vote - { winner, models: [all compared models], mode }
+ */
+async function recordCompareVote(vote) {
+    if (!vote?.winner || !Array.isArray(vote.models) || !vote.models.includes(vote.winner)) {
+        throw new Error('Invalid vote');
+    }
+    const { compareVotes = [] } = await getStorage(['compareVotes']);
+    compareVotes.push({ winner: vote.winner, models: vote.models, mode: vote.mode || null, timestamp: Date.now() });
+    await chrome.storage.local.set({ compareVotes: compareVotes.slice(-MAX_COMPARE_VOTES) });
+}
 
-            messages.push({ role: 'system', content: systemPrompt });
+/**
+ * Wins per model over the comparisons it took part in, best win rate first
+ * @param {string|null} mode - Only count votes cast in this mode
+ * @returns {Promise<Array<{model: string, wins: number, comparisons: number}>>}
+ */
+async function getCompareLeaderboard(mode) {
+    const { compareVotes = [] } = await getStorage(['compareVotes']);
+    const stats = new Map();
+    compareVotes
+        .filter(v => !mode || v.mode === mode)
+        .forEach(v => v.models.forEach(model => {
+            const entry = stats.get(model) || { model, wins: 0, comparisons: 0 };
+            entry.comparisons++;
+            if (model === v.winner) entry.wins++;
+            stats.set(model, entry);
+        }));
+    return [...stats.values()].sort((a, b) => (b.wins / b.comparisons) - (a.wins / a.comparisons) || b.wins - a.wins);
+}
 
-            // Add user message
-            if (type === 'image') {
-                messages.push({
-                    role: 'user',
-                    content: [
-                        { type: 'text', text: 'Analyze this image and provide a helpful response.' },
-                        { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${inputContent}` } }
-                    ]
-                });
-            } else {
-                messages.push({ role: 'user', content: inputContent });
-            }
+// --- HISTORY: REOPEN ---
+
+// Give up on a page that hasn't loaded by then (the caller reports it instead of hanging)
+const TAB_LOAD_TIMEOUT_MS = 30000;
+
+/**
+ * Wait for a tab to finish loading
+ * @param {number} tabId
+ * @returns {Promise<void>} Rejects if the tab is closed or doesn't load within TAB_LOAD_TIMEOUT_MS
+ */
+function waitForTabComplete(tabId) {
+    return new Promise((resolve, reject) => {
+        const finish = (error) => {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(onUpdated);
+            chrome.tabs.onRemoved.removeListener(onRemoved);
+            error ? reject(error) : resolve();
+        };
+        const onUpdated = (id, info) => {
+            if (id === tabId && info.status === 'complete') finish();
+        };
+        const onRemoved = (id) => {
+            if (id === tabId) finish(new Error('The tab was closed before the page loaded'));
+        };
+        const timer = setTimeout(() => finish(new Error('The page took too long to load')), TAB_LOAD_TIMEOUT_MS);
+
+        chrome.tabs.onUpdated.addListener(onUpdated);
+        chrome.tabs.onRemoved.addListener(onRemoved);
+        chrome.tabs.get(tabId).then(tab => {
+            if (tab.status === 'complete') finish();
+        }).catch(() => finish(new Error('The tab was closed before the page loaded')));
+    });
+}
 
-            // Make demo request through Cloudflare Worker
-            const guestResponse = await makeGuestRequest({
-                model: modelName,
-                messages: messages,
-                temperature: 0.3,
-                max_tokens: mode === 'short' ? 512 : (mode === 'code' ? 2048 : 1536)
-            });
+/**
+ * Open (or focus) the page a conversation came from and rehydrate it in a chat window
+ * @param {string} id - Session id
+ */
+async function reopenSession(id) {
+    const session = await getSession(id);
+    if (!session) throw new Error('Conversation not found');
 
-            let answer = guestResponse.choices?.[0]?.message?.content || 'No answer returned.';
-
-            // Strip thinking tags from Qwen models
-            answer = answer.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
-
-            const guestInfo = guestResponse._demo || null;
-
-            // Extract token usage from Groq response
-            const tokenUsage = guestResponse.usage ? {
-                promptTokens: guestResponse.usage.prompt_tokens || 0,
-                completionTokens: guestResponse.usage.completion_tokens || 0,
-                totalTokens: guestResponse.usage.total_tokens || 0
-            } : null;
-
-            sendResponse({
-                success: true,
-                answer: answer,
-                initialUserMessage: messages[messages.length - 1],
-                usedOCR: type === 'text',
-                ocrConfidence,
-                base64Image: type === 'image' ? inputContent : null,
-                guestInfo: guestInfo,
-                tokenUsage: tokenUsage
-            });
-            return;
-        }
+    if (isRestrictedUrl(session.pageUrl)) {
+        throw new Error('The original page is not available. Conversations can only be reopened on regular web pages.');
+    }
 
-        // REGULAR MODE: KEY/HOST SELECTION LOGIC
-        let activeKeyOrHost;
-        if (modelName.startsWith('ollama:')) {
-            activeKeyOrHost = storage.ollamaHost || "http://localhost:11434";
-        }
-        else if (modelName.startsWith('openrouter:')) {
-            activeKeyOrHost = storage.openrouterKey;
+    const tabs = await chrome.tabs.query({});
+    let tab = tabs.find(t => t.url === session.pageUrl);
+    if (tab) {
+        await chrome.tabs.update(tab.id, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+    } else {
+        tab = await chrome.tabs.create({ url: session.pageUrl, active: true });
+    }
+
+    await waitForTabComplete(tab.id);
+    await sendToContentScript(tab.id, { action: "RESTORE_CONVERSATION", session });
+}
+
+// --- STREAMING PORT ---
+// Content scripts open an 'ai-stream' port for AI requests so partial text can be
+// pushed back as it arrives. Sending STOP (or closing the port) aborts the fetch;
+// the handler still replies with whatever text was received, flagged as stopped.
+// Guest Mode requests go through the worker in one shot and arrive as a single DONE.
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'ai-stream') return;
+
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+
+    port.onMessage.addListener((msg) => {
+        if (msg.type === 'STOP') {
+            controller.abort();
+            return;
         }
-        else if (modelName.includes('gemini') || modelName.includes('gemma')) {
-            activeKeyOrHost = storage.geminiKey;
+        if (msg.type !== 'START' || !msg.request) return;
+
+        const request = msg.request;
+        const promptContext = buildPromptContext(request.promptContext, port.sender?.tab);
+        const streamOptions = {
+            signal: controller.signal,
+            onDelta: (delta) => {
+                try {
+                    port.postMessage({ type: 'DELTA', delta });
+                } catch (e) {
+                    // Port closed mid-stream - the disconnect handler aborts the fetch
+                }
+            }
+        };
+        const reply = (response) => {
+            try {
+                port.postMessage({ type: 'DONE', response });
+            } catch (e) {
+                // Receiver went away, nothing to deliver
+            }
+        };
+
+        if (request.action === "ASK_AI" || request.action === "ASK_AI_TEXT") {
+            const type = request.action === "ASK_AI_TEXT" ? 'text' : 'image';
+            const content = type === 'text' ? request.text : request.base64Image;
+            handleAIRequest(content, type, request.model, reply, request.ocrConfidence || null, streamOptions, promptContext);
+        } else if (request.action === "ASK_AI_MULTI_IMAGE") {
+            handleMultiImageRequest(request.images, request.model, request.textContext, reply, streamOptions, promptContext, request.imageLabels);
+        } else if (request.action === "CONTINUE_CHAT") {
+            handleContinueChat(request, reply, streamOptions, promptContext);
+        } else {
+            reply({ success: false, error: `Unsupported stream action: ${request.action}` });
         }
-        else {
-            activeKeyOrHost = storage.groqKey;
+    });
+});
+
+// --- PROVIDER FAILOVER ---
+
+/**
+ * Models to try for a request: the chosen model, then the user's fallback chain in order.
+ * Fallbacks whose provider isn't configured are skipped, as are text-only fallbacks
+ * when the request carries images.
+ * @param {string} primaryModel
+ * @param {Object} storage - getStorage() result with provider keys and failoverChain
+ * @param {boolean} needsVision - Whether the payload contains images
+ * @returns {string[]}
+ */
+function getFailoverCandidates(primaryModel, storage, needsVision) {
+    const candidates = [primaryModel];
+    for (const model of storage.failoverChain || []) {
+        if (candidates.includes(model)) continue;
+        if (needsVision && !isVisionModel(model)) continue;
+        if (!getProviderCredentials(model, storage)) continue;
+        candidates.push(model);
+    }
+    return candidates;
+}
+
+/**
+ * Run a request on the chosen model, moving down the fallback chain when a provider is
+ * rate limited, down, timing out or unreachable. A streamed request only fails over until
+ * its first chunk has been forwarded - after that the error is reported as usual.
+ * @param {string} primaryModel
+ * @param {string|Object} primaryCredentials - Key/host for the primary model (or Guest Mode credentials)
+ * @param {Object} storage - getStorage() result with provider keys and failoverChain
+ * @param {boolean} needsVision - Whether the payload contains images
+ * @param {string} mode - Interaction mode (recorded in the usage log)
+ * @param {Object|null} streamOptions - { onDelta, signal } from the stream port
+ * @param {Function} run - (modelName, keyOrHost, streamOptions) => Promise<service result>
+ * @returns {Promise<{result: Object, failover: Object|null}>} failover is
+ *   { model, attempts: [{ model, reason }] } when a fallback answered
+ */
+async function runWithFailover(primaryModel, primaryCredentials, storage, needsVision, mode, streamOptions, run) {
+    const candidates = getFailoverCandidates(primaryModel, storage, needsVision);
+    const attempts = [];
+    let streamed = false;
+
+    const options = streamOptions ? {
+        ...streamOptions,
+        onDelta: (delta) => {
+            streamed = true;
+            streamOptions.onDelta(delta);
         }
+    } : {};
 
-        if (!activeKeyOrHost) {
-            throw new Error(`Missing Configuration. Please configure your API keys in the extension popup.`);
+    for (let i = 0; i < candidates.length; i++) {
+        const modelName = candidates[i];
+        const activeKeyOrHost = i === 0 ? primaryCredentials : getProviderCredentials(modelName, storage);
+        const usage = { model: modelName, mode, guest: !!activeKeyOrHost?.guest, failover: i > 0, startedAt: Date.now() };
+        try {
+            if (modelName.startsWith('compatible:')) {
+                await ensureCompatibleHostPermission(activeKeyOrHost);
+            }
+            const result = await run(modelName, activeKeyOrHost, options);
+            logUsage(usage, result);
+            return { result, failover: attempts.length > 0 ? { model: modelName, attempts } : null };
+        } catch (error) {
+            logUsage(usage, null, error);
+            const reason = getFailoverReason(error);
+            const canFailOver = reason && !streamed && !streamOptions?.signal?.aborted && i < candidates.length - 1;
+            if (!canFailOver) {
+                if (attempts.length > 0) {
+                    error.message += ` (fallback after ${attempts.map(a => `${a.model}: ${a.reason}`).join(', ')})`;
+                }
+                throw error;
+            }
+            console.warn(`Snip & Ask: ${modelName} ${reason}, failing over to ${candidates[i + 1]}`);
+            attempts.push({ model: modelName, reason });
         }
+    }
+}
 
-        const aiService = getAIService(activeKeyOrHost, modelName, mode, storage.customPrompt, storage.customModes);
+// --- USAGE LOG ---
+
+/**
+ * Record one provider attempt for the usage dashboard. Never throws - a full or
+ * unavailable database must not fail the request it describes.
+ * @param {Object} usage - { model, mode, guest, failover, startedAt }
+ * @param {Object|null} result - Service result (tokenUsage, stopped)
+ * @param {Error} [error]
+ */
+function logUsage(usage, result, error = null) {
+    const { startedAt, ...entry } = usage;
+    const tokenUsage = result?.tokenUsage || {};
+    recordUsage({
+        ...entry,
+        provider: getModelProvider(entry.model),
+        promptTokens: tokenUsage.promptTokens || 0,
+        completionTokens: tokenUsage.completionTokens || 0,
+        totalTokens: tokenUsage.totalTokens || 0,
+        latencyMs: Date.now() - startedAt,
+        success: !error,
+        stopped: !!result?.stopped,
+        error: error ? (getFailoverReason(error) || error.message || 'error').slice(0, 200) : null
+    }).catch(e => console.warn('Snip & Ask: could not record usage', e));
+}
 
-        let result;
-        if (type === 'image') {
-            result = await aiService.askImage(inputContent);
-        } else {
-            result = await aiService.askText(inputContent);
+/**
+ * Wrap a service so each chat() call is logged as its own usage record - for requests made
+ * inside a runWithFailover attempt besides the one it logs (history summaries)
+ * @param {Object} aiService
+ * @param {Object} usage - { model, mode, guest, failover }
+ * @returns {{chat: Function}}
+ */
+function withUsageLog(aiService, usage) {
+    return {
+        chat: async (messages, options) => {
+            const entry = { ...usage, startedAt: Date.now() };
+            try {
+                const result = await aiService.chat(messages, options);
+                logUsage(entry, result);
+                return result;
+            } catch (error) {
+                logUsage(entry, null, error);
+                throw error;
+            }
         }
+    };
+}
+
+// --- GUEST MODE ---
+
+/**
+ * Credentials that make getAIService() pick GuestService (requests go through the hosted worker)
+ * @param {number} [parallelCount] - How many requests the worker should count (0 for compare companions)
+ * @returns {Object}
+ */
+function getGuestCredentials(parallelCount = 1) {
+    if (!isGuestConfigured()) {
+        throw new Error('Guest Mode is not available. Please add your own API key in the extension popup.');
+    }
+    return { guest: true, parallelCount };
+}
+
+/**
+ * The worker only serves Groq models - swap anything else for the guest default
+ * @param {string} modelName
+ * @returns {string}
+ */
+function getGuestModel(modelName) {
+    if (!modelName || modelName.startsWith('openrouter:') || modelName.includes('gemini') || modelName.includes('gemma') || modelName.startsWith('ollama:') || modelName.startsWith('compatible:')) {
+        return GUEST_DEFAULT_MODEL;
+    }
+    return modelName;
+}
+
+/**
+ * Credentials for a new snip: Guest Mode (no keys at all) uses the hosted worker with a
+ * Groq model, otherwise the selected model's provider must be configured
+ * @param {string} modelName
+ * @param {Object} storage - getStorage() result with provider keys
+ * @returns {Promise<{credentials: string|Object, model: string}>}
+ */
+async function resolveRequestCredentials(modelName, storage) {
+    if (await isGuestMode()) {
+        return { credentials: getGuestCredentials(), model: getGuestModel(modelName) };
+    }
+
+    const credentials = getProviderCredentials(modelName, storage);
+    if (!credentials) {
+        throw new Error(`Missing Configuration. Please configure your API keys in the extension popup.`);
+    }
+    return { credentials, model: modelName };
+}
+
+// --- REDACTION ---
+
+/**
+ * AI service for one provider attempt, redacting what it sends according to the user's
+ * policy for that provider (fallbacks may go to a provider with a different policy)
+ * @param {string|Object} activeKeyOrHost
+ * @param {string} model
+ * @param {string} mode
+ * @param {Object} storage - getStorage() result with customPrompt and customModes
+ * @returns {Promise<Object>}
+ */
+async function getRequestService(activeKeyOrHost, model, mode, storage) {
+    const aiService = getAIService(activeKeyOrHost, model, mode, storage.customPrompt, storage.customModes);
+    const { redaction } = await getStorage(['redaction']);
+    const policy = getRedactionPolicy(redaction, activeKeyOrHost?.guest ? 'guest' : getModelProvider(model));
+    return policy ? applyRedaction(aiService, policy, findOCRWords) : aiService;
+}
+
+/**
+ * OCR word boxes of an image, in its own pixel coordinates
+ * @param {string} base64Image
+ * @returns {Promise<Array>} Lines of words with x0/y0/x1/y1
+ */
+async function findOCRWords(base64Image) {
+    await setupOffscreenDocument('src/offscreen/offscreen.html');
+    const { ocrLanguage } = await getStorage(['ocrLanguage']);
+    const response = await chrome.runtime.sendMessage({
+        action: 'OCR_WORDS',
+        base64Image,
+        language: ocrLanguage || DEFAULT_OCR_LANGUAGE
+    });
+    if (!response?.success) throw new Error(response?.error || 'OCR failed');
+    return response.lines;
+}
+
+// --- AI REQUEST HANDLER ---
+
+async function handleAIRequest(inputContent, type, explicitModel, sendResponse, ocrConfidence, streamOptions = null, promptContext = null) {
+    try {
+        const storage = await getStorage(['interactionMode', 'customPrompt', 'selectedModel', 'selectedMode', 'customModes', 'groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost', 'compatibleBaseUrl', 'compatibleKey', 'failoverChain']);
+        applyPromptTemplates(storage, promptContext);
+        const mode = storage.selectedMode || storage.interactionMode || 'short';
+
+        const { credentials, model: modelName } = await resolveRequestCredentials(
+            explicitModel || storage.selectedModel || "meta-llama/llama-4-scout-17b-16e-instruct", storage);
+
+        const { result, failover } = await runWithFailover(modelName, credentials, storage, type === 'image', mode, streamOptions, async (model, activeKeyOrHost, options) => {
+            const aiService = await getRequestService(activeKeyOrHost, model, mode, storage);
+            return type === 'image' ? aiService.askImage(inputContent, options) : aiService.askText(inputContent, options);
+        });
 
         sendResponse({
             success: true,
             answer: result.answer,
             model: result.model,
             tokenUsage: result.tokenUsage,
+            stopped: result.stopped,
+            failover,
+            guestInfo: result.guestInfo,
             initialUserMessage: result.initialUserMessage,
             usedOCR: type === 'text',
             ocrConfidence,
-            base64Image: type === 'image' ? inputContent : null
+            base64Image: type === 'image' ? inputContent : null,
+            redaction: result.redaction
         });
 
     } catch (error) {
@@ -548,121 +1051,81 @@ async function handleAIRequest(inputContent, type, explicitModel, sendResponse,
     }
 }
 
-// --- MULTI-IMAGE REQUEST HANDLER ---
+// --- CHAT CONTINUATION HANDLER ---
 
-async function handleMultiImageRequest(images, explicitModel, textContext, sendResponse) {
+async function handleContinueChat(request, sendResponse, streamOptions = null, promptContext = null) {
     try {
-        const storage = await getStorage(['interactionMode', 'customPrompt', 'selectedModel', 'selectedMode', 'customModes', 'groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost']);
-        const mode = storage.selectedMode || storage.interactionMode || 'short';
+        const storage = await getStorage(['interactionMode', 'customPrompt', 'selectedModel', 'selectedMode', 'customModes', 'groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost', 'compatibleBaseUrl', 'compatibleKey', 'failoverChain', 'historyCompaction']);
+        applyPromptTemplates(storage, promptContext);
 
-        let modelName = explicitModel || storage.selectedModel || "meta-llama/llama-4-scout-17b-16e-instruct";
+        let modelName = request.model || storage.selectedModel;
 
-        // CHECK FOR FREE TRIAL MODE
-        const inGuestMode = await isGuestMode();
+        // Use mode from request (set by mode selector), fallback to storage
+        const mode = request.mode || storage.selectedMode || storage.interactionMode || 'short';
 
-        if (inGuestMode) {
-            // Guest Mode: use Cloudflare Worker proxy
-            if (!isGuestConfigured()) {
-                throw new Error('Guest Mode is not available. Please add your own API key in the extension popup.');
-            }
-
-            // Force Groq model in demo mode
-            if (!modelName || modelName.startsWith('openrouter:') || modelName.includes('gemini') || modelName.includes('gemma') || modelName.startsWith('ollama:')) {
-                modelName = GUEST_DEFAULT_MODEL;
-            }
+        // Groq models without a Groq key go through the Guest Mode worker
+        const isGroq = !modelName || (!modelName.startsWith('ollama:') && !modelName.startsWith('compatible:') &&
+            !modelName.startsWith('openrouter:') && !modelName.includes('gemini') && !modelName.includes('gemma'));
 
-            // Build request body with multiple images
-            const messages = [];
-
-            // Add system instruction
-            const customModes = storage.customModes || null;
-            let systemPrompt = 'This is a POPUP WINDOW. Analyze the input and provide a helpful, concise response (under 200 words).';
-            if (mode === 'short') systemPrompt = "POPUP WINDOW: Concise answer engine. Keep under 100 words. For MCQs: 'Answer: <option>. <one-sentence explanation>'. For other questions: direct answer only. No preamble, no elaboration.";
-            else if (mode === 'detailed') systemPrompt = "POPUP TUTOR: Provide a focused, step-by-step answer. Use concise bullet points. Limit to 3-5 key steps max. Use Markdown sparingly (bold for emphasis only).";
-            else if (mode === 'code') systemPrompt = "POPUP CODE ASSISTANT: Provide ESSENTIAL CODE ONLY - no exhaustive examples. Output ONE clean code block + 1-2 sentences explaining the key fix/concept. Be concise.";
-            else if (mode === 'custom' && storage.customPrompt) {
-                // Use user's custom prompt
-                systemPrompt = storage.customPrompt;
-            } else if (customModes) {
-                const customMode = customModes.find(m => m.id === mode);
-                if (customMode) systemPrompt = customMode.prompt;
+        let credentials;
+        if (isGroq && !storage.groqKey && isGuestConfigured()) {
+            // parallelCount: how many requests to count (for comparison mode)
+            // 0 means don't count this request (companion in parallel batch)
+            credentials = getGuestCredentials(request.parallelCount ?? 1);
+            modelName = modelName || GUEST_DEFAULT_MODEL;
+        } else {
+            credentials = getProviderCredentials(modelName || '', storage);
+            if (!credentials) {
+                throw new Error('Missing API key. Please configure your API keys in the extension popup.');
             }
+        }
 
-            messages.push({ role: 'system', content: systemPrompt });
-
-            // Build content array with text and all images
-            const contentArray = [];
+        // Follow-ups on a snip still carry the image, so fallbacks must be able to see it
+        const hasImages = request.history.some(msg => Array.isArray(msg.content) && msg.content.some(part => part.type === 'image_url'));
 
-            // Add text context first
-            const contextText = textContext || `Analyze these ${images.length} images and provide a helpful response.`;
-            contentArray.push({ type: 'text', text: contextText });
+        // Old turns are folded into a running summary (cached by the chat window) when enabled
+        const compaction = storage.historyCompaction === true;
+        let contextSummary = request.contextSummary || null;
 
-            // Add all images
-            for (const img of images) {
-                contentArray.push({
-                    type: 'image_url',
-                    image_url: { url: `data:image/jpeg;base64,${img}` }
-                });
+        const { result, failover } = await runWithFailover(modelName, credentials, storage, hasImages, mode, streamOptions, async (model, activeKeyOrHost, options) => {
+            const aiService = await getRequestService(activeKeyOrHost, model, mode, storage);
+            let history = request.history;
+            if (compaction) {
+                // The summary is an extra request, so it gets its own usage record
+                const summarizer = withUsageLog(aiService, { model, mode: 'summary', guest: !!activeKeyOrHost?.guest, failover: false });
+                ({ messages: history, summary: contextSummary } = await compactMessageHistory(history, model, request.contextSummary || null, summarizer));
             }
-
-            messages.push({ role: 'user', content: contentArray });
-
             // Optimize history to stay within model token limits
-            const optimizedMessages = optimizeMessageHistory(messages, modelName);
-
-            // Make demo request through Cloudflare Worker
-            const guestResponse = await makeGuestRequest({
-                model: modelName,
-                messages: optimizedMessages,
-                temperature: 0.3,
-                max_tokens: mode === 'short' ? 512 : (mode === 'code' ? 2048 : 1536)
-            });
-
-            let answer = guestResponse.choices?.[0]?.message?.content || 'No answer returned.';
-
-            // Strip thinking tags from Qwen models
-            answer = answer.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
-
-            const guestInfo = guestResponse._demo || null;
-
-            // Extract token usage from Groq response
-            const tokenUsage = guestResponse.usage ? {
-                promptTokens: guestResponse.usage.prompt_tokens || 0,
-                completionTokens: guestResponse.usage.completion_tokens || 0,
-                totalTokens: guestResponse.usage.total_tokens || 0
-            } : null;
+            const optimizedHistory = optimizeMessageHistory(history, model);
+            return aiService.chat(optimizedHistory, options);
+        });
+        sendResponse({
+            success: true,
+            answer: result.text,
+            model: result.model,
+            tokenUsage: result.tokenUsage,
+            stopped: result.stopped,
+            failover,
+            guestInfo: result.guestInfo,
+            redaction: result.redaction,
+            ...(compaction && { contextSummary })
+        });
 
-            sendResponse({
-                success: true,
-                answer: answer,
-                initialUserMessage: messages[messages.length - 1],
-                imageCount: images.length,
-                guestInfo: guestInfo,
-                tokenUsage: tokenUsage
-            });
-            return;
-        }
+    } catch (err) {
+        sendResponse({ success: false, error: err.message });
+    }
+}
 
-        // REGULAR MODE: KEY/HOST SELECTION LOGIC
-        let activeKeyOrHost;
-        if (modelName.startsWith('ollama:')) {
-            activeKeyOrHost = storage.ollamaHost || "http://localhost:11434";
-        }
-        else if (modelName.startsWith('openrouter:')) {
-            activeKeyOrHost = storage.openrouterKey;
-        }
-        else if (modelName.includes('gemini') || modelName.includes('gemma')) {
-            activeKeyOrHost = storage.geminiKey;
-        }
-        else {
-            activeKeyOrHost = storage.groqKey;
-        }
+// --- MULTI-IMAGE REQUEST HANDLER ---
 
-        if (!activeKeyOrHost) {
-            throw new Error(`Missing Configuration. Please configure your API keys in the extension popup.`);
-        }
+async function handleMultiImageRequest(images, explicitModel, textContext, sendResponse, streamOptions = null, promptContext = null, imageLabels = null) {
+    try {
+        const storage = await getStorage(['interactionMode', 'customPrompt', 'selectedModel', 'selectedMode', 'customModes', 'groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost', 'compatibleBaseUrl', 'compatibleKey', 'failoverChain']);
+        applyPromptTemplates(storage, promptContext);
+        const mode = storage.selectedMode || storage.interactionMode || 'short';
 
-        const aiService = getAIService(activeKeyOrHost, modelName, mode, storage.customPrompt, storage.customModes);
+        const { credentials, model: modelName } = await resolveRequestCredentials(
+            explicitModel || storage.selectedModel || "meta-llama/llama-4-scout-17b-16e-instruct", storage);
 
         // Use chat() with properly formatted messages including images and text context
         // Build a message with all images and the conversation context
@@ -675,8 +1138,9 @@ async function handleMultiImageRequest(images, explicitModel, textContext, sendR
             contentArray.push({ type: 'text', text: `Analyze these ${images.length} images and provide a helpful response.` });
         }
 
-        // Add all images
-        for (const img of images) {
+        // Add all images, each after its label ("Region 2:") when given
+        for (const [i, img] of images.entries()) {
+            if (imageLabels?.[i]) contentArray.push({ type: 'text', text: imageLabels[i] });
             contentArray.push({
                 type: 'image_url',
                 image_url: { url: `data:image/jpeg;base64,${img}` }
@@ -688,16 +1152,122 @@ async function handleMultiImageRequest(images, explicitModel, textContext, sendR
             { role: 'user', content: contentArray }
         ];
 
-        // Optimize history to stay within model token limits
-        const optimizedMessages = optimizeMessageHistory(messages, modelName);
-        const answer = await aiService.chat(optimizedMessages);
-        const result = { answer: answer, initialUserMessage: messages[0] };
+        const { result, failover } = await runWithFailover(modelName, credentials, storage, true, mode, streamOptions, async (model, activeKeyOrHost, options) => {
+            const aiService = await getRequestService(activeKeyOrHost, model, mode, storage);
+            // Optimize history to stay within model token limits
+            const optimizedMessages = optimizeMessageHistory(messages, model);
+            return aiService.chat(optimizedMessages, options);
+        });
 
         sendResponse({
             success: true,
-            answer: result.answer,
-            initialUserMessage: result.initialUserMessage,
-            imageCount: images.length
+            answer: result.text,
+            model: result.model,
+            tokenUsage: result.tokenUsage,
+            stopped: result.stopped,
+            failover,
+            guestInfo: result.guestInfo,
+            initialUserMessage: messages[0],
+            imageCount: images.length,
+            redaction: result.redaction
+        });
+
+    } catch (error) {
+        sendResponse({
+            success: false,
+            error: error.message || String(error)
+        });
+    }
+}
+
+// --- CONSENSUS REQUEST HANDLER ---
+
+// Consensus asks every model in the short mode, whose MCQ format is 'Answer: <option>. <why>'
+const CONSENSUS_MODE = 'short';
+const DEFAULT_CONSENSUS_MODELS = 3;
+const MAX_CONSENSUS_MODELS = 5;
+
+/**
+ * Send one snip to several models at once for a majority-vote answer. Each model answers
+ * on its own (no fallback chain, so a failing model can't hand its vote to another);
+ * text-only models get the OCR text, which is only run if one of them takes part.
+ * The tally happens in the content script, which knows how to read the Answer line.
+ * @param {Object} request - { base64Image } or { text }
+ * @param {Function} sendResponse
+ * @param {Object|null} promptContext
+ */
+async function handleConsensusRequest(request, sendResponse, promptContext = null) {
+    try {
+        const storage = await getStorage(['customPrompt', 'selectedModel', 'customModes', 'groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost', 'compatibleBaseUrl', 'compatibleKey', 'enabledProviders', 'enabledModels', 'consensusModelCount']);
+        applyPromptTemplates(storage, promptContext);
+        const inGuestMode = await isGuestMode();
+        const type = request.base64Image ? 'image' : 'text';
+
+        // The selected model first, then the other enabled models in list order
+        const available = await getChatWindowModels(storage.enabledProviders || { groq: true }, storage.enabledModels || {}, inGuestMode);
+        const selected = storage.selectedModel || "meta-llama/llama-4-scout-17b-16e-instruct";
+        const primary = inGuestMode ? getGuestModel(selected) : selected;
+        const count = Math.min(Math.max(parseInt(storage.consensusModelCount) || DEFAULT_CONSENSUS_MODELS, 2), MAX_CONSENSUS_MODELS);
+        const models = [primary, ...available.map(m => m.value).filter(m => m !== primary)]
+            .filter(m => inGuestMode ? getGuestModel(m) === m : !!getProviderCredentials(m, storage))
+            .slice(0, count);
+
+        if (models.length < 2) {
+            throw new Error('Consensus needs at least two configured models. Enable more models in the extension popup.');
+        }
+
+        let ocr = null;
+        if (type === 'image' && models.some(m => !isVisionModel(m))) {
+            ocr = await performOCR(request.base64Image, CONSENSUS_MODE).catch(err => ({ success: false, error: err.message }));
+        }
+        const ocrText = ocr?.success && ocr.text && ocr.text.length > 3 ? ocr.text : null;
+        const soloStorage = { ...storage, failoverChain: [] };
+
+        const results = await Promise.all(models.map(async (model, i) => {
+            const useImage = type === 'image' && isVisionModel(model);
+            if (type === 'image' && !useImage && !ocrText) {
+                return { model, success: false, error: 'No readable text for a text-only model' };
+            }
+            const content = useImage ? request.base64Image : (type === 'image' ? ocrText : request.text);
+            const credentials = inGuestMode ? getGuestCredentials(i === 0 ? models.length : 0) : getProviderCredentials(model, storage);
+
+            try {
+                const { result } = await runWithFailover(model, credentials, soloStorage, useImage, CONSENSUS_MODE, null, async (m, activeKeyOrHost) => {
+                    const aiService = await getRequestService(activeKeyOrHost, m, CONSENSUS_MODE, storage);
+                    return useImage ? aiService.askImage(content) : aiService.askText(content);
+                });
+                return {
+                    model,
+                    success: true,
+                    answer: result.answer,
+                    tokenUsage: result.tokenUsage,
+                    guestInfo: result.guestInfo,
+                    initialUserMessage: result.initialUserMessage,
+                    usedOCR: !useImage && type === 'image',
+                    redaction: result.redaction
+                };
+            } catch (error) {
+                return { model, success: false, error: error.message || String(error) };
+            }
+        }));
+
+        // The chat window continues with the selected model, so open it with that model's view of the snip.
+        // If it failed, the window continues with the model whose message (image or OCR text) it shows
+        const lead = results.find(r => r.success && r.model === primary) || results.find(r => r.success);
+        if (!lead) {
+            throw new Error(`Every model failed: ${results.map(r => `${r.model}: ${r.error}`).join('; ')}`);
+        }
+
+        sendResponse({
+            success: true,
+            results: results.map(({ initialUserMessage, redaction, ...r }) => r),
+            model: lead.model,
+            initialUserMessage: lead.initialUserMessage,
+            usedOCR: lead.usedOCR || type === 'text',
+            ocrConfidence: lead.usedOCR ? ocr.confidence : null,
+            base64Image: type === 'image' && !lead.usedOCR ? request.base64Image : null,
+            guestInfo: [...results].reverse().find(r => r.guestInfo)?.guestInfo,
+            redaction: lead.redaction
         });
 
     } catch (error) {
@@ -706,4 +1276,4 @@ async function handleMultiImageRequest(images, explicitModel, textContext, sendR
             error: error.message || String(error)
         });
     }
-}
\ No newline at end of file
+}
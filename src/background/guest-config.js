@@ -33,7 +33,7 @@ async function getInstanceId() {
  * Returns true only if ALL API key fields are empty or contain only whitespace
  */
 async function isGuestMode() {
-    const storage = await chrome.storage.local.get(['groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost']);
+    const storage = await chrome.storage.local.get(['groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost', 'compatibleBaseUrl']);
 
     // Check if any key has actual content (even if it's invalid)
     // If user enters ANY text, we consider them NOT in guest mode
@@ -41,9 +41,10 @@ async function isGuestMode() {
     const hasGeminiKey = storage.geminiKey && storage.geminiKey.trim().length > 0;
     const hasOpenRouterKey = storage.openrouterKey && storage.openrouterKey.trim().length > 0;
     const hasOllamaHost = storage.ollamaHost && storage.ollamaHost.trim().length > 0;
+    const hasCompatibleUrl = storage.compatibleBaseUrl && storage.compatibleBaseUrl.trim().length > 0;
 
     // Guest mode = NO keys entered at all
-    return !hasGroqKey && !hasGeminiKey && !hasOpenRouterKey && !hasOllamaHost;
+    return !hasGroqKey && !hasGeminiKey && !hasOpenRouterKey && !hasOllamaHost && !hasCompatibleUrl;
 }
 
 /**
@@ -0,0 +1,242 @@
+// src/background/history-store.js
+// Persistent conversation history (IndexedDB, service worker only)
+
+import { createDatabase } from './idb.js';
+
+const DB_NAME = 'snipask-history';
+const DB_VERSION = 2;
+const STORE_SESSIONS = 'sessions';
+// Everything the history page lists and searches, without the messages and their screenshots
+const STORE_SUMMARIES = 'summaries';
+
+// Oldest sessions are pruned beyond this count so snip images don't grow the DB forever
+const MAX_SESSIONS = 500;
+
+const db = createDatabase(DB_NAME, DB_VERSION, (database, transaction, oldVersion) => {
+    if (!database.objectStoreNames.contains(STORE_SESSIONS)) {
+        const store = database.createObjectStore(STORE_SESSIONS, { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt');
+    }
+    if (!database.objectStoreNames.contains(STORE_SUMMARIES)) {
+        const summaries = database.createObjectStore(STORE_SUMMARIES, { keyPath: 'id' });
+        summaries.createIndex('updatedAt', 'updatedAt');
+        // Filter facets are read straight off these indexes
+        summaries.createIndex('models', 'models', { multiEntry: true });
+        summaries.createIndex('mode', 'mode');
+        summaries.createIndex('site', 'site');
+
+        // Version 1 kept only full sessions - build their summaries
+        if (oldVersion > 0) {
+            const cursorRequest = transaction.objectStore(STORE_SESSIONS).openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                summaries.put(toSummary(cursor.value));
+                cursor.continue();
+            };
+        }
+    }
+});
+
+/**
+ * Extract plain text from a stored message for search/previews
+ * @param {Object} msg - chatHistory entry
+ * @returns {string}
+ */
+function messageText(msg) {
+    if (typeof msg.displayText === 'string') return msg.displayText;
+    if (typeof msg.content === 'string') return msg.content;
+    return '';
+}
+
+/**
+ * Summary record of a session: everything but the messages, plus the search text
+ * @param {Object} record - Stored session
+ * @returns {Object}
+ */
+function toSummary(record) {
+    const { messages, ...summary } = record;
+    // Lowercased haystack for full-text search
+    summary.searchText = [
+        record.pageTitle,
+        record.pageUrl,
+        record.ocrText || '',
+        ...messages.map(messageText)
+    ].join('\n').toLowerCase();
+    return summary;
+}
+
+/**
+ * Get the hostname of a URL (empty string for invalid URLs)
+ * @param {string} url
+ * @returns {string}
+ */
+function getSite(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Copy of a session without screenshots (the "Keep screenshots" history setting is off):
+ * image parts become a placeholder and the thumbnail is dropped
+ * @param {Object} session
+ * @returns {Object}
+ */
+export function stripSessionImages(session) {
+    const messages = session.messages.map(msg => {
+        if (!Array.isArray(msg.content) && !msg.base64Image) return msg;
+        const content = Array.isArray(msg.content)
+            ? msg.content.map(part => part.type === 'image_url' ? { type: 'text', text: '[screenshot not saved]' } : part)
+            : msg.content;
+        return { ...msg, content, base64Image: null };
+    });
+    return { ...session, messages, thumbnail: null };
+}
+
+/**
+ * Save (insert or update) a conversation session
+ * Page info from the first save is kept so reopening a session elsewhere doesn't re-home it.
+ * @param {Object} session - { id, messages, mode, model, ocrText, thumbnail, pageUrl, pageTitle }
+ * @returns {Promise<Object>} The stored record
+ */
+export async function saveSession(session) {
+    if (!session?.id || !Array.isArray(session.messages)) {
+        throw new Error('Invalid session data');
+    }
+
+    const existing = await getSession(session.id);
+    const now = Date.now();
+    const pageUrl = existing?.pageUrl || session.pageUrl || '';
+
+    const models = [...new Set(session.messages.filter(m => m.role === 'assistant' && m.model).map(m => m.model))];
+    const totalTokens = session.messages.reduce((sum, m) => sum + (m.tokenUsage?.totalTokens || 0), 0);
+    const firstAnswer = session.messages.find(m => m.role === 'assistant');
+
+    const record = {
+        id: session.id,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        pageUrl,
+        pageTitle: existing?.pageTitle || session.pageTitle || '',
+        site: getSite(pageUrl),
+        mode: session.mode || existing?.mode || null,
+        model: session.model || null,
+        models,
+        ocrText: session.ocrText || existing?.ocrText || null,
+        thumbnail: session.thumbnail || existing?.thumbnail || null,
+        contextSummary: session.contextSummary || null,
+        preview: firstAnswer ? messageText(firstAnswer).slice(0, 200) : '',
+        messageCount: session.messages.length,
+        totalTokens,
+        messages: session.messages
+    };
+
+    await db.withTransaction([STORE_SESSIONS, STORE_SUMMARIES], 'readwrite', tx => {
+        tx.objectStore(STORE_SESSIONS).put(record);
+        tx.objectStore(STORE_SUMMARIES).put(toSummary(record));
+    });
+    if (!existing) await pruneSessions();
+    return record;
+}
+
+/**
+ * Get a full session (including messages) by id
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getSession(id) {
+    const record = await db.withStore(STORE_SESSIONS, 'readonly', store => store.get(id));
+    return record || null;
+}
+
+/**
+ * Distinct values of a summaries index, sorted
+ * @param {string} indexName
+ * @returns {Promise<Array>}
+ */
+async function listIndexValues(indexName) {
+    const values = [];
+    await db.withStore(STORE_SUMMARIES, 'readonly', store => {
+        const cursorRequest = store.index(indexName).openKeyCursor(null, 'nextunique');
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            values.push(cursor.key);
+            cursor.continue();
+        };
+        return cursorRequest;
+    });
+    return values;
+}
+
+/**
+ * List session summaries, newest first, filtered by search query and facets.
+ * Reads the summaries store only and stops once `limit` sessions match.
+ * @param {Object} filters - { query, model, mode, site, limit }
+ * @returns {Promise<{sessions: Array, facets: {models: Array, modes: Array, sites: Array}}>}
+ */
+export async function listSessions(filters = {}) {
+    const { query = '', model = '', mode = '', site = '', limit = 100 } = filters;
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    const sessions = [];
+    await db.withStore(STORE_SUMMARIES, 'readonly', store => {
+        const cursorRequest = store.index('updatedAt').openCursor(null, 'prev');
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+
+            const { searchText, ...summary } = cursor.value;
+            const matches = (!model || summary.models.includes(model)) &&
+                (!mode || summary.mode === mode) &&
+                (!site || summary.site === site) &&
+                terms.every(t => searchText.includes(t));
+            if (matches) sessions.push(summary);
+            if (sessions.length < limit) cursor.continue();
+        };
+        return cursorRequest;
+    });
+
+    const [models, modes, sites] = await Promise.all(['models', 'mode', 'site'].map(listIndexValues));
+    return { sessions, facets: { models, modes, sites } };
+}
+
+/**
+ * Delete a session
+ * @param {string} id
+ */
+export async function deleteSession(id) {
+    await db.withTransaction([STORE_SESSIONS, STORE_SUMMARIES], 'readwrite', tx => {
+        tx.objectStore(STORE_SESSIONS).delete(id);
+        tx.objectStore(STORE_SUMMARIES).delete(id);
+    });
+}
+
+/**
+ * Delete every stored session
+ */
+export async function clearSessions() {
+    await db.withTransaction([STORE_SESSIONS, STORE_SUMMARIES], 'readwrite', tx => {
+        tx.objectStore(STORE_SESSIONS).clear();
+        tx.objectStore(STORE_SUMMARIES).clear();
+    });
+}
+
+/**
+ * Drop the oldest sessions beyond MAX_SESSIONS
+ */
+async function pruneSessions() {
+    const keys = await db.withStore(STORE_SUMMARIES, 'readonly', store => store.index('updatedAt').getAllKeys());
+    const excess = keys.length - MAX_SESSIONS;
+    if (excess <= 0) return;
+
+    await db.withTransaction([STORE_SESSIONS, STORE_SUMMARIES], 'readwrite', tx => {
+        keys.slice(0, excess).forEach(key => {
+            tx.objectStore(STORE_SESSIONS).delete(key);
+            tx.objectStore(STORE_SUMMARIES).delete(key);
+        });
+    });
+}
@@ -0,0 +1,67 @@
+// src/background/idb.js
+// IndexedDB plumbing shared by the history, usage and OCR language pack stores
+
+/**
+ * A lazily opened database with promise wrappers for its transactions
+ * @param {string} name
+ * @param {number|undefined} version - Omit to open the existing version (databases owned by a library)
+ * @param {Function} upgrade - (db, transaction, oldVersion) => void; creates stores and indexes
+ * @returns {{open: Function, withTransaction: Function, withStore: Function}}
+ */
+export function createDatabase(name, version, upgrade) {
+    let dbPromise = null;
+
+    /**
+     * Open (and lazily upgrade) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function open() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = version === undefined ? indexedDB.open(name) : indexedDB.open(name, version);
+
+            request.onupgradeneeded = (event) => upgrade(request.result, request.transaction, event.oldVersion);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * Run requests inside one transaction and resolve, once it commits, with the result
+     * of the request `fn` returns
+     * @param {string|string[]} storeNames
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} fn - (transaction) => IDBRequest|undefined
+     * @returns {Promise<any>}
+     */
+    async function withTransaction(storeNames, mode, fn) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const request = fn(tx);
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Run a single request on one store and resolve with its result
+     * @param {string} storeName
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} fn - (store) => IDBRequest
+     * @returns {Promise<any>}
+     */
+    function withStore(storeName, mode, fn) {
+        return withTransaction(storeName, mode, tx => fn(tx.objectStore(storeName)));
+    }
+
+    return { open, withTransaction, withStore };
+}
@@ -0,0 +1,193 @@
+// src/background/json-output.js
+// Structured output for modes with a JSON schema - prompt text, reply parsing, validation
+
+// Validation messages shown to the model (and the user) are capped at this many
+const MAX_REPORTED_ERRORS = 8;
+
+const JSON_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+/**
+ * Check that a mode's schema is something the providers can use
+ * @param {*} schema - Parsed schema
+ * @returns {string|null} Problem description, or null when usable
+ */
+export function getSchemaProblem(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return 'The schema must be a JSON object';
+    }
+    if (schema.type !== 'object' && schema.type !== 'array') {
+        return 'The top-level "type" must be "object" or "array"';
+    }
+    const invalidType = findInvalidType(schema);
+    return invalidType ? `Unknown type "${invalidType}"` : null;
+}
+
+function findInvalidType(schema) {
+    if (!schema || typeof schema !== 'object') return null;
+    const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+    const invalid = types.find(t => !JSON_TYPES.includes(t));
+    if (invalid) return invalid;
+    for (const child of [...Object.values(schema.properties || {}), schema.items]) {
+        const found = findInvalidType(child);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Instruction appended to the system prompt of a structured mode
+ * @param {Object} schema
+ * @returns {string}
+ */
+export function buildJsonInstruction(schema) {
+    return "\n\n[OUTPUT FORMAT]" +
+        "\nReply with ONLY a JSON value that matches the JSON schema below - no Markdown, no code fences, no text before or after it." +
+        "\nUse null for values that are not present in the input. Never invent data." +
+        `\nSchema: ${JSON.stringify(schema)}`;
+}
+
+/**
+ * OpenAI-style response_format (OpenRouter, OpenAI-compatible servers)
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export function buildResponseFormat(schema) {
+    // strict mode rejects most hand-written schemas (it needs every property required), so it stays off
+    return { type: 'json_schema', json_schema: { name: 'snip_output', schema, strict: false } };
+}
+
+/**
+ * Convert a JSON schema to the OpenAPI subset Gemini's responseSchema accepts
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return { type: 'STRING' };
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type || 'string'];
+    const nonNull = types.filter(t => t !== 'null');
+    const result = { type: (nonNull[0] || 'string').toUpperCase() };
+    if (types.includes('null') || schema.nullable) result.nullable = true;
+
+    if (schema.description) result.description = String(schema.description);
+    if (Array.isArray(schema.enum)) {
+        // Gemini only takes string enums
+        result.type = 'STRING';
+        result.enum = schema.enum.filter(v => v !== null).map(String);
+    }
+    if (schema.format && ['date-time', 'enum'].includes(schema.format)) result.format = schema.format;
+
+    if (result.type === 'OBJECT') {
+        const properties = Object.entries(schema.properties || {});
+        if (properties.length > 0) {
+            result.properties = Object.fromEntries(properties.map(([key, value]) => [key, toGeminiSchema(value)]));
+            result.propertyOrdering = properties.map(([key]) => key);
+        }
+        if (Array.isArray(schema.required)) result.required = schema.required.filter(key => schema.properties?.[key]);
+    }
+    if (result.type === 'ARRAY') {
+        result.items = toGeminiSchema(schema.items);
+        if (Number.isInteger(schema.minItems)) result.minItems = schema.minItems;
+        if (Number.isInteger(schema.maxItems)) result.maxItems = schema.maxItems;
+    }
+    return result;
+}
+
+/**
+ * Pull the JSON value out of a model reply (tolerates code fences and stray text around it)
+ * @param {string} text
+ * @returns {{ok: boolean, value?: *, error?: string}}
+ */
+export function parseJsonReply(text) {
+    const trimmed = (text || '').trim();
+    const fenced = /^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i.exec(trimmed);
+    const candidate = fenced ? fenced[1] : trimmed;
+
+    try {
+        return { ok: true, value: JSON.parse(candidate) };
+    } catch (error) {
+        // Text around the JSON: take the outermost object/array
+        const start = candidate.search(/[[{]/);
+        const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+        if (start !== -1 && end > start) {
+            try {
+                return { ok: true, value: JSON.parse(candidate.slice(start, end + 1)) };
+            } catch (e) {
+                // Fall through to the original error
+            }
+        }
+        return { ok: false, error: error.message };
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+/**
+ * Validate a value against the common JSON schema keywords (type, enum, const, properties,
+ * required, additionalProperties, items, min/max items, length and range)
+ * @param {*} value
+ * @param {Object} schema
+ * @returns {string[]} Problems found, e.g. '$.total: expected number, got string'
+ */
+export function validateJson(value, schema) {
+    const errors = [];
+
+    const check = (val, sch, path) => {
+        if (errors.length >= MAX_REPORTED_ERRORS || !sch || typeof sch !== 'object') return;
+
+        const types = Array.isArray(sch.type) ? sch.type : (sch.type ? [sch.type] : null);
+        if (types && !(sch.nullable && val === null) && !types.some(t => matchesType(val, t))) {
+            errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(val)}`);
+            return;
+        }
+        if (Array.isArray(sch.enum) && !sch.enum.some(option => JSON.stringify(option) === JSON.stringify(val))) {
+            errors.push(`${path}: must be one of ${sch.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+        if ('const' in sch && JSON.stringify(sch.const) !== JSON.stringify(val)) {
+            errors.push(`${path}: must be ${JSON.stringify(sch.const)}`);
+        }
+
+        if (typeof val === 'string') {
+            if (Number.isInteger(sch.minLength) && val.length < sch.minLength) errors.push(`${path}: shorter than ${sch.minLength} characters`);
+            if (Number.isInteger(sch.maxLength) && val.length > sch.maxLength) errors.push(`${path}: longer than ${sch.maxLength} characters`);
+        }
+        if (typeof val === 'number') {
+            if (typeof sch.minimum === 'number' && val < sch.minimum) errors.push(`${path}: below the minimum ${sch.minimum}`);
+            if (typeof sch.maximum === 'number' && val > sch.maximum) errors.push(`${path}: above the maximum ${sch.maximum}`);
+        }
+
+        if (typeOf(val) === 'object') {
+            for (const key of sch.required || []) {
+                if (!(key in val)) errors.push(`${path}: missing required property "${key}"`);
+            }
+            for (const [key, child] of Object.entries(val)) {
+                if (sch.properties?.[key]) {
+                    check(child, sch.properties[key], `${path}.${key}`);
+                } else if (sch.additionalProperties === false) {
+                    errors.push(`${path}: unexpected property "${key}"`);
+                } else if (typeof sch.additionalProperties === 'object') {
+                    check(child, sch.additionalProperties, `${path}.${key}`);
+                }
+            }
+        }
+
+        if (Array.isArray(val)) {
+            if (Number.isInteger(sch.minItems) && val.length < sch.minItems) errors.push(`${path}: fewer than ${sch.minItems} items`);
+            if (Number.isInteger(sch.maxItems) && val.length > sch.maxItems) errors.push(`${path}: more than ${sch.maxItems} items`);
+            if (sch.items) val.forEach((item, i) => check(item, sch.items, `${path}[${i}]`));
+        }
+    };
+
+    check(value, schema, '$');
+    return errors.slice(0, MAX_REPORTED_ERRORS);
+}
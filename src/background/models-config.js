@@ -38,6 +38,10 @@ export const ALL_MODELS = {
         { value: 'ollama:llava', name: 'LLaVA (Vision)' },
         { value: 'ollama:moondream', name: 'Moondream (Vision)' },
         { value: 'ollama:custom', name: '⚙️ Custom Model' }
+    ],
+    // User-defined server (LM Studio, vLLM, LiteLLM...) - models are added via "Custom Model"
+    compatible: [
+        { value: 'compatible:custom', name: '⚙️ Custom Model' }
     ]
 };
 
@@ -69,7 +73,8 @@ export const CHAT_WINDOW_MODELS = {
     ollama: [
         { value: 'ollama:llama3', name: 'Ollama Llama 3' },
         { value: 'ollama:gemma3:4b', name: 'Ollama Gemma 3' }
-    ]
+    ],
+    compatible: []
 };
 
 /**
@@ -79,7 +84,8 @@ export const PROVIDER_LABELS = {
     groq: '🚀 Groq (Fast)',
     google: '✨ Google (Gemini)',
     openrouter: '🌐 OpenRouter',
-    ollama: '🦙 Ollama (Local)'
+    ollama: '🦙 Ollama (Local)',
+    compatible: '🔌 OpenAI-Compatible'
 };
 
 /**
@@ -89,7 +95,8 @@ export const DEFAULT_PROVIDERS = {
     groq: true,
     google: false,
     openrouter: false,
-    ollama: false
+    ollama: false,
+    compatible: false
 };
 
 /**
@@ -99,7 +106,8 @@ export const GUEST_MODE_PROVIDERS = {
     groq: true,
     google: false,
     openrouter: false,
-    ollama: false
+    ollama: false,
+    compatible: false
 };
 
 /**
@@ -115,6 +123,132 @@ export function getDefaultEnabledModels() {
     return enabled;
 }
 
+/**
+ * Whether a model accepts images. The single source of truth: content scripts get the
+ * answer as `vision` on GET_CHAT_WINDOW_MODELS entries and `isVision` from CHECK_PROVIDER_CONFIG
+ * @param {string} modelName
+ * @returns {boolean}
+ */
+export function isVisionModel(modelName) {
+    if (!modelName) return false;
+    const lower = modelName.toLowerCase();
+    return lower.includes("llama-4") ||
+        lower.includes("vision") ||
+        lower.includes("gemini") ||
+        lower.includes("gemma") ||
+        lower.includes("llava") ||
+        lower.includes("moondream") ||
+        lower.includes("minicpm");
+}
+
+/**
+ * Provider a model value is served by (same prefix rules as getAIService)
+ * @param {string} modelName
+ * @returns {string} Key of PROVIDER_LABELS
+ */
+export function getModelProvider(modelName) {
+    if (!modelName) return 'groq';
+    if (modelName.startsWith('ollama:')) return 'ollama';
+    if (modelName.startsWith('compatible:')) return 'compatible';
+    if (modelName.startsWith('openrouter:')) return 'openrouter';
+    if (modelName.includes('gemini') || modelName.includes('gemma')) return 'google';
+    return 'groq';
+}
+
+// --- MODEL METADATA (context budgeting) ---
+
+// Ollama's window is the num_ctx OllamaService requests, whatever the model supports
+export const OLLAMA_CONTEXT_WINDOW = 4096;
+
+/**
+ * Per-model limits, matched by substring in order (specific patterns before generic ones).
+ * - contextWindow: tokens the model accepts per request (prompt + reply)
+ * - maxOutput:     longest reply the model can generate
+ * - tokenizer:     tokenizer family in tokenizer.js
+ * - image:         how images are converted to tokens (see getImageTokens), null for text-only models
+ */
+const MODEL_METADATA = [
+    { match: 'compound', contextWindow: 131072, maxOutput: 8192, tokenizer: 'o200k', image: null },
+    { match: 'llama-4', contextWindow: 131072, maxOutput: 8192, tokenizer: 'o200k', image: 'llama4' },
+    { match: 'llama-3.3', contextWindow: 131072, maxOutput: 32768, tokenizer: 'tiktoken', image: null },
+    { match: 'kimi-k2-instruct-0905', contextWindow: 262144, maxOutput: 16384, tokenizer: 'tiktoken', image: null },
+    { match: 'kimi-k2', contextWindow: 131072, maxOutput: 16384, tokenizer: 'tiktoken', image: null },
+    { match: 'gpt-oss', contextWindow: 131072, maxOutput: 65536, tokenizer: 'o200k', image: null },
+    { match: 'qwen', contextWindow: 131072, maxOutput: 40960, tokenizer: 'qwen', image: null },
+    { match: 'deepseek', contextWindow: 163840, maxOutput: 32768, tokenizer: 'tiktoken', image: null },
+    { match: 'gemini-2.5-flash-tts', contextWindow: 8192, maxOutput: 16384, tokenizer: 'gemini', image: null },
+    { match: 'gemini', contextWindow: 1048576, maxOutput: 65536, tokenizer: 'gemini', image: 'gemini' },
+    { match: 'gemma-3-1b', contextWindow: 32768, maxOutput: 8192, tokenizer: 'gemini', image: null },
+    { match: 'gemma', contextWindow: 131072, maxOutput: 8192, tokenizer: 'gemini', image: 'gemma' },
+    { match: 'llava', contextWindow: 4096, maxOutput: 2048, tokenizer: 'sentencepiece', image: 'llava' },
+    { match: 'moondream', contextWindow: 2048, maxOutput: 1024, tokenizer: 'tiktoken', image: 'moondream' },
+    { match: 'mistral', contextWindow: 32768, maxOutput: 8192, tokenizer: 'sentencepiece', image: null },
+    { match: 'llama3', contextWindow: 8192, maxOutput: 4096, tokenizer: 'tiktoken', image: null },
+    { match: 'claude', contextWindow: 200000, maxOutput: 8192, tokenizer: 'tiktoken', image: 'tile' },
+    { match: 'gpt-4o', contextWindow: 128000, maxOutput: 16384, tokenizer: 'o200k', image: 'tile' }
+];
+
+// Unknown models (custom OpenRouter / compatible ids): assume a small window
+const DEFAULT_MODEL_METADATA = { contextWindow: 8192, maxOutput: 4096, tokenizer: 'tiktoken', image: 'tile' };
+
+/**
+ * Context window, output limit, tokenizer family and image pricing for a model
+ * @param {string} modelName
+ * @returns {{contextWindow: number, maxOutput: number, tokenizer: string, image: string|null}}
+ */
+export function getModelMetadata(modelName) {
+    const lower = (modelName || '').toLowerCase();
+    const entry = MODEL_METADATA.find(m => lower.includes(m.match));
+    const { match, ...metadata } = entry || DEFAULT_MODEL_METADATA;
+
+    if (getModelProvider(modelName) === 'ollama') {
+        metadata.contextWindow = Math.min(metadata.contextWindow, OLLAMA_CONTEXT_WINDOW);
+        metadata.maxOutput = Math.min(metadata.maxOutput, OLLAMA_CONTEXT_WINDOW / 2);
+    }
+    return metadata;
+}
+
+// Assumed size when an image header can't be read
+const FALLBACK_IMAGE_SIZE = { width: 1024, height: 1024 };
+
+/**
+ * Tokens an image costs a model, from the provider's published conversion rules
+ * - gemini:    258 per image up to 384px, otherwise 258 per 768px tile
+ * - llama4:    144 per 336px tile (max 16) plus a global thumbnail tile
+ * - gemma:     fixed 256 (SigLIP encoder)
+ * - llava:     fixed 576 (24x24 patches), moondream: fixed 729
+ * - tile:      OpenAI-style - fit in 2048px, shortest side 768px, 85 + 170 per 512px tile
+ * @param {string} modelName
+ * @param {{width: number, height: number}|null} size
+ * @returns {number}
+ */
+export function getImageTokens(modelName, size) {
+    const { width, height } = size || FALLBACK_IMAGE_SIZE;
+    const rule = getModelMetadata(modelName).image || 'tile';
+
+    switch (rule) {
+        case 'gemini':
+            if (width <= 384 && height <= 384) return 258;
+            return Math.ceil(width / 768) * Math.ceil(height / 768) * 258;
+        case 'llama4': {
+            const tiles = Math.min(16, Math.ceil(width / 336) * Math.ceil(height / 336));
+            return 144 * (tiles > 1 ? tiles + 1 : 1);
+        }
+        case 'gemma':
+            return 256;
+        case 'llava':
+            return 576;
+        case 'moondream':
+            return 729;
+        default: {
+            let scale = Math.min(1, 2048 / Math.max(width, height));
+            scale *= Math.min(1, 768 / (Math.min(width, height) * scale));
+            const tiles = Math.ceil(width * scale / 512) * Math.ceil(height * scale / 512);
+            return 85 + 170 * tiles;
+        }
+    }
+}
+
 // --- CUSTOM SAVED MODELS ---
 
 /**
@@ -124,16 +258,16 @@ export function getDefaultEnabledModels() {
 export async function getCustomSavedModels() {
     try {
         const result = await chrome.storage.local.get(['customSavedModels']);
-        return result.customSavedModels || { ollama: [], openrouter: [] };
+        return result.customSavedModels || { ollama: [], openrouter: [], compatible: [] };
     } catch (e) {
         console.error('Failed to get custom saved models:', e);
-        return { ollama: [], openrouter: [] };
+        return { ollama: [], openrouter: [], compatible: [] };
     }
 }
 
 /**
  * Save a custom model for a provider
- * @param {string} provider - 'ollama' or 'openrouter'
+ * @param {string} provider - 'ollama', 'openrouter' or 'compatible'
  * @param {string} modelValue - Full model value (e.g., 'ollama:deepseek-r1:14b')
  * @param {string} modelName - Display name for the model
  * @returns {Promise<boolean>} Success status
@@ -170,7 +304,7 @@ export async function saveCustomModel(provider, modelValue, modelName) {
 
 /**
  * Remove a custom model
- * @param {string} provider - 'ollama' or 'openrouter'
+ * @param {string} provider - 'ollama', 'openrouter' or 'compatible'
  * @param {string} modelValue - Full model value to remove
  * @returns {Promise<boolean>} Success status
  */
@@ -193,7 +327,7 @@ export async function removeCustomModel(provider, modelValue) {
 
 /**
  * Toggle a custom model's enabled state
- * @param {string} provider - 'ollama' or 'openrouter'
+ * @param {string} provider - 'ollama', 'openrouter' or 'compatible'
  * @param {string} modelValue - Full model value
  * @param {boolean} enabled - New enabled state
  * @returns {Promise<boolean>} Success status
@@ -296,16 +430,17 @@ export function getFirstAvailableModel(filteredModels, preferredModel = null) {
  */
 export async function checkGuestModeStatus() {
     try {
-        const storage = await chrome.storage.local.get(['groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost']);
+        const storage = await chrome.storage.local.get(['groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost', 'compatibleBaseUrl']);
 
         // Check if any key has actual content (even if invalid)
         const hasGroqKey = storage.groqKey && storage.groqKey.trim().length > 0;
         const hasGeminiKey = storage.geminiKey && storage.geminiKey.trim().length > 0;
         const hasOpenRouterKey = storage.openrouterKey && storage.openrouterKey.trim().length > 0;
         const hasOllamaHost = storage.ollamaHost && storage.ollamaHost.trim().length > 0;
+        const hasCompatibleUrl = storage.compatibleBaseUrl && storage.compatibleBaseUrl.trim().length > 0;
 
         // Guest mode = NO keys entered at all
-        const isGuestMode = !hasGroqKey && !hasGeminiKey && !hasOpenRouterKey && !hasOllamaHost;
+        const isGuestMode = !hasGroqKey && !hasGeminiKey && !hasOpenRouterKey && !hasOllamaHost && !hasCompatibleUrl;
 
         return {
             isGuestMode,
@@ -0,0 +1,182 @@
+// src/background/ocr-languages.js
+// OCR language registry + traineddata pack storage (IndexedDB, shared by the popup, OCR Languages page and offscreen document)
+
+import { createDatabase } from './idb.js';
+
+/**
+ * Languages the OCR selector offers. `scripts` are Unicode script names used by the
+ * quality analyzer to decide which letters count as readable for a language.
+ */
+export const OCR_LANGUAGES = [
+    { code: 'eng', name: 'English', scripts: ['Latin'] },
+    { code: 'hin', name: 'Hindi', scripts: ['Devanagari'] },
+    { code: 'mar', name: 'Marathi', scripts: ['Devanagari'] },
+    { code: 'ben', name: 'Bengali', scripts: ['Bengali'] },
+    { code: 'tam', name: 'Tamil', scripts: ['Tamil'] },
+    { code: 'tel', name: 'Telugu', scripts: ['Telugu'] },
+    { code: 'guj', name: 'Gujarati', scripts: ['Gujarati'] },
+    { code: 'pan', name: 'Punjabi', scripts: ['Gurmukhi'] },
+    { code: 'urd', name: 'Urdu', scripts: ['Arabic'] },
+    { code: 'ara', name: 'Arabic', scripts: ['Arabic'] },
+    { code: 'chi_sim', name: 'Chinese (Simplified)', scripts: ['Han'] },
+    { code: 'chi_tra', name: 'Chinese (Traditional)', scripts: ['Han'] },
+    { code: 'jpn', name: 'Japanese', scripts: ['Han', 'Hiragana', 'Katakana'] },
+    { code: 'kor', name: 'Korean', scripts: ['Hangul', 'Han'] },
+    { code: 'rus', name: 'Russian', scripts: ['Cyrillic'] },
+    { code: 'ukr', name: 'Ukrainian', scripts: ['Cyrillic'] },
+    { code: 'ell', name: 'Greek', scripts: ['Greek'] },
+    { code: 'heb', name: 'Hebrew', scripts: ['Hebrew'] },
+    { code: 'tha', name: 'Thai', scripts: ['Thai'] },
+    { code: 'fra', name: 'French', scripts: ['Latin'] },
+    { code: 'deu', name: 'German', scripts: ['Latin'] },
+    { code: 'spa', name: 'Spanish', scripts: ['Latin'] },
+    { code: 'por', name: 'Portuguese', scripts: ['Latin'] },
+    { code: 'ita', name: 'Italian', scripts: ['Latin'] },
+    { code: 'nld', name: 'Dutch', scripts: ['Latin'] },
+    { code: 'pol', name: 'Polish', scripts: ['Latin'] },
+    { code: 'tur', name: 'Turkish', scripts: ['Latin'] },
+    { code: 'vie', name: 'Vietnamese', scripts: ['Latin'] },
+    { code: 'ind', name: 'Indonesian', scripts: ['Latin'] }
+];
+
+// Shipped in lib/ as <code>.traineddata.gz - everything else is imported by the user
+export const BUNDLED_OCR_LANGUAGES = ['eng'];
+
+export const DEFAULT_OCR_LANGUAGE = 'auto';
+
+// Where users can download packs to import
+export const TESSDATA_DOWNLOAD_URL = 'https://github.com/tesseract-ocr/tessdata_fast';
+
+// Auto-detect runs every installed pack at once; more than this gets slow and noisy
+const MAX_AUTO_LANGUAGES = 3;
+
+// Imported packs are written to the IndexedDB cache Tesseract.js checks before fetching from
+// langPath (its idb-keyval store), so the worker loads them natively with cacheMethod 'readOnly'
+const TESSERACT_CACHE_DB = 'keyval-store';
+const TESSERACT_CACHE_STORE = 'keyval';
+export const OCR_CACHE_PATH = 'snipask-tessdata';
+
+// Opened at whatever version Tesseract.js created it with
+const db = createDatabase(TESSERACT_CACHE_DB, undefined, (database) => {
+    database.createObjectStore(TESSERACT_CACHE_STORE);
+});
+
+function withStore(mode, fn) {
+    return db.withStore(TESSERACT_CACHE_STORE, mode, fn);
+}
+
+/**
+ * Cache key Tesseract.js reads for a language ("<cachePath>/<code>.traineddata")
+ * @param {string} code
+ * @returns {string}
+ */
+function getPackKey(code) {
+    return `${OCR_CACHE_PATH}/${code}.traineddata`;
+}
+
+/**
+ * Look up a language by Tesseract code
+ * @param {string} code
+ * @returns {Object|undefined}
+ */
+export function getOCRLanguage(code) {
+    return OCR_LANGUAGES.find(lang => lang.code === code);
+}
+
+/**
+ * Derive the language code from a traineddata file name ("hin.traineddata.gz" -> "hin")
+ * @param {string} fileName
+ * @returns {string|null} Code, or null if the name isn't a traineddata file
+ */
+export function getLanguageCodeFromFileName(fileName) {
+    const match = /^([a-z]{3}(?:_[a-z]+)?)\.traineddata(?:\.gz)?$/i.exec(fileName.trim());
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Store an imported traineddata pack (raw or gzipped - Tesseract detects either)
+ * @param {string} code - Tesseract language code
+ * @param {ArrayBuffer} data
+ */
+export async function saveLanguagePack(code, data) {
+    if (!code || !(data instanceof ArrayBuffer) || data.byteLength === 0) {
+        throw new Error('Invalid language pack');
+    }
+    await withStore('readwrite', store => store.put(new Uint8Array(data), getPackKey(code)));
+}
+
+/**
+ * List the codes of imported packs
+ * @returns {Promise<string[]>}
+ */
+export async function listLanguagePacks() {
+    const keys = await withStore('readonly', store => store.getAllKeys());
+    const prefix = `${OCR_CACHE_PATH}/`;
+    return keys
+        .filter(key => typeof key === 'string' && key.startsWith(prefix))
+        .map(key => key.slice(prefix.length).replace(/\.traineddata$/, ''));
+}
+
+/**
+ * Remove an imported pack
+ * @param {string} code
+ */
+export async function deleteLanguagePack(code) {
+    await withStore('readwrite', store => store.delete(getPackKey(code)));
+}
+
+/**
+ * Resolve the OCR language setting into the list of Tesseract codes to load
+ * - 'auto': the browser UI language (if its pack is available) plus English plus other installed packs
+ * - 'eng+hin': explicit combination, in the given order
+ * @param {string} setting - Stored ocrLanguage value
+ * @param {string[]} installed - Codes with an available pack (bundled + imported)
+ * @param {string} [uiLanguage] - e.g. navigator.language ("hi-IN")
+ * @returns {string[]}
+ */
+export function resolveOCRLanguages(setting, installed, uiLanguage = '') {
+    if (setting && setting !== 'auto') {
+        return setting.split('+').filter(Boolean);
+    }
+
+    const ordered = [];
+    const preferred = getLanguageForLocale(uiLanguage);
+    if (preferred && installed.includes(preferred)) ordered.push(preferred);
+    if (!ordered.includes('eng')) ordered.push('eng');
+    installed.forEach(code => {
+        if (!ordered.includes(code)) ordered.push(code);
+    });
+
+    return ordered.slice(0, MAX_AUTO_LANGUAGES);
+}
+
+// BCP 47 primary language subtag -> Tesseract code
+const LOCALE_TO_TESSERACT = {
+    en: 'eng', hi: 'hin', mr: 'mar', bn: 'ben', ta: 'tam', te: 'tel', gu: 'guj', pa: 'pan',
+    ur: 'urd', ar: 'ara', ja: 'jpn', ko: 'kor', ru: 'rus', uk: 'ukr', el: 'ell', he: 'heb',
+    th: 'tha', fr: 'fra', de: 'deu', es: 'spa', pt: 'por', it: 'ita', nl: 'nld', pl: 'pol',
+    tr: 'tur', vi: 'vie', id: 'ind'
+};
+
+/**
+ * Map a browser locale to a Tesseract code
+ * @param {string} locale - e.g. "zh-TW", "hi-IN"
+ * @returns {string|null}
+ */
+function getLanguageForLocale(locale) {
+    if (!locale) return null;
+    const [primary, region] = locale.toLowerCase().split('-');
+    if (primary === 'zh') return ['tw', 'hk', 'mo'].includes(region) ? 'chi_tra' : 'chi_sim';
+    return LOCALE_TO_TESSERACT[primary] || null;
+}
+
+/**
+ * Unicode scripts expected for a list of languages (used by the OCR quality analyzer)
+ * @param {string[]} codes
+ * @returns {string[]}
+ */
+export function getScriptsForLanguages(codes) {
+    const scripts = new Set();
+    codes.forEach(code => (getOCRLanguage(code)?.scripts || []).forEach(s => scripts.add(s)));
+    return [...scripts];
+}
@@ -0,0 +1,113 @@
+// src/background/prompt-template.js
+// Template variables for mode prompts - {{page.title}}, {{selection}}, {{field:Name}} ...
+
+/**
+ * Built-in variables, filled in by the background from the tab and request
+ */
+export const PROMPT_VARIABLES = [
+    { key: 'page.title', description: 'Title of the page you snipped' },
+    { key: 'page.url', description: 'Address of the page' },
+    { key: 'selection', description: 'Text selected on the page when the snip started' },
+    { key: 'date', description: "Today's date" },
+    { key: 'language', description: 'Your browser language' }
+];
+
+// Longest page-provided value inserted into a prompt (a whole-page selection would swamp it)
+const MAX_VALUE_LENGTH = 2000;
+
+// {{ name }} - whitespace inside the braces is allowed
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+// {{field:Name}} or {{field:Name|default}} - asked for when snipping
+const FIELD_PREFIX = 'field:';
+
+/**
+ * Parse a fill-in field expression ("field:Target language|English")
+ * @param {string} expression - Contents of the braces
+ * @returns {{name: string, defaultValue: string}|null}
+ */
+function parseField(expression) {
+    if (!expression.startsWith(FIELD_PREFIX)) return null;
+    const [name, ...rest] = expression.slice(FIELD_PREFIX.length).split('|');
+    if (!name.trim()) return null;
+    return { name: name.trim(), defaultValue: rest.join('|').trim() };
+}
+
+/**
+ * Fill-in fields a prompt asks for, in order of first appearance
+ * @param {string} prompt
+ * @returns {Array<{name: string, defaultValue: string}>}
+ */
+export function getTemplateFields(prompt) {
+    const fields = [];
+    for (const match of (prompt || '').matchAll(VARIABLE_PATTERN)) {
+        const field = parseField(match[1]);
+        if (field && !fields.some(f => f.name === field.name)) fields.push(field);
+    }
+    return fields;
+}
+
+/**
+ * Whether a prompt uses any template syntax
+ * @param {string} prompt
+ * @returns {boolean}
+ */
+export function hasTemplateVariables(prompt) {
+    return new RegExp(VARIABLE_PATTERN.source).test(prompt || '');
+}
+
+/**
+ * Page-provided values end up in the system prompt: keep them short and unable to
+ * open or close the <user_snip> tags the security protocol relies on
+ * @param {string} value
+ * @returns {string}
+ */
+function sanitizeValue(value) {
+    return String(value || '')
+        .slice(0, MAX_VALUE_LENGTH)
+        .replace(/</g, "\\<")
+        .replace(/>/g, "\\>");
+}
+
+/**
+ * Display name for a locale ("hi-IN" -> "Hindi")
+ * @param {string} locale
+ * @returns {string}
+ */
+export function getLanguageName(locale) {
+    if (!locale) return '';
+    const primary = locale.split('-')[0];
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(primary) || locale;
+    } catch (e) {
+        return locale;
+    }
+}
+
+/**
+ * Replace template variables in a prompt.
+ * Unknown variables are left untouched so typos stay visible in the preview.
+ * @param {string} prompt
+ * @param {Object} context - { page: { title, url }, selection, date, language, fields: { Name: value } }
+ * @returns {string}
+ */
+export function renderPromptTemplate(prompt, context = {}) {
+    if (!prompt || !hasTemplateVariables(prompt)) return prompt;
+
+    const values = {
+        'page.title': sanitizeValue(context.page?.title),
+        'page.url': sanitizeValue(context.page?.url),
+        'selection': sanitizeValue(context.selection),
+        'date': context.date || '',
+        'language': context.language || ''
+    };
+
+    return prompt.replace(VARIABLE_PATTERN, (match, expression) => {
+        const field = parseField(expression);
+        if (field) {
+            const value = context.fields?.[field.name];
+            return sanitizeValue(value && value.trim() ? value : field.defaultValue);
+        }
+        return Object.prototype.hasOwnProperty.call(values, expression) ? values[expression] : match;
+    });
+}
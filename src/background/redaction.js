@@ -0,0 +1,373 @@
+// src/background/redaction.js
+// PII and secret redaction for outgoing requests - text is masked, image matches are blacked out via OCR word boxes
+
+export const REDACTION_CATEGORIES = ['secrets', 'emails', 'cards', 'ips', 'phones'];
+
+// Providers that run on the user's machine see the unredacted snip by default
+export const DEFAULT_REDACTION_SETTINGS = {
+    enabled: true,
+    images: true,
+    // Refuse to send an image whose redaction failed (e.g. OCR unavailable) instead of sending it as is
+    blockUnredactedImages: true,
+    categories: { secrets: true, emails: true, cards: true, ips: true, phones: true },
+    providers: { groq: true, google: true, openrouter: true, compatible: true, ollama: false, guest: true }
+};
+
+const REPLACEMENTS = {
+    secrets: '[REDACTED_SECRET]',
+    emails: '[REDACTED_EMAIL]',
+    cards: '[REDACTED_CARD]',
+    ips: '[REDACTED_IP]',
+    phones: '[REDACTED_PHONE]'
+};
+
+// Names whose assigned value is a credential (`api_key = ...`, `"password": ...`)
+const SECRET_NAMES = 'api[_-]?key|secret(?:[_-]?key)?|access[_-]?key|client[_-]?secret|auth[_-]?token|token|password|passwd|pwd';
+
+// `group` redacts only that capture group (the value of `password = ...`, not the name)
+const PATTERNS = [
+    { category: 'secrets', regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+    { category: 'secrets', regex: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g }, // JWT
+    { category: 'secrets', regex: /\b(?:sk|pk|rk)-(?:ant-|or-v1-|proj-)?[A-Za-z0-9_-]{20,}/g },       // OpenAI, Anthropic, OpenRouter
+    { category: 'secrets', regex: /\bgsk_[A-Za-z0-9]{20,}/g },                                         // Groq
+    { category: 'secrets', regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },                                      // Google
+    { category: 'secrets', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g },   // GitHub
+    { category: 'secrets', regex: /\bglpat-[A-Za-z0-9_-]{20,}/g },                                     // GitLab
+    { category: 'secrets', regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },                                 // Slack
+    { category: 'secrets', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },                                  // AWS access key
+    { category: 'secrets', regex: /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}/g },                  // Stripe
+    { category: 'secrets', regex: /\bhf_[A-Za-z0-9]{30,}/g },                                          // Hugging Face
+    { category: 'secrets', regex: /\bBearer\s+([A-Za-z0-9._~+/-]{16,}=*)/g, group: 1 },
+    // `password = "..."`: quoted values are literals, unlike code such as `token = getToken(req)`
+    { category: 'secrets', regex: new RegExp(`\\b(?:${SECRET_NAMES})["']?\\s*[:=]\\s*(["'])([^\\s"']{8,})\\1`, 'gi'), group: 2 },
+    // Unquoted (.env files, query strings): only values with a digit in them, and never calls or member access
+    { category: 'secrets', regex: new RegExp(`\\b(?:${SECRET_NAMES})["']?\\s*[:=]\\s*(?=([^\\s"'\`,;.()&<>]{8,}))\\1(?![.(])`, 'gi'), group: 1, validate: hasDigit },
+    { category: 'emails', regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    { category: 'cards', regex: /\b\d(?:[ -]?\d){12,18}\b/g, validate: isLuhnValid },
+    { category: 'ips', regex: /\b(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\b/g },
+    // IPv6 needs a digit somewhere, so hex-looking words around `::` (`cafe::face`) aren't addresses
+    { category: 'ips', regex: /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b|\b(?:[0-9a-f]{1,4}:){1,6}:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*\b/gi, validate: hasDigit },
+    { category: 'phones', regex: /(?<![\w+])(?:\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}|\(\d{3}\)\s?\d{3}[\s.-]\d{4}|\d{3}[.-]\d{3}[.-]\d{4})(?!\w)/g }
+];
+
+// Extra pixels blacked out around each matched word box
+const BOX_PADDING = 3;
+// Recently redacted images, so follow-ups that resend the same snip don't run OCR again
+const IMAGE_CACHE_SIZE = 8;
+const imageCache = new Map();
+// Masked values listed in the preview
+const MAX_SAMPLES = 20;
+
+function hasDigit(value) {
+    return /\d/.test(value);
+}
+
+function isLuhnValid(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Categories to redact for a provider, or null when the policy skips it
+ * @param {Object|undefined} settings - Stored `redaction` settings
+ * @param {string} provider - 'groq', 'google', 'openrouter', 'compatible', 'ollama' or 'guest'
+ * @returns {{categories: string[], images: boolean, blockUnredactedImages: boolean}|null}
+ */
+export function getRedactionPolicy(settings, provider) {
+    const merged = {
+        ...DEFAULT_REDACTION_SETTINGS,
+        ...settings,
+        categories: { ...DEFAULT_REDACTION_SETTINGS.categories, ...settings?.categories },
+        providers: { ...DEFAULT_REDACTION_SETTINGS.providers, ...settings?.providers }
+    };
+    if (!merged.enabled || !merged.providers[provider]) return null;
+    const categories = REDACTION_CATEGORIES.filter(c => merged.categories[c]);
+    if (categories.length === 0) return null;
+    return {
+        categories,
+        images: merged.images !== false,
+        blockUnredactedImages: merged.blockUnredactedImages !== false
+    };
+}
+
+/**
+ * Sensitive spans in a string, overlapping matches merged
+ * @param {string} text
+ * @param {string[]} categories
+ * @returns {Array<{start: number, end: number, category: string, value: string}>}
+ */
+export function findSensitiveSpans(text, categories) {
+    const spans = [];
+    for (const pattern of PATTERNS) {
+        if (!categories.includes(pattern.category)) continue;
+        pattern.regex.lastIndex = 0;
+        for (const match of text.matchAll(pattern.regex)) {
+            const value = pattern.group ? match[pattern.group] : match[0];
+            if (!value || (pattern.validate && !pattern.validate(value))) continue;
+            const start = match.index + (pattern.group ? match[0].indexOf(value) : 0);
+            spans.push({ start, end: start + value.length, category: pattern.category, value });
+        }
+    }
+
+    spans.sort((a, b) => a.start - b.start || b.end - a.end);
+    const merged = [];
+    for (const span of spans) {
+        const last = merged[merged.length - 1];
+        if (last && span.start < last.end) {
+            if (span.end > last.end) {
+                last.end = span.end;
+                last.value = text.slice(last.start, last.end);
+            }
+        } else {
+            merged.push({ ...span });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Mask sensitive values in text
+ * @param {string} text
+ * @param {string[]} categories
+ * @returns {{text: string, spans: Array}}
+ */
+export function redactText(text, categories) {
+    const spans = findSensitiveSpans(text, categories);
+    let result = text;
+    for (let i = spans.length - 1; i >= 0; i--) {
+        result = result.slice(0, spans[i].start) + REPLACEMENTS[spans[i].category] + result.slice(spans[i].end);
+    }
+    return { text: result, spans };
+}
+
+/**
+ * Word boxes covering sensitive values, matched line by line so values split into
+ * several OCR words (card numbers with spaces, "Bearer <token>") are still found
+ * @param {Array<{words: Array<{text: string, x0: number, y0: number, x1: number, y1: number}>}>} lines
+ * @param {string[]} categories
+ * @returns {{boxes: Array<{x0: number, y0: number, x1: number, y1: number}>, spans: Array}}
+ */
+export function findSensitiveBoxes(lines, categories) {
+    const boxes = [];
+    const found = [];
+    for (const line of lines) {
+        let text = '';
+        const offsets = line.words.map(word => {
+            const start = text.length ? text.length + 1 : 0;
+            text += (text.length ? ' ' : '') + word.text;
+            return { start, end: start + word.text.length, word };
+        });
+
+        for (const span of findSensitiveSpans(text, categories)) {
+            const words = offsets.filter(o => o.start < span.end && o.end > span.start).map(o => o.word);
+            if (words.length === 0) continue;
+            found.push(span);
+            boxes.push({
+                x0: Math.min(...words.map(w => w.x0)) - BOX_PADDING,
+                y0: Math.min(...words.map(w => w.y0)) - BOX_PADDING,
+                x1: Math.max(...words.map(w => w.x1)) + BOX_PADDING,
+                y1: Math.max(...words.map(w => w.y1)) + BOX_PADDING
+            });
+        }
+    }
+    return { boxes, spans: found };
+}
+
+/**
+ * Paint black rectangles over an image
+ * @param {string} base64 - JPEG/PNG base64 without prefix
+ * @param {Array} boxes - Pixel boxes in image coordinates
+ * @returns {Promise<string>} JPEG base64 without prefix
+ */
+async function blackoutImage(base64, boxes) {
+    const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    const bitmap = await createImageBitmap(new Blob([bytes]));
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    ctx.fillStyle = '#000';
+    boxes.forEach(b => ctx.fillRect(b.x0, b.y0, b.x1 - b.x0, b.y1 - b.y0));
+
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.85 });
+    const buffer = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < buffer.length; i += 0x8000) {
+        binary += String.fromCharCode(...buffer.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Black out sensitive text in an image (cached per image)
+ * @param {string} base64
+ * @param {string[]} categories
+ * @param {Function} findWords - (base64) => Promise<lines with word boxes>
+ * @returns {Promise<{base64: string, spans: Array, regions: number}>}
+ */
+async function redactImage(base64, categories, findWords) {
+    const cacheKey = `${categories.join(',')}:${base64}`;
+    if (imageCache.has(cacheKey)) return imageCache.get(cacheKey);
+
+    // The promise is cached so parallel requests (consensus, compare) share one OCR pass
+    const pending = (async () => {
+        const { boxes, spans } = findSensitiveBoxes(await findWords(base64), categories);
+        return {
+            base64: boxes.length > 0 ? await blackoutImage(base64, boxes) : base64,
+            spans,
+            regions: boxes.length
+        };
+    })();
+
+    imageCache.set(cacheKey, pending);
+    if (imageCache.size > IMAGE_CACHE_SIZE) imageCache.delete(imageCache.keys().next().value);
+    pending.catch(() => imageCache.delete(cacheKey));
+    return pending;
+}
+
+/**
+ * Value as shown in the preview - enough to recognise it, not enough to reuse it
+ * @param {string} value
+ * @returns {string}
+ */
+function maskPreview(value) {
+    const clean = value.replace(/\s+/g, ' ');
+    if (clean.length <= 6) return '•'.repeat(clean.length);
+    const keep = clean.length > 16 ? 4 : 2;
+    return `${clean.slice(0, keep)}…${clean.slice(-keep)}`;
+}
+
+function createReport() {
+    return { counts: {}, samples: [], imageRegions: 0, images: [], imageErrors: 0 };
+}
+
+function addSpans(report, spans) {
+    spans.forEach(span => {
+        report.counts[span.category] = (report.counts[span.category] || 0) + 1;
+        const preview = maskPreview(span.value);
+        if (report.samples.length < MAX_SAMPLES && !report.samples.some(s => s.category === span.category && s.preview === preview)) {
+            report.samples.push({ category: span.category, preview });
+        }
+    });
+}
+
+/**
+ * Redact every text part (and, if enabled, image part) of a message list
+ * @param {Array} messages - Chat messages (string or multipart content)
+ * @param {{categories: string[], images: boolean, blockUnredactedImages: boolean}} policy
+ * @param {Function} findWords - OCR word boxes for an image
+ * @param {Object} report - Collects what was masked
+ * @returns {Promise<Array>}
+ * @throws {Error} When an image can't be redacted and the policy blocks unredacted images
+ */
+async function redactMessages(messages, policy, findWords, report) {
+    const redactString = (text) => {
+        const { text: masked, spans } = redactText(text, policy.categories);
+        addSpans(report, spans);
+        return masked;
+    };
+
+    const result = [];
+    for (const msg of messages) {
+        if (typeof msg.content === 'string') {
+            result.push({ ...msg, content: redactString(msg.content) });
+            continue;
+        }
+        if (!Array.isArray(msg.content)) {
+            result.push(msg);
+            continue;
+        }
+
+        const parts = [];
+        for (const part of msg.content) {
+            if (part.type === 'text' && typeof part.text === 'string') {
+                parts.push({ ...part, text: redactString(part.text) });
+            } else if (part.type === 'image_url' && policy.images && msg.role === 'user') {
+                const [prefix, base64] = part.image_url.url.split(',');
+                try {
+                    const image = await redactImage(base64, policy.categories, findWords);
+                    addSpans(report, image.spans);
+                    if (image.regions > 0) {
+                        report.imageRegions += image.regions;
+                        if (!report.images.includes(image.base64)) report.images.push(image.base64);
+                    }
+                    const url = image.regions > 0 ? `data:image/jpeg;base64,${image.base64}` : `${prefix},${base64}`;
+                    parts.push({ ...part, image_url: { ...part.image_url, url } });
+                } catch (error) {
+                    // OCR unavailable (e.g. missing language pack) - the image can't be checked
+                    if (policy.blockUnredactedImages) {
+                        throw new Error(`Image redaction failed (${error.message}), so the image was not sent. Fix OCR or turn off "Block images that can't be redacted" in Privacy Redaction settings.`);
+                    }
+                    console.warn('Snip & Ask: image redaction failed, sending the original', error);
+                    report.imageErrors += 1;
+                    parts.push(part);
+                }
+            } else {
+                parts.push(part);
+            }
+        }
+        result.push({ ...msg, content: parts });
+    }
+    return result;
+}
+
+/**
+ * Make a service redact everything it sends. Replies carry a `redaction` report
+ * ({ counts, samples, imageRegions, images, imageErrors }) when something was masked
+ * or an image went out unredacted.
+ * @param {Object} service - AI service from getAIService()
+ * @param {{categories: string[], images: boolean, blockUnredactedImages: boolean}} policy
+ * @param {Function} findWords - (base64) => Promise<OCR lines with word boxes>
+ * @returns {Object}
+ */
+export function applyRedaction(service, policy, findWords) {
+    const send = service.chat.bind(service);
+    let report = createReport();
+    let asking = false;
+    const finish = (result) => {
+        const hasFindings = report.samples.length > 0 || report.imageRegions > 0 || report.imageErrors > 0;
+        return hasFindings ? { ...result, redaction: report } : result;
+    };
+
+    // The system prompt is added inside chat(), after the messages are redacted, and can carry
+    // rendered template values ({{selection}}, {{page.url}}, {{field:...}}) - mask it there too
+    const getSystemInstruction = service._getSystemInstruction.bind(service);
+    service._getSystemInstruction = () => {
+        const { text, spans } = redactText(getSystemInstruction(), policy.categories);
+        addSpans(report, spans);
+        return text;
+    };
+
+    service.chat = async (messages, options) => {
+        if (!asking) report = createReport();
+        const redacted = await redactMessages(messages, policy, findWords, report);
+        return finish(await send(redacted, options));
+    };
+
+    // askImage/askText go through chat(); collect one report per call
+    ['askImage', 'askText'].forEach(method => {
+        const ask = service[method].bind(service);
+        service[method] = async (...args) => {
+            report = createReport();
+            asking = true;
+            try {
+                return finish(await ask(...args));
+            } finally {
+                asking = false;
+            }
+        };
+    });
+
+    return service;
+}
@@ -0,0 +1,137 @@
+// src/background/tokenizer.js
+// Offline token estimates - a BPE-style approximation per tokenizer family, plus image sizes for vision costs
+
+/**
+ * How each tokenizer family splits text. Rough rates, but far closer than a flat 4 characters
+ * per token for code, numbers and non-Latin scripts.
+ * - wholeWord:     Latin words up to this length are almost always a single token
+ * - wordChars:     average characters per token for longer words
+ * - cjkPerChar:    tokens per Han/Kana/Hangul character
+ * - otherChars:    characters per token for other scripts (Cyrillic, Devanagari, Arabic...)
+ * - digitGroup:    digits merged per token (SentencePiece vocabularies split every digit)
+ * - spaceRun:      longest run of spaces covered by one token (code indentation)
+ * - emoji:         tokens per emoji / astral symbol (byte fallback)
+ */
+const TOKENIZER_PROFILES = {
+    // cl100k-style 100-128k BPE (Llama 3, DeepSeek, Kimi)
+    tiktoken: { wholeWord: 7, wordChars: 4.2, cjkPerChar: 1.1, otherChars: 2.0, digitGroup: 3, spaceRun: 16, emoji: 2 },
+    // o200k-style 200k BPE (GPT-OSS, Llama 4, Compound)
+    o200k: { wholeWord: 8, wordChars: 4.5, cjkPerChar: 0.8, otherChars: 3.0, digitGroup: 3, spaceRun: 16, emoji: 2 },
+    // Gemini / Gemma 256k SentencePiece
+    gemini: { wholeWord: 8, wordChars: 4.3, cjkPerChar: 0.7, otherChars: 3.0, digitGroup: 1, spaceRun: 31, emoji: 1 },
+    // Qwen 151k BPE
+    qwen: { wholeWord: 7, wordChars: 4.2, cjkPerChar: 0.75, otherChars: 2.2, digitGroup: 1, spaceRun: 16, emoji: 2 },
+    // 32k SentencePiece (Mistral, LLaVA, older Llama)
+    sentencepiece: { wholeWord: 6, wordChars: 3.5, cjkPerChar: 1.5, otherChars: 1.5, digitGroup: 1, spaceRun: 4, emoji: 3 }
+};
+
+export const DEFAULT_TOKENIZER = 'tiktoken';
+
+// GPT-style pre-tokenizer: contractions, words (with their leading space), up to 3 digits,
+// punctuation runs, newlines, other whitespace
+const PRETOKENIZE_PATTERN = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}|\s?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+/giu;
+
+// Letters of one script inside a word
+const SCRIPT_RUN_PATTERN = /(\p{Script=Latin}+)|([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+)|(\p{L}+)/gu;
+
+const ASTRAL_PATTERN = /[\u{10000}-\u{10FFFF}]/gu;
+
+/**
+ * Tokens for one word piece (split further by script)
+ * @param {string} word
+ * @param {Object} profile
+ * @returns {number}
+ */
+function countWord(word, profile) {
+    let tokens = 0;
+    for (const match of word.matchAll(SCRIPT_RUN_PATTERN)) {
+        const [, latin, cjk, other] = match;
+        if (latin) {
+            tokens += latin.length <= profile.wholeWord ? 1 : Math.ceil(latin.length / profile.wordChars);
+        } else if (cjk) {
+            tokens += Math.ceil([...cjk].length * profile.cjkPerChar);
+        } else if (other) {
+            tokens += Math.ceil([...other].length / profile.otherChars);
+        }
+    }
+    return Math.max(1, tokens);
+}
+
+/**
+ * Approximate the number of tokens a model's tokenizer produces for a text
+ * @param {string} text
+ * @param {string} [family] - Key of TOKENIZER_PROFILES
+ * @returns {number}
+ */
+export function countTokens(text, family = DEFAULT_TOKENIZER) {
+    if (!text) return 0;
+    const profile = TOKENIZER_PROFILES[family] || TOKENIZER_PROFILES[DEFAULT_TOKENIZER];
+
+    let tokens = 0;
+    for (const [piece] of text.matchAll(PRETOKENIZE_PATTERN)) {
+        if (/\p{L}/u.test(piece)) {
+            tokens += countWord(piece, profile);
+        } else if (/^\p{N}+$/u.test(piece)) {
+            tokens += Math.ceil(piece.length / profile.digitGroup);
+        } else if (/^\s+$/.test(piece)) {
+            // A newline run is one token; indentation costs one token per spaceRun
+            const spaces = piece.replace(/[\r\n]/g, '').length;
+            const newline = /[\r\n]/.test(piece) ? 1 : 0;
+            tokens += Math.max(1, newline + (spaces > 1 ? Math.ceil(spaces / profile.spaceRun) : 0));
+        } else {
+            const astral = (piece.match(ASTRAL_PATTERN) || []).length;
+            const symbols = piece.replace(ASTRAL_PATTERN, '').replace(/\s/g, '').length;
+            tokens += astral * profile.emoji + Math.ceil(symbols / 2);
+        }
+    }
+    return tokens;
+}
+
+// Enough base64 to reach the size header of any JPEG with a normal EXIF block
+const HEADER_BASE64_CHARS = 65536;
+
+/**
+ * Read the pixel size of a base64 PNG/JPEG/GIF without decoding the image
+ * @param {string} base64OrDataUrl
+ * @returns {{width: number, height: number}|null}
+ */
+export function getImageDimensions(base64OrDataUrl) {
+    if (!base64OrDataUrl) return null;
+    const commaIdx = base64OrDataUrl.indexOf(',');
+    const base64 = base64OrDataUrl.startsWith('data:') ? base64OrDataUrl.slice(commaIdx + 1) : base64OrDataUrl;
+
+    let bytes;
+    try {
+        const head = base64.slice(0, HEADER_BASE64_CHARS);
+        bytes = atob(head.slice(0, head.length - head.length % 4));
+    } catch (e) {
+        return null;
+    }
+    const byte = (i) => bytes.charCodeAt(i);
+    const u16be = (i) => (byte(i) << 8) | byte(i + 1);
+
+    // PNG: IHDR width/height at 16/20
+    if (bytes.startsWith('\x89PNG')) {
+        return { width: (u16be(16) << 16) | u16be(18), height: (u16be(20) << 16) | u16be(22) };
+    }
+
+    // GIF: little-endian logical screen size
+    if (bytes.startsWith('GIF8')) {
+        return { width: byte(6) | (byte(7) << 8), height: byte(8) | (byte(9) << 8) };
+    }
+
+    // JPEG: walk segments to the first SOFn marker
+    if (byte(0) === 0xFF && byte(1) === 0xD8) {
+        let i = 2;
+        while (i + 9 < bytes.length) {
+            if (byte(i) !== 0xFF) return null;
+            const marker = byte(i + 1);
+            if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                return { width: u16be(i + 7), height: u16be(i + 5) };
+            }
+            i += 2 + u16be(i + 2);
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,69 @@
+// src/background/usage-store.js
+// Per-request usage log for the usage dashboard (IndexedDB, service worker only)
+
+import { createDatabase } from './idb.js';
+
+const DB_NAME = 'snipask-usage';
+const DB_VERSION = 1;
+const STORE_REQUESTS = 'requests';
+
+// Older records are dropped - the dashboard never looks further back than this
+const RETENTION_DAYS = 90;
+
+const db = createDatabase(DB_NAME, DB_VERSION, (database) => {
+    if (!database.objectStoreNames.contains(STORE_REQUESTS)) {
+        const store = database.createObjectStore(STORE_REQUESTS, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+    }
+});
+
+function withStore(mode, fn) {
+    return db.withStore(STORE_REQUESTS, mode, fn);
+}
+
+/**
+ * Delete records older than the retention window
+ */
+async function pruneOldRecords() {
+    const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    await withStore('readwrite', store => {
+        const cursorRequest = store.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true));
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+        return cursorRequest;
+    });
+}
+
+/**
+ * Log one provider request (each failover attempt is its own record)
+ * @param {Object} entry - { provider, model, mode, guest, promptTokens, completionTokens,
+ *   totalTokens, latencyMs, success, error, failover }
+ */
+export async function recordUsage(entry) {
+    await withStore('readwrite', store => store.add({
+        timestamp: Date.now(),
+        ...entry
+    }));
+    await pruneOldRecords();
+}
+
+/**
+ * Records since a point in time, oldest first
+ * @param {number} since - Epoch ms
+ * @returns {Promise<Array>}
+ */
+export async function listUsage(since = 0) {
+    return withStore('readonly', store => store.index('timestamp').getAll(IDBKeyRange.lowerBound(since)));
+}
+
+/**
+ * Delete the whole usage log
+ */
+export async function clearUsage() {
+    await withStore('readwrite', store => store.clear());
+}
@@ -0,0 +1,105 @@
+// chat.js - Chat page for files dropped or pasted into the popup
+// Runs the same chat window as on web pages; the files are held by the service worker until fetched
+
+const dropZone = document.getElementById('dropZone');
+const statusEl = document.getElementById('status');
+
+function send(message) {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+                resolve({ success: false, error: chrome.runtime.lastError.message });
+                return;
+            }
+            resolve(response || { success: false, error: 'No response' });
+        });
+    });
+}
+
+/**
+ * Rebuild a File from the popup's { name, type, data (base64) }
+ */
+function toFile({ name, type, data }) {
+    const bytes = Uint8Array.from(atob(data), c => c.charCodeAt(0));
+    return new File([bytes], name || 'file', { type: type || '' });
+}
+
+/**
+ * Ask about files in the open chat window, or a new one
+ */
+function ask(files, pasted = false) {
+    if (files.length === 0) {
+        statusEl.textContent = 'Only images and PDFs are supported.';
+        return;
+    }
+    statusEl.textContent = 'Drop or paste more files to ask about them in the same chat.';
+    handleDroppedFiles(files, WindowManager.windows[0] || null, pasted);
+}
+
+/**
+ * Opened by the "Ask about clipboard image" shortcut on a page that can't host the chat window
+ */
+async function askClipboard() {
+    let blob = null;
+    try {
+        blob = await readClipboardImage();
+    } catch (e) {
+        // Reading needs focus, which a freshly opened tab may not have yet
+    }
+    if (!blob) {
+        statusEl.textContent = 'No clipboard image could be read - press Ctrl+V (⌘V) to paste it.';
+        return;
+    }
+    statusEl.textContent = 'Drop or paste more files to ask about them in the same chat.';
+    try {
+        await openChatForImages([await imageFileToBase64(blob)], 'Clipboard image');
+    } catch (e) {
+        statusEl.textContent = e.message;
+    }
+}
+
+document.addEventListener('dragover', (e) => {
+    if (!hasDraggedFiles(e.dataTransfer)) return;
+    e.preventDefault();
+    dropZone.classList.add('active');
+});
+
+document.addEventListener('dragleave', (e) => {
+    if (!e.relatedTarget) dropZone.classList.remove('active');
+});
+
+// Drops on the chat window itself are handled (and stopped) there
+document.addEventListener('drop', (e) => {
+    if (!hasDraggedFiles(e.dataTransfer)) return;
+    e.preventDefault();
+    dropZone.classList.remove('active');
+    ask(getSupportedFiles(e.dataTransfer));
+});
+
+document.addEventListener('paste', (e) => {
+    if (e.defaultPrevented) return;
+    const files = getSupportedFiles(e.clipboardData);
+    if (files.length === 0) return;
+    e.preventDefault();
+    ask(files, true);
+});
+
+async function init() {
+    const params = new URLSearchParams(location.search);
+    if (params.get('clipboard')) {
+        askClipboard();
+        return;
+    }
+
+    const id = params.get('id');
+    if (!id) return;
+
+    const response = await send({ action: 'GET_PENDING_FILES', id });
+    if (!response.success) {
+        statusEl.textContent = response.error || 'Could not load the files.';
+        return;
+    }
+    ask(response.files.map(toFile), response.pasted);
+}
+
+init();
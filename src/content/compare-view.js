@@ -0,0 +1,616 @@
+// src/content/compare-view.js
+// CompareView - all model answers side by side in one window, with diffs, MCQ agreement and voting
+
+// Longest answer (in words) that gets a word-level diff - the LCS table is quadratic
+const MAX_DIFF_WORDS = 1500;
+
+/**
+ * Split an answer into words and the whitespace between them, with a comparison key per word
+ * @param {string} text
+ * @returns {{pieces: string[], keys: string[], wordIndex: number[]}} wordIndex maps word -> piece
+ */
+function tokenizeForDiff(text) {
+    const pieces = text.split(/(\s+)/).filter(Boolean);
+    const keys = [];
+    const wordIndex = [];
+    pieces.forEach((piece, i) => {
+        if (/^\s+$/.test(piece)) return;
+        keys.push(piece.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '') || piece);
+        wordIndex.push(i);
+    });
+    return { pieces, keys, wordIndex };
+}
+
+/**
+ * Which words of `a` belong to the longest common subsequence with `b`
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Uint8Array} 1 for words of `a` that `b` shares in order
+ */
+function lcsMatched(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const table = new Uint16Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i * (m + 1) + j] = a[i] === b[j]
+                ? table[(i + 1) * (m + 1) + j + 1] + 1
+                : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+        }
+    }
+
+    const matched = new Uint8Array(n);
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            matched[i] = 1;
+            i++;
+            j++;
+        } else if (table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return matched;
+}
+
+/**
+ * CompareView - Re-answers a chat's last question with several models at once and shows
+ * the answers in columns of a single shadow-DOM window
+ */
+class CompareView {
+    /** @type {CompareView|null} The open compare view (one per page) */
+    static active = null;
+
+    /**
+     * Open the compare view for a chat window's latest answer
+     * @param {FloatingChatUI} source
+     */
+    static open(source) {
+        let lastAssistantIndex = -1;
+        for (let i = source.chatHistory.length - 1; i >= 0; i--) {
+            if (source.chatHistory[i].role === 'assistant') {
+                lastAssistantIndex = i;
+                break;
+            }
+        }
+        if (lastAssistantIndex < 1) {
+            showErrorToast("No response to compare yet");
+            return;
+        }
+
+        CompareView.active?.close();
+
+        const models = [source.currentModel];
+        const other = source.availableModels.find(m => m.value !== source.currentModel);
+        if (other) models.push(other.value);
+
+        const view = new CompareView(source, lastAssistantIndex - 1, models);
+        CompareView.active = view;
+        view.createWindow();
+        view.runAll();
+    }
+
+    /**
+     * @param {FloatingChatUI} source - Chat window whose conversation is compared
+     * @param {number} upToIndex - Last history entry sent (the question being re-answered)
+     * @param {string[]} models - Initial columns
+     */
+    constructor(source, upToIndex, models) {
+        this.source = source;
+        this.upToIndex = upToIndex;
+        this.columns = models.map(model => ({ model }));
+        this.ocrCache = new Map(); // OCR runs once for all text-only columns
+        this.showDiff = false;
+        this.voted = false;
+    }
+
+    /**
+     * Build the overlay DOM
+     */
+    createWindow() {
+        this.host = document.createElement("div");
+        this.host.id = "snip-compare-host";
+        this.host.style.cssText = "all: initial; position: fixed; inset: 0; z-index: 2147483647;";
+        this.shadow = this.host.attachShadow({ mode: 'closed' });
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .overlay { position: fixed; inset: 0; background: rgba(0,0,0,0.6); display: flex; align-items: center; justify-content: center; }
+            .panel {
+                width: min(96vw, 1400px); height: 86vh; display: flex; flex-direction: column; outline: none;
+                background: linear-gradient(135deg, #0a0a0a 0%, #1a1a1a 100%); color: #e8e8e8;
+                border: 1px solid rgba(255, 107, 74, 0.4); border-radius: 12px;
+                box-shadow: 0 20px 60px rgba(0,0,0,0.8);
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif; font-size: 14px;
+            }
+            .header {
+                display: flex; align-items: center; gap: 8px; padding: 12px 14px;
+                background: linear-gradient(135deg, #2a2a2a 0%, #1f1f1f 100%);
+                border-bottom: 1px solid rgba(255,255,255,0.08); border-top: 2px solid rgba(255, 107, 74, 0.6);
+                border-radius: 12px 12px 0 0;
+            }
+            .title { color: #ff6b4a; font-weight: 700; font-size: 14px; flex: 1; }
+            button {
+                background: rgba(255,255,255,0.05); color: #aaa; border: 1px solid rgba(255,255,255,0.1);
+                padding: 5px 10px; border-radius: 6px; font-size: 11px; cursor: pointer; font-family: inherit;
+            }
+            button:hover:not(:disabled) { color: #fff; background: rgba(255,255,255,0.1); }
+            button:disabled { opacity: 0.4; cursor: default; }
+            button.active { color: #ff6b4a; border-color: rgba(255,107,74,0.4); background: rgba(255,107,74,0.12); }
+            .question { padding: 8px 14px; font-size: 12px; color: #888; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; border-bottom: 1px solid rgba(255,255,255,0.05); }
+            .banner { margin: 10px 14px 0; padding: 8px 12px; border-radius: 8px; font-size: 12px; }
+            .banner.agree { background: rgba(34,197,94,0.1); border: 1px solid rgba(34,197,94,0.35); color: #86efac; }
+            .banner.disagree { background: rgba(245,80,54,0.1); border: 1px solid rgba(245,80,54,0.4); color: #ffb4a6; }
+            .columns { flex: 1; min-height: 0; display: grid; gap: 12px; padding: 12px 14px 14px; overflow-x: auto; }
+            .column {
+                display: flex; flex-direction: column; min-height: 0; min-width: 260px;
+                background: rgba(255,255,255,0.03); border: 1px solid rgba(255,255,255,0.08); border-radius: 10px;
+            }
+            .column.winner { border-color: rgba(34,197,94,0.6); }
+            .col-header { display: flex; gap: 6px; padding: 8px; border-bottom: 1px solid rgba(255,255,255,0.06); }
+            select {
+                flex: 1; min-width: 0; background: #0a0a0a; color: #e8e8e8; border: 1px solid rgba(255,255,255,0.15);
+                border-radius: 6px; padding: 5px 8px; font-size: 12px; cursor: pointer;
+            }
+            .metrics { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; padding: 6px 10px; font-size: 10px; color: #888; }
+            .mcq { padding: 2px 6px; border-radius: 4px; font-weight: 600; font-size: 10px; }
+            .mcq.majority { background: rgba(34,197,94,0.15); color: #86efac; }
+            .mcq.minority { background: rgba(245,80,54,0.15); color: #ffb4a6; }
+            .answer {
+                flex: 1; min-height: 0; overflow-y: auto; padding: 4px 12px 12px; font-size: 13px; line-height: 1.5;
+                word-wrap: break-word; scrollbar-width: thin; scrollbar-color: #404040 transparent;
+            }
+            .answer.plain { white-space: pre-wrap; }
+            .answer.error { color: #f55036; }
+            mark.diff { background: rgba(250,204,21,0.25); color: inherit; border-radius: 2px; }
+            .col-footer { padding: 8px; border-top: 1px solid rgba(255,255,255,0.06); display: flex; justify-content: flex-end; }
+            .leaderboard { flex: 1; min-height: 0; overflow-y: auto; padding: 14px; }
+            .leaderboard label { font-size: 12px; color: #888; display: inline-flex; gap: 6px; align-items: center; margin-bottom: 10px; }
+            .leaderboard table { width: 100%; border-collapse: collapse; font-size: 13px; }
+            .leaderboard th, .leaderboard td { padding: 8px; border-bottom: 1px solid rgba(255,255,255,0.08); text-align: right; }
+            .leaderboard th:nth-child(2), .leaderboard td:nth-child(2) { text-align: left; }
+            .leaderboard th { color: #888; font-weight: 500; }
+            .empty { color: #888; font-size: 13px; text-align: center; padding: 30px 0; }
+
+            /* Rendered answers (same look as the chat window) */
+            .table-container { overflow-x: auto; border-radius: 8px; border: 1px solid #333; background: #111; margin: 10px 0; }
+            .answer table { width: 100%; border-collapse: collapse; font-size: 13px; text-align: left; }
+            .answer th { background: #1f1f1f; padding: 8px 10px; color: #aaa; font-weight: 600; border-bottom: 1px solid #333; }
+            .answer td { padding: 8px 10px; border-bottom: 1px solid #222; color: #ddd; }
+            .code-block-wrapper { background: #0d0d0d; border: 1px solid #333; border-radius: 8px; overflow: hidden; margin: 10px 0; }
+            .code-header { display: flex; justify-content: space-between; align-items: center; background: #1a1a1a; padding: 6px 12px; border-bottom: 1px solid #333; }
+            .lang-label { font-size: 10px; color: #666; font-weight: 700; letter-spacing: 0.5px; }
+            pre { margin: 0; padding: 12px; overflow-x: auto; }
+            code { font-family: 'JetBrains Mono', monospace; font-size: 12px; color: #ccc; }
+            .math-block { background: rgba(139, 92, 246, 0.1); border: 1px solid rgba(139, 92, 246, 0.3); border-radius: 6px; padding: 12px 16px; margin: 10px 0; overflow-x: auto; text-align: center; }
+            .math-inline { background: rgba(139, 92, 246, 0.15); padding: 2px 6px; border-radius: 4px; color: #c4b5fd; }
+            .katex { font-size: 1.1em; color: #c4b5fd; }
+        `;
+        this.shadow.appendChild(style);
+
+        const overlay = document.createElement("div");
+        overlay.className = "overlay";
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay) this.close();
+        });
+
+        this.panel = document.createElement("div");
+        this.panel.className = "panel";
+        this.panel.tabIndex = -1;
+        // Keep page shortcuts (and the chat windows' Escape handler) out of the compare view
+        this.panel.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.close();
+        });
+
+        const header = document.createElement("div");
+        header.className = "header";
+        const title = document.createElement("div");
+        title.className = "title";
+        title.textContent = "⚖️ Compare answers";
+        header.appendChild(title);
+
+        this.addBtn = this._button("+ Model", "Add another model column", () => this.addColumn());
+        this.diffBtn = this._button("Highlight differences", "Mark words only one model used", () => {
+            this.showDiff = this.diffBtn.classList.toggle('active');
+            this.columns.forEach(col => this._renderAnswer(col));
+        });
+        this.leaderboardBtn = this._button("🏆 Leaderboard", "Your votes across comparisons", () => this.toggleLeaderboard());
+        const rerunBtn = this._button("↻ Run again", "Ask every model again", () => this.runAll());
+        const closeBtn = this._button("✕", "Close (Esc)", () => this.close());
+        header.append(this.addBtn, this.diffBtn, this.leaderboardBtn, rerunBtn, closeBtn);
+
+        const question = document.createElement("div");
+        question.className = "question";
+        const questionText = this.source.chatHistory[this.upToIndex]?.displayText || '';
+        question.textContent = `Q: ${questionText || '(snip)'}`;
+        question.title = questionText;
+
+        this.banner = document.createElement("div");
+        this.banner.style.display = "none";
+
+        this.columnsEl = document.createElement("div");
+        this.columnsEl.className = "columns";
+
+        this.leaderboardEl = document.createElement("div");
+        this.leaderboardEl.className = "leaderboard";
+        this.leaderboardEl.style.display = "none";
+
+        this.panel.append(header, question, this.banner, this.columnsEl, this.leaderboardEl);
+        overlay.appendChild(this.panel);
+        this.shadow.appendChild(overlay);
+        document.body.appendChild(this.host);
+
+        this.columns.forEach(col => this._createColumn(col));
+        this._layoutColumns();
+        this.panel.focus();
+    }
+
+    _button(text, title, onClick) {
+        const btn = document.createElement("button");
+        btn.textContent = text;
+        btn.title = title;
+        btn.onclick = onClick;
+        return btn;
+    }
+
+    /**
+     * Build one column's DOM
+     * @param {Object} col
+     */
+    _createColumn(col) {
+        col.el = document.createElement("div");
+        col.el.className = "column";
+
+        const colHeader = document.createElement("div");
+        colHeader.className = "col-header";
+        col.select = document.createElement("select");
+        this.source.availableModels.forEach(m => {
+            const opt = document.createElement("option");
+            opt.value = m.value;
+            opt.textContent = m.name;
+            col.select.appendChild(opt);
+        });
+        col.select.value = col.model;
+        col.select.addEventListener('change', () => {
+            col.model = col.select.value;
+            this.runColumn(col);
+        });
+        col.removeBtn = this._button("✕", "Remove this column", () => this.removeColumn(col));
+        colHeader.append(col.select, col.removeBtn);
+
+        col.metricsEl = document.createElement("div");
+        col.metricsEl.className = "metrics";
+
+        col.answerEl = document.createElement("div");
+        col.answerEl.className = "answer plain";
+
+        const footer = document.createElement("div");
+        footer.className = "col-footer";
+        col.voteBtn = this._button("👍 Best answer", "Vote for this answer", () => this.vote(col));
+        col.voteBtn.disabled = true;
+        footer.appendChild(col.voteBtn);
+
+        col.el.append(colHeader, col.metricsEl, col.answerEl, footer);
+        this.columnsEl.appendChild(col.el);
+    }
+
+    _layoutColumns() {
+        this.columnsEl.style.gridTemplateColumns = `repeat(${this.columns.length}, minmax(260px, 1fr))`;
+        this.addBtn.disabled = this.columns.length >= WindowManager.maxWindows;
+        this.columns.forEach(col => { col.removeBtn.disabled = this.columns.length <= 2; });
+    }
+
+    /**
+     * Add a column with the next model that isn't shown yet
+     */
+    addColumn() {
+        if (this.columns.length >= WindowManager.maxWindows) return;
+        const used = this.columns.map(c => c.model);
+        const next = this.source.availableModels.find(m => !used.includes(m.value));
+        if (!next) {
+            showErrorToast("Every available model is already shown");
+            return;
+        }
+        const col = { model: next.value };
+        this.columns.push(col);
+        this._createColumn(col);
+        this._layoutColumns();
+        this.runColumn(col);
+    }
+
+    removeColumn(col) {
+        if (this.columns.length <= 2) return;
+        col.stream?.stop();
+        col.el.remove();
+        this.columns = this.columns.filter(c => c !== col);
+        this._layoutColumns();
+        this._updateAnalysis();
+    }
+
+    /**
+     * Ask every column's model again (new round - votes reset)
+     */
+    runAll() {
+        this.columns.forEach((col, index) => this.runColumn(col, index === 0 ? this.columns.length : 0));
+    }
+
+    /**
+     * Ask one column's model, streaming the answer into the column
+     * @param {Object} col
+     * @param {number} [parallelCount] - Guest Mode request count (0 for companions of a batch)
+     */
+    async runColumn(col, parallelCount = 1) {
+        col.stream?.stop();
+        const runId = (col.runId || 0) + 1;
+        Object.assign(col, {
+            runId, answer: '', error: null, done: false, tokenUsage: null,
+            answeredBy: null, latencyMs: null, firstTokenMs: null, stream: null
+        });
+        this.voted = false;
+        this.columns.forEach(c => c.el.classList.remove('winner'));
+        col.answerEl.className = "answer plain";
+        col.answerEl.textContent = "Thinking...";
+        this._updateAnalysis();
+
+        try {
+            const request = await this.source._buildAnswerRequest(col.model, this.upToIndex, this.ocrCache);
+            if (col.runId !== runId || !this.host) return;
+
+            const started = performance.now();
+            col.stream = requestAIStream({
+                promptContext: this.source.promptContext,
+                contextSummary: this.source.contextSummary,
+                ...request,
+                parallelCount
+            }, (delta) => {
+                if (col.runId !== runId) return;
+                if (col.firstTokenMs === null) col.firstTokenMs = performance.now() - started;
+                col.answer += delta;
+                col.answerEl.textContent = col.answer;
+            });
+
+            const response = await col.stream;
+            if (col.runId !== runId) return;
+            col.latencyMs = performance.now() - started;
+
+            if (response && response.success && response.answer) {
+                col.answer = response.answer;
+                col.tokenUsage = response.tokenUsage || null;
+                col.answeredBy = response.failover?.model || response.model || col.model;
+                if (response.guestInfo) updateLocalGuestCache(response.guestInfo);
+            } else {
+                col.error = response?.error || 'Unknown error';
+            }
+        } catch (e) {
+            if (col.runId !== runId) return;
+            col.error = e.message;
+        }
+
+        col.done = true;
+        col.stream = null;
+        this._renderAnswer(col);
+        this._updateAnalysis();
+    }
+
+    /**
+     * Render a finished answer (formatted, or plain text with unique words marked)
+     * @param {Object} col
+     */
+    _renderAnswer(col) {
+        if (!col.done) return;
+        col.answerEl.textContent = '';
+
+        if (col.error) {
+            col.answerEl.className = "answer plain error";
+            col.answerEl.textContent = `⚠️ ${col.error}`;
+            return;
+        }
+
+        const cleanText = sanitizeModelText(col.answer);
+        if (this.showDiff && col.unique) {
+            col.answerEl.className = "answer plain";
+            const { pieces, wordIndex } = tokenizeForDiff(cleanText);
+            const uniquePieces = new Set();
+            wordIndex.forEach((pieceIdx, w) => { if (col.unique[w]) uniquePieces.add(pieceIdx); });
+
+            let mark = null;
+            pieces.forEach((piece, i) => {
+                const isSpace = /^\s+$/.test(piece);
+                // Whitespace between two marked words stays inside the same highlight
+                const highlighted = uniquePieces.has(i) || (isSpace && mark && uniquePieces.has(i + 1));
+                if (highlighted) {
+                    if (!mark) {
+                        mark = document.createElement("mark");
+                        mark.className = "diff";
+                        col.answerEl.appendChild(mark);
+                    }
+                    mark.appendChild(document.createTextNode(piece));
+                } else {
+                    mark = null;
+                    col.answerEl.appendChild(document.createTextNode(piece));
+                }
+            });
+        } else {
+            col.answerEl.className = "answer";
+            if (typeof parseMarkdown === 'function') {
+                col.answerEl.innerHTML = parseMarkdown(cleanText);
+            } else {
+                col.answerEl.textContent = cleanText;
+            }
+        }
+    }
+
+    /**
+     * Recompute metrics, MCQ agreement, diffs and vote availability from the finished columns
+     */
+    _updateAnalysis() {
+        const finished = this.columns.filter(c => c.done && !c.error);
+
+        // Words no other answer has, in order (pairwise LCS)
+        const tokens = new Map(finished.map(c => [c, tokenizeForDiff(sanitizeModelText(c.answer)).keys]));
+        finished.forEach(col => {
+            const keys = tokens.get(col);
+            const others = finished.filter(c => c !== col).map(c => tokens.get(c));
+            if (others.length === 0 || keys.length > MAX_DIFF_WORDS || others.some(o => o.length > MAX_DIFF_WORDS)) {
+                col.unique = null;
+                return;
+            }
+            col.unique = new Uint8Array(keys.length).fill(1);
+            others.forEach(other => {
+                const matched = lcsMatched(keys, other);
+                for (let i = 0; i < keys.length; i++) if (matched[i]) col.unique[i] = 0;
+            });
+        });
+        if (this.showDiff) this.columns.forEach(col => this._renderAnswer(col));
+
+        // MCQ agreement
+        const votes = new Map();
+        finished.forEach(col => {
+            col.mcq = extractMcqAnswer(col.answer);
+            if (col.mcq) votes.set(col.mcq, (votes.get(col.mcq) || 0) + 1);
+        });
+        const ranked = [...votes.entries()].sort((a, b) => b[1] - a[1]);
+        const answered = finished.filter(c => c.mcq).length;
+        const majority = ranked.length > 0 && (ranked.length === 1 || ranked[0][1] > ranked[1][1]) ? ranked[0][0] : null;
+
+        if (answered >= 2) {
+            const agree = ranked.length === 1;
+            this.banner.className = `banner ${agree ? 'agree' : 'disagree'}`;
+            this.banner.textContent = agree
+                ? `✅ All ${answered} models agree: ${ranked[0][0]}`
+                : `⚠️ Models disagree: ${ranked.map(([answer, count]) => `${answer} ×${count}`).join(' · ')}`;
+            this.banner.style.display = "";
+        } else {
+            this.banner.style.display = "none";
+        }
+
+        this.columns.forEach(col => {
+            col.metricsEl.textContent = '';
+            if (!col.done) {
+                col.metricsEl.textContent = col.firstTokenMs !== null ? 'Streaming...' : 'Waiting...';
+            } else {
+                const parts = [];
+                if (col.latencyMs !== null) {
+                    parts.push(`⏱ ${(col.latencyMs / 1000).toFixed(1)}s` +
+                        (col.firstTokenMs !== null ? ` (first token ${(col.firstTokenMs / 1000).toFixed(1)}s)` : ''));
+                }
+                if (col.tokenUsage?.totalTokens) parts.push(`${col.tokenUsage.totalTokens.toLocaleString()} tokens`);
+                if (col.answeredBy && col.answeredBy !== col.model) {
+                    parts.push(`↪ ${this.source._getModelDisplayName(col.answeredBy)}`);
+                }
+                col.metricsEl.appendChild(document.createTextNode(parts.join(' · ')));
+
+                if (col.mcq && answered >= 2) {
+                    const badge = document.createElement("span");
+                    badge.className = `mcq ${col.mcq === majority ? 'majority' : 'minority'}`;
+                    badge.textContent = `Answer: ${col.mcq}`;
+                    col.metricsEl.appendChild(badge);
+                }
+            }
+            col.voteBtn.disabled = this.voted || !col.done || !!col.error || finished.length < 2;
+        });
+    }
+
+    /**
+     * Record the user's pick for this round
+     * @param {Object} col
+     */
+    async vote(col) {
+        if (this.voted) return;
+        const contenders = this.columns.filter(c => c.done && !c.error);
+        const models = [...new Set(contenders.map(c => c.answeredBy || c.model))];
+        const winner = col.answeredBy || col.model;
+        if (models.length < 2) {
+            showErrorToast("Compare at least two different models to vote");
+            return;
+        }
+
+        this.voted = true;
+        col.el.classList.add('winner');
+        this._updateAnalysis();
+        col.voteBtn.textContent = "✓ Voted";
+
+        const response = await chrome.runtime.sendMessage({
+            action: "RECORD_COMPARE_VOTE",
+            vote: { winner, models, mode: this.source.currentMode }
+        }).catch(e => ({ success: false, error: e.message }));
+        if (!response?.success) {
+            showErrorToast("Could not save vote: " + (response?.error || "Unknown error"));
+        }
+        if (this.leaderboardEl.style.display !== "none") this._loadLeaderboard();
+    }
+
+    /**
+     * Switch between the answer columns and the leaderboard
+     */
+    toggleLeaderboard() {
+        const show = this.leaderboardEl.style.display === "none";
+        this.leaderboardEl.style.display = show ? "" : "none";
+        this.columnsEl.style.display = show ? "none" : "";
+        this.leaderboardBtn.classList.toggle('active', show);
+        if (show) this._loadLeaderboard();
+    }
+
+    async _loadLeaderboard(modeOnly = this._leaderboardModeOnly || false) {
+        this._leaderboardModeOnly = modeOnly;
+        const response = await chrome.runtime.sendMessage({
+            action: "GET_COMPARE_LEADERBOARD",
+            mode: modeOnly ? this.source.currentMode : null
+        }).catch(e => ({ success: false, error: e.message }));
+
+        this.leaderboardEl.textContent = '';
+        const filter = document.createElement("label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = modeOnly;
+        checkbox.onchange = () => this._loadLeaderboard(checkbox.checked);
+        filter.append(checkbox, document.createTextNode("Only votes in the current mode"));
+        this.leaderboardEl.appendChild(filter);
+
+        const rows = response?.success ? response.leaderboard : [];
+        if (rows.length === 0) {
+            const empty = document.createElement("div");
+            empty.className = "empty";
+            empty.textContent = response?.success ? "No votes yet. Pick the best answer in a comparison to start ranking models." : `Could not load leaderboard: ${response?.error}`;
+            this.leaderboardEl.appendChild(empty);
+            return;
+        }
+
+        const table = document.createElement("table");
+        const head = table.createTHead().insertRow();
+        ['#', 'Model', 'Wins', 'Comparisons', 'Win rate'].forEach(text => {
+            const th = document.createElement("th");
+            th.textContent = text;
+            head.appendChild(th);
+        });
+        const body = table.createTBody();
+        rows.forEach((entry, i) => {
+            const row = body.insertRow();
+            [
+                String(i + 1),
+                this.source._getModelDisplayName(entry.model),
+                String(entry.wins),
+                String(entry.comparisons),
+                `${Math.round(entry.wins / entry.comparisons * 100)}%`
+            ].forEach(text => { row.insertCell().textContent = text; });
+        });
+        this.leaderboardEl.appendChild(table);
+    }
+
+    /**
+     * Stop running requests and remove the overlay
+     */
+    close() {
+        this.columns.forEach(col => {
+            col.runId = (col.runId || 0) + 1;
+            col.stream?.stop();
+        });
+        this.host?.remove();
+        this.host = null;
+        if (CompareView.active === this) CompareView.active = null;
+    }
+}
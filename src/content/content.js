@@ -2,6 +2,10 @@
 // Main orchestrator - coordinates between modules
 // Dependencies are loaded via manifest.json content_scripts array in order
 
+// Text selected on the page when the snip started ({{selection}} in mode prompts) -
+// the snip overlay clears the selection, so it has to be read up front
+let snipPageSelection = '';
+
 /**
  * Message Listener - Entry point for extension messages
  */
@@ -9,30 +13,86 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "START_SNIP") {
         if (SnipSelection.isActive()) return true;
 
+        snipPageSelection = window.getSelection()?.toString().trim() || '';
         SnipSelection.start(handleSnipComplete);
         sendResponse({ status: "Snip started" });
     }
 
     // Handle text selection from context menu
     if (request.action === "SHOW_AI_RESPONSE_FOR_TEXT") {
-        if (typeof showLoadingCursor === 'function') showLoadingCursor();
+        (async () => {
+            const promptContext = await collectPromptContext(request.text);
+            if (!promptContext) return;
 
-        chrome.runtime.sendMessage({
-            action: "ASK_AI_TEXT",
-            text: request.text
-        }, handleResponse);
+            if (typeof showLoadingCursor === 'function') showLoadingCursor();
+            askAIStreaming({
+                action: "ASK_AI_TEXT",
+                text: request.text,
+                promptContext
+            });
+        })();
 
         sendResponse({ status: "Processing text" });
     }
 
+    // Keyboard shortcut: capture the previous snip rectangle again
+    if (request.action === "REPEAT_LAST_SNIP") {
+        repeatLastSnip();
+        sendResponse({ status: "Repeating last snip" });
+    }
+
+    // Keyboard shortcut: ask about the image on the clipboard (no snip)
+    if (request.action === "ASK_CLIPBOARD_IMAGE") {
+        askAboutClipboardImage();
+        sendResponse({ status: "Reading clipboard" });
+    }
+
+    // Reopen a saved conversation from the history page
+    if (request.action === "RESTORE_CONVERSATION") {
+        (async () => {
+            WindowManager.closeAll();
+            const ui = await FloatingChatUI.create();
+            WindowManager.register(ui);
+            ui.restoreSession(request.session);
+            sendResponse({ status: "Restored" });
+        })();
+    }
+
     return true;
 });
 
 /**
  * Handle snip selection completion
- * @param {DOMRect} rect - The selection rectangle
+ * @param {DOMRect|Object} rect - The selection rectangle (viewport coordinates), or a
+ *   page-coordinate rect with `scrolling: true` for selections taller than the viewport.
+ *   Element snips of text-rich elements add `elementText`; multi-region snips add `regions`.
  */
 function handleSnipComplete(rect) {
+    // Element snips carry the element's text; Snip Again adds images, so it still takes the screenshot
+    if (rect.elementText && !window._snipAgainMode) {
+        handleElementText(rect.elementText);
+        return;
+    }
+
+    if (rect.regions) {
+        captureRegions(rect.regions);
+        return;
+    }
+
+    if (rect.scrolling) {
+        SnipSelection.captureScrollingRegion(rect)
+            .then((stitchedBase64) => {
+                if (typeof showLoadingCursor === 'function') showLoadingCursor();
+                handleCroppedImage(stitchedBase64);
+            })
+            .catch((err) => {
+                console.error("Scrolling capture failed:", err);
+                showErrorToast("Scrolling capture failed: " + err.message);
+                SnipSelection.cancel(); // Restores chat windows hidden for snip-again
+            });
+        return;
+    }
+
     // Capture Screenshot
     chrome.runtime.sendMessage({
         action: "CAPTURE_VISIBLE_TAB"
@@ -46,111 +106,474 @@ function handleSnipComplete(rect) {
         if (typeof showLoadingCursor === 'function') showLoadingCursor();
 
         // Crop the image
-        cropImage(response.dataUrl, rect, async (croppedBase64) => {
-
-            // Show first-time privacy toast (only once per user)
-            chrome.storage.local.get(['hasShownSnipToast'], (res) => {
-                if (!res.hasShownSnipToast) {
-                    chrome.storage.local.set({ hasShownSnipToast: true });
-                    const toast = document.createElement('div');
-                    toast.textContent = '📸 Screenshot captured locally (not stored)';
-                    toast.style.cssText = `
-                        position: fixed; bottom: 20px; left: 50%; transform: translateX(-50%);
-                        background: #2d2d2d; color: #ccc; padding: 10px 20px;
-                        border-radius: 8px; font-family: 'Segoe UI', sans-serif;
-                        z-index: 2147483647; border: 1px solid #f55036;
-                    `;
-                    document.body.appendChild(toast);
-                    setTimeout(() => toast.remove(), 3000);
-                }
+        cropImage(response.dataUrl, rect, handleCroppedImage);
+    });
+}
+
+/**
+ * Re-capture the last snip rectangle without the selection overlay (watching a chart or quiz change).
+ * With a chat open the capture is added to it, like Snip Again.
+ */
+async function repeatLastSnip() {
+    if (SnipSelection.isActive()) return;
+
+    const rect = await SnipSelection.getLastRegion();
+    if (!rect) {
+        showErrorToast("No previous snip region yet - snip once first");
+        return;
+    }
+
+    if (WindowManager.windows.length > 0) {
+        window._snipAgainMode = true;
+        window._snipAgainTarget = WindowManager.windows[0];
+        // Keep the chat windows out of the screenshot
+        WindowManager.windows.forEach(w => {
+            if (w.container) w.container.style.display = 'none';
+        });
+        await SnipSelection.waitForPaint();
+    }
+
+    handleSnipComplete(rect);
+}
+
+/**
+ * Multi-region snip: one screenshot, cropped once per region in the order they were drawn
+ * @param {Array<{left: number, top: number, width: number, height: number}>} regions - Viewport coordinates
+ */
+function captureRegions(regions) {
+    chrome.runtime.sendMessage({ action: "CAPTURE_VISIBLE_TAB" }, async (response) => {
+        if (!response || !response.dataUrl) {
+            showErrorToast("Screenshot failed. Reload page.");
+            SnipSelection.cancel(); // Restores chat windows hidden for snip-again
+            return;
+        }
+
+        if (typeof showLoadingCursor === 'function') showLoadingCursor();
+        const images = [];
+        for (const region of regions) {
+            images.push(await new Promise(resolve => cropImage(response.dataUrl, region, resolve)));
+        }
+        handleRegionImages(images);
+    });
+}
+
+/**
+ * Ask about the crops of a multi-region snip as one question (ASK_AI_MULTI_IMAGE, labelled
+ * "Region 1:", "Region 2:", ...), in a new chat or the snip-again target
+ * @param {string[]} images - JPEG base64 without data URL prefix, in region order
+ */
+async function handleRegionImages(images) {
+    const label = `${images.length} snip regions`;
+    const options = {
+        partName: 'Region',
+        textContext: `These ${images.length} regions were snipped from the same page, in this order, and together make up one question.`
+    };
+
+    if (window._snipAgainMode && window._snipAgainTarget) {
+        window._snipAgainMode = false;
+        window._snipAgainTarget = null;
+        if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
+        WindowManager.windows.forEach(w => {
+            if (w.container) w.container.style.display = 'flex';
+        });
+        WindowManager.windows.forEach(w => w._processFileImages(images, label, options));
+        return;
+    }
+
+    const configResult = await getProviderConfig();
+    if (!configResult) return;
+
+    const promptContext = await collectPromptContext(snipPageSelection);
+    if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
+    if (!promptContext) return;
+
+    WindowManager.closeAll();
+    const ui = await FloatingChatUI.create();
+    WindowManager.register(ui);
+    ui.promptContext = promptContext;
+    ui._processFileImages(images, label, options);
+}
+
+/**
+ * Route a captured snip: snip-again target, vision model, or OCR for text models
+ * @param {string} croppedBase64 - JPEG base64 without data URL prefix
+ */
+async function handleCroppedImage(croppedBase64) {
+    // Show first-time privacy toast (only once per user)
+    chrome.storage.local.get(['hasShownSnipToast'], (res) => {
+        if (!res.hasShownSnipToast) {
+            chrome.storage.local.set({ hasShownSnipToast: true });
+            const toast = document.createElement('div');
+            toast.textContent = '📸 Screenshot captured locally (history stays on this device)';
+            toast.style.cssText = `
+                position: fixed; bottom: 20px; left: 50%; transform: translateX(-50%);
+                background: #2d2d2d; color: #ccc; padding: 10px 20px;
+                border-radius: 8px; font-family: 'Segoe UI', sans-serif;
+                z-index: 2147483647; border: 1px solid #f55036;
+            `;
+            document.body.appendChild(toast);
+            setTimeout(() => toast.remove(), 3000);
+        }
+    });
+
+    // Optional annotation step - the edited image is what gets sent and kept (allImages, history)
+    if (await SnipAnnotator.isEnabled()) {
+        if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
+        const annotated = await SnipAnnotator.open(croppedBase64).catch((err) => {
+            console.error("Snip annotation failed:", err);
+            return croppedBase64;
+        });
+        if (!annotated) {
+            SnipSelection.cancel(); // Restores chat windows hidden for snip-again
+            return;
+        }
+        croppedBase64 = annotated;
+        if (typeof showLoadingCursor === 'function') showLoadingCursor();
+    }
+
+    // Check if this is a snip-again (add to existing chat)
+    if (window._snipAgainMode && window._snipAgainTarget) {
+        window._snipAgainMode = false;
+        const targetUI = window._snipAgainTarget;
+        window._snipAgainTarget = null;
+
+        if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
+        targetUI.addSnippedImage(croppedBase64);
+        return;
+    }
+
+    // Ask background.js to check provider config (keys never touch content script)
+    chrome.runtime.sendMessage({ action: "CHECK_PROVIDER_CONFIG" }, async (configResult) => {
+        if (chrome.runtime.lastError || !configResult?.success) {
+            showErrorToast("Failed to check configuration. Please reload the page.");
+            if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
+            return;
+        }
+
+        const currentModel = configResult.model;
+        rememberVisionModels([{ value: currentModel, vision: configResult.isVision }]);
+
+        if (!configResult.isConfigured) {
+            showErrorToast(`Please set your ${configResult.providerName} in the extension popup!`);
+            if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
+            chrome.runtime.sendMessage({ action: "OPEN_OPTIONS_PAGE" });
+            return;
+        }
+
+        const promptContext = await collectPromptContext(snipPageSelection);
+        if (!promptContext) {
+            if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
+            return;
+        }
+
+        // Consensus: several models answer, the chat window shows the majority option
+        if (configResult.consensus) {
+            askConsensus({ base64Image: croppedBase64, promptContext });
+            return;
+        }
+
+        if (isVisionModel(currentModel)) {
+            askAIStreaming({
+                action: "ASK_AI",
+                model: currentModel,
+                base64Image: croppedBase64,
+                promptContext
             });
+            return;
+        }
+
+        // === PATH B: TEXT MODEL (Engage OCR via Background) ===
 
-            // Check if this is a snip-again (add to existing chat)
-            if (window._snipAgainMode && window._snipAgainTarget) {
-                window._snipAgainMode = false;
-                const targetUI = window._snipAgainTarget;
-                window._snipAgainTarget = null;
+        chrome.runtime.sendMessage({
+            action: "PERFORM_OCR",
+            base64Image: croppedBase64
+        }, (ocrResponse) => {
 
+            if (chrome.runtime.lastError || !ocrResponse) {
+                showErrorToast("OCR Failed: " + (chrome.runtime.lastError?.message || "Unknown error"));
                 if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
-                targetUI.addSnippedImage(croppedBase64);
                 return;
             }
 
-            // Ask background.js to check provider config (keys never touch content script)
-            chrome.runtime.sendMessage({ action: "CHECK_PROVIDER_CONFIG" }, async (configResult) => {
-                if (chrome.runtime.lastError || !configResult?.success) {
-                    showErrorToast("Failed to check configuration. Please reload the page.");
-                    if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
-                    return;
-                }
-
-                const currentModel = configResult.model;
-
-                if (!configResult.isConfigured) {
-                    showErrorToast(`Please set your ${configResult.providerName} in the extension popup!`);
-                    if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
-                    chrome.runtime.sendMessage({ action: "OPEN_OPTIONS_PAGE" });
-                    return;
-                }
+            // Handle OCR quality failures with helpful messages
+            if (!ocrResponse.success && ocrResponse.error) {
+                console.warn("OCR Quality Check Failed:", ocrResponse.error);
+            }
 
+            if (ocrResponse.success && ocrResponse.text && ocrResponse.text.length > 3) {
+                askAIStreaming({
+                    action: "ASK_AI_TEXT",
+                    model: currentModel,
+                    text: ocrResponse.text,
+                    ocrConfidence: ocrResponse.confidence,
+                    promptContext
+                });
+            } else {
+                console.warn("OCR Empty or Failed:", ocrResponse.error || 'No readable text');
                 if (isVisionModel(currentModel)) {
-                    chrome.runtime.sendMessage({
+                    askAIStreaming({
                         action: "ASK_AI",
                         model: currentModel,
-                        base64Image: croppedBase64
-                    }, handleResponse);
-                    return;
+                        base64Image: croppedBase64,
+                        promptContext
+                    });
+                } else {
+                    alert(`⚠️ No text found in snippet.\n\nSince '${currentModel}' cannot see images, please try snipping clearer text or switch to a Vision model.`);
+                    if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
                 }
-
-                // === PATH B: TEXT MODEL (Engage OCR via Background) ===
-
-                chrome.runtime.sendMessage({
-                    action: "PERFORM_OCR",
-                    base64Image: croppedBase64
-                }, (ocrResponse) => {
-
-                    if (chrome.runtime.lastError || !ocrResponse) {
-                        showErrorToast("OCR Failed: " + (chrome.runtime.lastError?.message || "Unknown error"));
-                        if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
-                        return;
-                    }
-
-                    // Handle OCR quality failures with helpful messages
-                    if (!ocrResponse.success && ocrResponse.error) {
-                        console.warn("OCR Quality Check Failed:", ocrResponse.error);
-                    }
-
-                    if (ocrResponse.success && ocrResponse.text && ocrResponse.text.length > 3) {
-                        chrome.runtime.sendMessage({
-                            action: "ASK_AI_TEXT",
-                            model: currentModel,
-                            text: ocrResponse.text,
-                            ocrConfidence: ocrResponse.confidence
-                        }, handleResponse);
-                    } else {
-                        console.warn("OCR Empty or Failed:", ocrResponse.error || 'No readable text');
-                        if (isVisionModel(currentModel)) {
-                            chrome.runtime.sendMessage({
-                                action: "ASK_AI",
-                                model: currentModel,
-                                base64Image: croppedBase64
-                            }, handleResponse);
-                        } else {
-                            alert(`⚠️ No text found in snippet.\n\nSince '${currentModel}' cannot see images, please try snipping clearer text or switch to a Vision model.`);
-                            if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
-                        }
-                    }
-                });
-            });
+            }
         });
     });
 }
 
+/**
+ * Ask background.js whether the selected provider is set up (keys never touch content script)
+ * @returns {Promise<Object|null>} CHECK_PROVIDER_CONFIG result, or null once the user has been told what's wrong
+ */
+async function getProviderConfig() {
+    const configResult = await chrome.runtime.sendMessage({ action: "CHECK_PROVIDER_CONFIG" }).catch(() => null);
+    if (!configResult?.success) {
+        showErrorToast("Failed to check configuration. Please reload the page.");
+        if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
+        return null;
+    }
+
+    if (!configResult.isConfigured) {
+        showErrorToast(`Please set your ${configResult.providerName} in the extension popup!`);
+        if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
+        chrome.runtime.sendMessage({ action: "OPEN_OPTIONS_PAGE" });
+        return null;
+    }
+
+    rememberVisionModels([{ value: configResult.model, vision: configResult.isVision }]);
+    return configResult;
+}
+
+/**
+ * Element snip of a text-rich element: its text (tables as Markdown) goes straight to the
+ * model, for vision and text models alike - no screenshot and no OCR
+ * @param {string} text - From elementSnipText()
+ */
+async function handleElementText(text) {
+    if (typeof showLoadingCursor === 'function') showLoadingCursor();
+
+    const configResult = await getProviderConfig();
+    if (!configResult) return;
+
+    const promptContext = await collectPromptContext(snipPageSelection);
+    if (!promptContext) {
+        if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
+        return;
+    }
+
+    // Consensus votes on images only, so element text gets a single answer
+    askAIStreaming({
+        action: "ASK_AI_TEXT",
+        model: configResult.model,
+        text,
+        promptContext
+    });
+}
+
+/**
+ * Gather values for the mode's prompt template: the page selection and any fill-in
+ * fields ({{field:Name}}) the mode asks for. Page title/URL, date and language are
+ * added by the background.
+ * @param {string} selection - Selected page text
+ * @returns {Promise<Object|null>} { selection, fields }, or null if the user cancelled
+ */
+async function collectPromptContext(selection) {
+    let fields = [];
+    try {
+        const response = await chrome.runtime.sendMessage({ action: "GET_PROMPT_FIELDS" });
+        fields = response?.fields || [];
+    } catch (e) {
+        // Extension context lost - the request itself will report it
+    }
+
+    if (fields.length === 0) return { selection, fields: {} };
+
+    const values = await showPromptFieldsDialog(fields);
+    return values ? { selection, fields: values } : null;
+}
+
+/**
+ * Send the initial AI request over a streaming port
+ * The chat window opens on the first chunk so the answer renders as it is generated.
+ * If nothing streamed (errors, Guest Mode one-shot replies) it falls back to handleResponse.
+ * @param {Object} request - ASK_AI or ASK_AI_TEXT payload
+ */
+async function askAIStreaming(request) {
+    let ui = null;
+    let bubble = null;
+    let windowReady = null;
+    const pending = [];
+
+    const stream = requestAIStream(request, (delta) => {
+        if (bubble) {
+            bubble.append(delta);
+            return;
+        }
+        // Buffer chunks while the window is being created
+        pending.push(delta);
+        if (windowReady) return;
+
+        windowReady = (async () => {
+            if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
+            WindowManager.closeAll();
+
+            ui = await FloatingChatUI.create();
+            WindowManager.register(ui);
+            ui.activeStreams.add(stream);
+            ui.promptContext = request.promptContext || null;
+
+            bubble = ui.beginStreamingMessage(request.model || ui.currentModel, () => stream.stop());
+            pending.splice(0).forEach(d => bubble.append(d));
+        })();
+    });
+
+    const apiResponse = await stream;
+    if (windowReady) await windowReady;
+
+    if (!ui) {
+        handleResponse(apiResponse, request.promptContext);
+        return;
+    }
+
+    ui.activeStreams.delete(stream);
+    bubble.remove();
+
+    // Window was closed while streaming (Escape / close button)
+    if (!ui.host) return;
+
+    if (apiResponse && apiResponse.success) {
+        populateChatWindow(ui, apiResponse);
+    } else {
+        ui.addMessage('assistant', "⚠️ Error: " + (apiResponse?.error || "Unknown error"), request.model || ui.currentModel, true);
+    }
+}
+
+/**
+ * Ask several models the same snip and open the chat window with their majority answer
+ * @param {Object} request - { base64Image, promptContext }
+ */
+async function askConsensus(request) {
+    const response = await chrome.runtime.sendMessage({ action: "ASK_AI_CONSENSUS", ...request })
+        .catch(e => ({ success: false, error: e.message }));
+
+    if (!response || !response.success) {
+        handleResponse(response, request.promptContext);
+        return;
+    }
+
+    if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
+    WindowManager.closeAll();
+
+    const ui = await FloatingChatUI.create();
+    WindowManager.register(ui);
+    ui.promptContext = request.promptContext || null;
+
+    // Follow-ups go to the model whose view of the snip opens the chat (another one if the selected model failed)
+    if (response.model && response.model !== ui.currentModel) {
+        ui.currentModel = response.model;
+        if (ui.modelSelect) ui.modelSelect.value = response.model;
+    }
+
+    // Token counts add up across the models that answered
+    const tokenUsage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    response.results.forEach(r => Object.keys(tokenUsage).forEach(k => { tokenUsage[k] += r.tokenUsage?.[k] || 0; }));
+
+    populateChatWindow(ui, {
+        ...response,
+        answer: formatConsensusAnswer(tallyConsensus(response.results), (model) => ui._getModelDisplayName(model)),
+        tokenUsage: tokenUsage.totalTokens ? tokenUsage : null
+    });
+}
+
+/**
+ * Markdown for a consensus result: the majority option and agreement score, then
+ * each model's option and one-line reason
+ * @param {Object} consensus - tallyConsensus() result
+ * @param {Function} displayName - (model) => name shown to the user
+ * @returns {string}
+ */
+function formatConsensusAnswer(consensus, displayName) {
+    const { winner, votes, answered, agreement, entries } = consensus;
+    const lines = [];
+
+    if (winner) {
+        const count = votes[0][1];
+        lines.push(`**Consensus: ${winner}** - ${count} of ${answered} models agree (${Math.round(agreement * 100)}%)`);
+    } else if (votes.length > 0) {
+        lines.push(`**No consensus** - the models are split: ${votes.map(([option, count]) => `${option} ×${count}`).join(' · ')}`);
+    } else {
+        // Not an MCQ (or nobody used the Answer format): show one full answer instead of a vote
+        const first = entries.find(e => !e.error);
+        lines.push(`**No multiple-choice answer found** - showing ${displayName(first.model)}'s answer:`, '', first.answer, '');
+    }
+
+    lines.push('');
+    entries.forEach(e => {
+        const name = displayName(e.model);
+        if (e.error) {
+            lines.push(`- ⚠️ **${name}** - failed: ${e.error}`);
+        } else if (!e.option) {
+            if (votes.length > 0) lines.push(`- ➖ **${name}** - no Answer line: ${e.rationale}`);
+        } else {
+            const mark = !winner ? '•' : (e.option === winner ? '✅' : '❌');
+            lines.push(`- ${mark} **${name}**: ${e.option}${e.rationale ? ` - ${e.rationale}` : ''}`);
+        }
+    });
+
+    return lines.join('\n').trim();
+}
+
+/**
+ * Fill a fresh chat window with the initial exchange
+ * @param {FloatingChatUI} ui
+ * @param {Object} apiResponse
+ */
+function populateChatWindow(ui, apiResponse) {
+    // Pass base64Image so image thumbnail appears in chat
+    ui.addMessage('user', apiResponse.initialUserMessage, null, false, apiResponse.base64Image || null);
+    if (apiResponse.redaction) ui.addRedactionNotice(apiResponse.redaction);
+    ui.addMessage('assistant', apiResponse.answer, null, false, null, false, apiResponse.tokenUsage, apiResponse.failover);
+
+    // Store initial state for comparison cloning
+    ui.initialUserMessage = apiResponse.initialUserMessage;
+    ui.initialBase64Image = apiResponse.base64Image || null;
+
+    // Keep the OCR text for history search
+    if (apiResponse.usedOCR && typeof apiResponse.initialUserMessage?.content === 'string') {
+        ui.ocrText = apiResponse.initialUserMessage.content.replace(/^<user_snip>\n|\n<\/user_snip>$/g, '');
+    }
+
+    // Update local guest usage cache if guestInfo is returned
+    if (apiResponse.guestInfo) {
+        updateLocalGuestCache(apiResponse.guestInfo);
+    }
+}
+
+/**
+ * Open a new chat window that starts from dropped or pasted images instead of a page snip
+ * @param {string[]} images - JPEG base64 (one per image / PDF page)
+ * @param {string} label - Shown as the user message, e.g. "PDF: report.pdf, pages 1-3"
+ * @returns {Promise<FloatingChatUI>}
+ */
+async function openChatForImages(images, label) {
+    WindowManager.closeAll();
+    const ui = await FloatingChatUI.create();
+    WindowManager.register(ui);
+    ui._processFileImages(images, label);
+    return ui;
+}
+
 /**
  * Handle API response - create chat window with result
  * @param {Object} apiResponse
+ * @param {Object|null} promptContext - Template values to reuse for follow-ups
  */
-async function handleResponse(apiResponse) {
+async function handleResponse(apiResponse, promptContext = null) {
     if (typeof hideLoadingCursor === 'function') hideLoadingCursor();
 
     if (apiResponse && apiResponse.success) {
@@ -159,19 +582,9 @@ async function handleResponse(apiResponse) {
 
         const ui = await FloatingChatUI.create();
         WindowManager.register(ui);
+        ui.promptContext = promptContext;
 
-        // Pass base64Image so image thumbnail appears in chat
-        ui.addMessage('user', apiResponse.initialUserMessage, null, false, apiResponse.base64Image || null);
-        ui.addMessage('assistant', apiResponse.answer, null, false, null, false, apiResponse.tokenUsage);
-
-        // Store initial state for comparison cloning
-        ui.initialUserMessage = apiResponse.initialUserMessage;
-        ui.initialBase64Image = apiResponse.base64Image || null;
-
-        // Update local guest usage cache if guestInfo is returned
-        if (apiResponse.guestInfo) {
-            updateLocalGuestCache(apiResponse.guestInfo);
-        }
+        populateChatWindow(ui, apiResponse);
     } else {
         // Show error in a styled toast instead of native alert
         showErrorToast(apiResponse ? apiResponse.error : "Unknown error");
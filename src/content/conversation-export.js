@@ -0,0 +1,387 @@
+// src/content/conversation-export.js
+// ConversationExport - save a chat window as Markdown (+ images), HTML, PDF or JSON, and re-import JSON
+
+const EXPORT_FORMAT = 'snip-ask-conversation';
+const EXPORT_VERSION = 1;
+
+// --- ZIP (stored entries - snips are JPEGs already, deflate would gain nothing) ---
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @returns {Blob}
+ */
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true);      // stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local.buffer, name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry.buffer, name);
+
+        offset += 30 + name.length + file.data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+// --- HELPERS ---
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * Images attached to a history entry (the snip, plus any image parts of the message)
+ * @param {Object} entry - chatHistory entry
+ * @returns {Array<{base64: string, mime: string, ext: string}>}
+ */
+function getEntryImages(entry) {
+    const sources = [];
+    if (entry.base64Image) sources.push(entry.base64Image);
+    const parts = Array.isArray(entry.content) ? entry.content : (Array.isArray(entry.content?.content) ? entry.content.content : []);
+    parts.filter(p => p.type === 'image_url' && p.image_url?.url).forEach(p => {
+        const base64 = p.image_url.url.split(',')[1];
+        if (base64 && !sources.includes(base64)) sources.push(base64);
+    });
+    // Snips are JPEG; pasted images may be PNG
+    return sources.map(base64 => base64.startsWith('iVBOR')
+        ? { base64, mime: 'image/png', ext: 'png' }
+        : { base64, mime: 'image/jpeg', ext: 'jpg' });
+}
+
+/**
+ * Readable text of a history entry (OCR snips lose their <user_snip> wrapper and escaping)
+ * @param {Object} entry
+ * @returns {string}
+ */
+function getEntryText(entry) {
+    if (entry.role === 'assistant') return typeof entry.content === 'string' ? entry.content : entry.displayText || '';
+    const text = entry.displayText || (typeof entry.content === 'string' ? entry.content : '');
+    if (text === '(image analyzed)' || text === '(complex content)') return '';
+    return text.replace(/^<user_snip>\n?|\n?<\/user_snip>$/g, '').replace(/\\([<>])/g, '$1');
+}
+
+function formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// Styles of the exported HTML page (light, print friendly)
+const EXPORT_HTML_CSS = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 820px; margin: 32px auto; padding: 0 20px; color: #1f2328; line-height: 1.55; font-size: 14px; }
+    header { border-bottom: 2px solid #ff6b4a; margin-bottom: 24px; padding-bottom: 12px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .meta { color: #6b7280; font-size: 12px; }
+    .meta a { color: #6b7280; }
+    .msg { margin: 0 0 18px; padding: 12px 16px; border-radius: 10px; border: 1px solid #e5e7eb; page-break-inside: avoid; }
+    .msg.user { background: #f6f8fa; }
+    .msg.summary { background: #fff8f1; border-style: dashed; }
+    .msg-head { font-size: 11px; font-weight: 600; color: #ff6b4a; text-transform: uppercase; letter-spacing: 0.4px; margin-bottom: 8px; }
+    .msg-head span { color: #9ca3af; font-weight: 400; text-transform: none; letter-spacing: 0; margin-left: 6px; }
+    .msg-body { white-space: normal; word-wrap: break-word; }
+    .msg.user .msg-body { white-space: pre-wrap; }
+    .msg img.snip { max-width: 100%; border-radius: 6px; border: 1px solid #e5e7eb; margin-bottom: 8px; display: block; }
+    .table-container { overflow-x: auto; margin: 10px 0; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { border: 1px solid #d0d7de; padding: 6px 10px; text-align: left; }
+    th { background: #f6f8fa; }
+    .code-header { display: none !important; }
+    @media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+`;
+
+// --- EXPORT / IMPORT ---
+
+/**
+ * ConversationExport - Serializers for a chat window's conversation
+ * @type {Object}
+ */
+const ConversationExport = {
+    /**
+     * Base file name: snip-ask-<date>-<first words of the question>
+     * @param {FloatingChatUI} ui
+     * @returns {string}
+     */
+    fileName(ui) {
+        const firstUser = ui.chatHistory.find(m => m.role === 'user');
+        const slug = getEntryText(firstUser || {}).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '').slice(0, 40);
+        const date = new Date().toISOString().slice(0, 16).replace(/[T:]/g, '-');
+        return `snip-ask-${date}${slug ? `-${slug}` : ''}`;
+    },
+
+    /**
+     * Heading line of a message
+     * @param {FloatingChatUI} ui
+     * @param {Object} entry
+     * @returns {{name: string, details: string}}
+     */
+    _describe(ui, entry) {
+        const details = [formatTime(entry.timestamp)];
+        if (entry.role === 'assistant' && entry.tokenUsage?.totalTokens) details.push(`${entry.tokenUsage.totalTokens.toLocaleString()} tokens`);
+        if (entry.isRegenerated) details.push('regenerated');
+        if (entry.failover?.attempts?.length) details.push(`fallback after ${entry.failover.attempts.map(a => `${ui._getModelDisplayName(a.model)} ${a.reason}`).join(', ')}`);
+        return {
+            name: entry.role === 'assistant' ? ui._getModelDisplayName(entry.model) : 'You',
+            details: details.filter(Boolean).join(' · ')
+        };
+    },
+
+    /**
+     * Markdown file plus an images/ folder, zipped
+     * @param {FloatingChatUI} ui
+     */
+    downloadMarkdown(ui) {
+        const encoder = new TextEncoder();
+        const images = [];
+        const lines = [
+            '# Snip & Ask conversation',
+            '',
+            `_Exported ${formatTime(Date.now())} · Mode: ${ui.currentMode} · [${document.title || location.href}](${location.href})_`,
+            ''
+        ];
+
+        if (ui.contextSummary?.text) {
+            lines.push(`> **Summary of the ${ui.contextSummary.coveredCount} earliest messages**`, '>', ...ui.contextSummary.text.split('\n').map(l => `> ${l}`), '');
+        }
+
+        ui.chatHistory.forEach(entry => {
+            const { name, details } = this._describe(ui, entry);
+            lines.push(`## ${entry.role === 'assistant' ? '✨' : '🧑'} ${name}${details ? ` · ${details}` : ''}`, '');
+            getEntryImages(entry).forEach(image => {
+                const file = `images/snip-${images.length + 1}.${image.ext}`;
+                images.push({ name: file, data: base64ToBytes(image.base64) });
+                lines.push(`![Snip ${images.length}](${file})`, '');
+            });
+            const text = getEntryText(entry);
+            if (text) lines.push(text, '');
+        });
+
+        const base = this.fileName(ui);
+        const markdown = { name: `${base}.md`, data: encoder.encode(lines.join('\n')) };
+        if (images.length === 0) {
+            downloadBlob(new Blob([markdown.data], { type: 'text/markdown' }), markdown.name);
+        } else {
+            downloadBlob(buildZip([markdown, ...images]), `${base}.zip`);
+        }
+    },
+
+    /**
+     * Self-contained HTML page: images inlined, math rendered by KaTeX with its CSS embedded
+     * @param {FloatingChatUI} ui
+     * @returns {Promise<string>}
+     */
+    async buildHtml(ui) {
+        let katexCss = '';
+        try {
+            const response = await fetch(chrome.runtime.getURL('lib/katex.min.css'));
+            // The KaTeX fonts aren't bundled, so drop the @font-face rules that would point nowhere
+            katexCss = (await response.text()).replace(/@font-face\{[^}]*\}/g, '');
+        } catch (e) {
+            // Math still shows, just without KaTeX layout rules
+        }
+
+        const articles = ui.chatHistory.map(entry => {
+            const { name, details } = this._describe(ui, entry);
+            const images = getEntryImages(entry)
+                .map(image => `<img class="snip" src="data:${image.mime};base64,${image.base64}" alt="Snip">`)
+                .join('');
+            const text = getEntryText(entry);
+
+            let body = escapeHtml(text);
+            if (entry.role === 'assistant' && typeof parseMarkdown === 'function') {
+                const holder = document.createElement('div');
+                holder.innerHTML = parseMarkdown(sanitizeModelText(text));
+                holder.querySelectorAll('.copy-btn').forEach(btn => btn.remove());
+                body = holder.innerHTML;
+            }
+
+            return `<article class="msg ${entry.role}"><div class="msg-head">${escapeHtml(name)}<span>${escapeHtml(details)}</span></div>${images}<div class="msg-body">${body}</div></article>`;
+        });
+
+        const summary = ui.contextSummary?.text
+            ? `<article class="msg summary"><div class="msg-head">Summary of the ${ui.contextSummary.coveredCount} earliest messages</div><div class="msg-body">${escapeHtml(ui.contextSummary.text)}</div></article>`
+            : '';
+        const title = `Snip & Ask - ${document.title || location.hostname}`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${katexCss}${EXPORT_HTML_CSS}</style>
+</head>
+<body>
+<header>
+<h1>Snip &amp; Ask conversation</h1>
+<div class="meta">Exported ${escapeHtml(formatTime(Date.now()))} · Mode: ${escapeHtml(ui.currentMode || '')} · <a href="${escapeHtml(location.href)}">${escapeHtml(document.title || location.href)}</a></div>
+</header>
+${summary}
+${articles.join('\n')}
+</body>
+</html>`;
+    },
+
+    async downloadHtml(ui) {
+        const html = await this.buildHtml(ui);
+        downloadBlob(new Blob([html], { type: 'text/html' }), `${this.fileName(ui)}.html`);
+    },
+
+    /**
+     * Open the HTML export in an extension tab and bring up the print dialog (Save as PDF)
+     * @param {FloatingChatUI} ui
+     */
+    async printPdf(ui) {
+        const html = await this.buildHtml(ui);
+        const response = await chrome.runtime.sendMessage({
+            action: "PRINT_CONVERSATION",
+            html,
+            title: this.fileName(ui)
+        }).catch(e => ({ success: false, error: e.message }));
+        if (!response?.success) {
+            showErrorToast("Could not open the print view: " + (response?.error || "Unknown error"));
+        }
+    },
+
+    /**
+     * Lossless export - the chat history as stored, with everything needed to reopen it
+     * @param {FloatingChatUI} ui
+     */
+    downloadJson(ui) {
+        const data = {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            page: { url: location.href, title: document.title },
+            mode: ui.currentMode,
+            model: ui.currentModel,
+            ocrText: ui.ocrText,
+            contextSummary: ui.contextSummary,
+            promptContext: ui.promptContext,
+            messages: ui.chatHistory
+        };
+        downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `${this.fileName(ui)}.json`);
+    },
+
+    /**
+     * Let the user pick a JSON export and reopen it in a new chat window
+     */
+    pickAndImport() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.onchange = async () => {
+            const file = input.files?.[0];
+            if (!file) return;
+            try {
+                await this.importJson(await file.text());
+            } catch (e) {
+                showErrorToast("Import failed: " + e.message);
+            }
+        };
+        input.click();
+    },
+
+    /**
+     * Open a JSON export in a new chat window (it is saved to history as a new conversation)
+     * @param {string} text - File contents
+     */
+    async importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Not a JSON file');
+        }
+        if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.messages)) {
+            throw new Error('Not a Snip & Ask conversation export');
+        }
+        if (data.version > EXPORT_VERSION) {
+            throw new Error('This export comes from a newer version of the extension');
+        }
+        const messages = data.messages.filter(m => (m?.role === 'user' || m?.role === 'assistant') && m.content !== undefined);
+        if (messages.length === 0) throw new Error('The conversation is empty');
+
+        WindowManager.closeAll();
+        const ui = await FloatingChatUI.create();
+        WindowManager.register(ui);
+        ui.promptContext = data.promptContext || null;
+        ui.restoreSession({
+            id: crypto.randomUUID(),
+            messages,
+            mode: data.mode,
+            model: data.model,
+            ocrText: data.ocrText,
+            contextSummary: data.contextSummary
+        });
+        ui.scheduleSave();
+    }
+};
@@ -0,0 +1,129 @@
+// src/content/element-snip.js
+// Element-aware snipping - find the DOM element under the cursor and read its text instead of OCR-ing pixels
+
+const ELEMENT_MIN_TEXT = 20;        // Elements with less text than this are snipped as images
+const ELEMENT_MAX_TEXT = 20000;     // Longest text sent for one element (chars)
+const ELEMENT_MEDIA_SHARE = 0.4;    // Elements mostly covered by images/canvas/video are snipped as images
+const ELEMENT_MIN_SIZE = 16;        // Smaller hits (icons, inline spans) select their parent instead
+
+/**
+ * The element worth snipping at a point: code blocks and tables as a whole, otherwise the
+ * innermost block-level element big enough to aim at
+ * @param {number} x - Viewport coordinates
+ * @param {number} y
+ * @param {Function} isOverlay - (element) => true for the snip overlay's own elements
+ * @returns {Element|null}
+ */
+function elementSnipTarget(x, y, isOverlay) {
+    const hit = document.elementsFromPoint(x, y)
+        .find(el => !isOverlay(el) && el !== document.documentElement && el !== document.body);
+    if (!hit) return null;
+
+    const block = hit.closest('pre, table');
+    if (block) return block;
+
+    let el = hit;
+    while (el.parentElement && el.parentElement !== document.body && isTooSmallToAim(el)) {
+        el = el.parentElement;
+    }
+    return el;
+}
+
+function isTooSmallToAim(el) {
+    const rect = el.getBoundingClientRect();
+    return rect.width < ELEMENT_MIN_SIZE || rect.height < ELEMENT_MIN_SIZE || getComputedStyle(el).display === 'inline';
+}
+
+/**
+ * Short description for the hover label, e.g. "pre.hljs" or "div#question-3"
+ * @param {Element} el
+ * @returns {string}
+ */
+function describeElement(el) {
+    const tag = el.tagName.toLowerCase();
+    if (el.id) return `${tag}#${el.id}`;
+    const cls = typeof el.className === 'string' ? el.className.trim().split(/\s+/)[0] : '';
+    return cls ? `${tag}.${cls}` : tag;
+}
+
+/**
+ * Whether images, canvases, videos or SVGs cover most of the element (charts, diagrams, photos)
+ * @param {Element} el
+ * @returns {boolean}
+ */
+function isMostlyMedia(el) {
+    const media = 'img, canvas, video, iframe, svg';
+    if (el.matches(media)) return true;
+
+    const rect = el.getBoundingClientRect();
+    const area = rect.width * rect.height;
+    if (!area) return false;
+
+    let mediaArea = 0;
+    el.querySelectorAll('img, canvas, video, iframe, svg:not(svg svg)').forEach(m => {
+        const r = m.getBoundingClientRect();
+        mediaArea += r.width * r.height;
+    });
+    return mediaArea / area > ELEMENT_MEDIA_SHARE;
+}
+
+/**
+ * Text to send for an element snip: Markdown for tables, fenced code for code blocks,
+ * innerText otherwise. Null when the element should be sent as an image instead.
+ * @param {Element} el
+ * @returns {string|null}
+ */
+function elementSnipText(el) {
+    if (isMostlyMedia(el)) return null;
+
+    const plain = (el.innerText || '').trim();
+    if (plain.replace(/\s/g, '').length < ELEMENT_MIN_TEXT) return null;
+
+    let text = plain;
+    if (el.matches('table')) {
+        text = tableToMarkdown(el) || plain;
+    } else if (el.matches('pre, code')) {
+        text = '```\n' + plain + '\n```';
+    }
+
+    if (text.length > ELEMENT_MAX_TEXT) text = text.slice(0, ELEMENT_MAX_TEXT) + '\n[… truncated]';
+    return text;
+}
+
+/**
+ * Render a DOM table as a Markdown table. Spanned cells repeat as empty cells so columns
+ * line up; the first row is used as the header.
+ * @param {HTMLTableElement} table
+ * @returns {string}
+ */
+function tableToMarkdown(table) {
+    const grid = [];
+    const rowCount = table.rows.length;
+
+    [...table.rows].forEach((row, r) => {
+        grid[r] = grid[r] || [];
+        let c = 0;
+        [...row.cells].forEach(cell => {
+            while (grid[r][c] !== undefined) c++;
+            const colSpan = Math.min(Math.max(1, cell.colSpan || 1), 50);
+            const rowSpan = Math.min(Math.max(1, cell.rowSpan || 1), rowCount - r);
+            const text = (cell.innerText || '').replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|');
+            for (let dr = 0; dr < rowSpan; dr++) {
+                grid[r + dr] = grid[r + dr] || [];
+                for (let dc = 0; dc < colSpan; dc++) {
+                    grid[r + dr][c + dc] = dr === 0 && dc === 0 ? text : '';
+                }
+            }
+            c += colSpan;
+        });
+    });
+
+    const width = Math.max(0, ...grid.map(row => row.length));
+    if (!width) return '';
+
+    const lines = grid.map(row => `| ${Array.from({ length: width }, (_, i) => row[i] || '').join(' | ')} |`);
+    lines.splice(1, 0, `|${' --- |'.repeat(width)}`);
+
+    const caption = table.caption?.innerText.trim();
+    return (caption ? `**${caption}**\n\n` : '') + lines.join('\n');
+}
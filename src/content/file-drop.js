@@ -0,0 +1,171 @@
+// src/content/file-drop.js
+// Images and PDFs dropped or pasted into a chat window - converted to snip-like JPEGs
+
+const FILE_MAX_BYTES = 25 * 1024 * 1024;  // Larger files don't fit comfortably through extension messaging
+const PDF_MAX_PAGES = 10;                 // Pages rendered per PDF (each one is an image for the model)
+
+/**
+ * Whether a drag carries files (the file list itself is only readable on drop)
+ * @param {DataTransfer|null} dataTransfer
+ * @returns {boolean}
+ */
+function hasDraggedFiles(dataTransfer) {
+    return !!dataTransfer && [...dataTransfer.types].includes('Files');
+}
+
+function isPdfFile(file) {
+    return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+}
+
+/**
+ * Images and PDFs in a drop or paste
+ * @param {DataTransfer|null} dataTransfer
+ * @returns {File[]}
+ */
+function getSupportedFiles(dataTransfer) {
+    let files = [...(dataTransfer?.files || [])];
+    // Some sources (OS screenshot tools, "Copy image" in browsers) only expose clipboard items
+    if (files.length === 0 && dataTransfer?.items) {
+        files = [...dataTransfer.items]
+            .filter(item => item.kind === 'file')
+            .map(item => item.getAsFile())
+            .filter(Boolean);
+    }
+    return files.filter(file => file.type.startsWith('image/') || isPdfFile(file));
+}
+
+/**
+ * Read the first image on the system clipboard (needs the page to have focus)
+ * @returns {Promise<Blob|null>}
+ */
+async function readClipboardImage() {
+    const items = await navigator.clipboard.read();
+    for (const item of items) {
+        const type = item.types.find(t => t.startsWith('image/'));
+        if (type) return item.getType(type);
+    }
+    return null;
+}
+
+/**
+ * Read a Blob as base64 (without the data URL prefix)
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function readBlobAsBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Re-encode an image file like a snip: JPEG, longest side capped at MAX_IMAGE_DIMENSION
+ * @param {Blob} blob
+ * @returns {Promise<string>} JPEG base64 without prefix
+ */
+async function imageFileToBase64(blob) {
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(blob);
+    } catch (e) {
+        throw new Error('This image format can\'t be read');
+    }
+    const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const ctx = canvas.getContext('2d');
+    // Transparent PNGs would turn black as JPEG
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas.toDataURL('image/jpeg', 0.85).replace(/^data:image\/(png|jpeg);base64,/, '');
+}
+
+/**
+ * Turn a dropped file into the images sent to the model. PDFs are rendered page by page
+ * in the extension's offscreen document, so nothing leaves the machine.
+ * @param {File} file
+ * @param {boolean} pasted - Pasted images get a generic label (their names are made up, e.g. "image.png")
+ * @returns {Promise<{images: string[], label: string}>}
+ */
+async function fileToSnipImages(file, pasted = false) {
+    if (file.size > FILE_MAX_BYTES) {
+        throw new Error(`${file.name} is too large (max ${FILE_MAX_BYTES / 1024 / 1024} MB)`);
+    }
+
+    if (!isPdfFile(file)) {
+        const label = pasted || !file.name ? 'Pasted image' : `Image: ${file.name}`;
+        return { images: [await imageFileToBase64(file)], label };
+    }
+
+    const response = await chrome.runtime.sendMessage({
+        action: "RENDER_PDF_PAGES",
+        data: await readBlobAsBase64(file),
+        maxPages: PDF_MAX_PAGES
+    }).catch(e => ({ success: false, error: e.message }));
+
+    if (!response?.success || !response.pages?.length) {
+        throw new Error(`Could not read ${file.name}: ${response?.error || 'no pages'}`);
+    }
+
+    const shown = response.pages.length;
+    const pages = shown === 1 ? '1 page' : `pages 1-${shown}`;
+    return {
+        images: response.pages,
+        label: `PDF: ${file.name}, ${pages}${response.pageCount > shown ? ` of ${response.pageCount}` : ''}`
+    };
+}
+
+/**
+ * Ask about dropped/pasted files - in the given chat window (and its compare windows),
+ * or in a new chat window when there is none
+ * @param {File[]} files
+ * @param {FloatingChatUI|null} targetUI
+ * @param {boolean} pasted - Files came from the clipboard rather than a drop
+ */
+async function handleDroppedFiles(files, targetUI = null, pasted = false) {
+    for (const file of files) {
+        let converted;
+        try {
+            converted = await fileToSnipImages(file, pasted);
+        } catch (e) {
+            showErrorToast(e.message);
+            continue;
+        }
+
+        if (targetUI && targetUI.host) {
+            // Like snip-again: every open window gets the file so compare windows stay in sync
+            WindowManager.windows.forEach(w => w._processFileImages(converted.images, converted.label));
+        } else {
+            targetUI = await openChatForImages(converted.images, converted.label);
+        }
+    }
+}
+
+/**
+ * "Ask about clipboard image": open a new chat window for the clipboard image, as if it were a snip
+ */
+async function askAboutClipboardImage() {
+    let blob;
+    try {
+        blob = await readClipboardImage();
+    } catch (e) {
+        showErrorToast("Couldn't read the clipboard - click the page and try again, or paste into a chat window");
+        return;
+    }
+    if (!blob) {
+        showErrorToast("There's no image on the clipboard");
+        return;
+    }
+
+    try {
+        await openChatForImages([await imageFileToBase64(blob)], 'Clipboard image');
+    } catch (e) {
+        showErrorToast(e.message);
+    }
+}
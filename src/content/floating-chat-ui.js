@@ -17,6 +17,14 @@ class FloatingChatUI {
         this.initialUserMessage = null;
         this.initialBase64Image = null;
         this.allImages = [];  // Store all snipped images for compare window
+        this.activeStreams = new Set(); // In-flight streaming requests (stopped on close)
+        this.sessionId = crypto.randomUUID(); // History record id (persisted by the background)
+        this.ocrText = null; // OCR text of the initial snip, if it went through OCR
+        this.promptContext = null; // Selection + fill-in field values for templated mode prompts
+        this.contextSummary = null; // Running summary of compacted old turns { text, coveredCount, edited }
+        this._summaryPin = null;
+        this._saveTimer = null;
+        this._restoring = false;
     }
 
     /**
@@ -46,9 +54,10 @@ class FloatingChatUI {
             // Fallback: minimal default if background script fails
             console.warn('Failed to fetch models from background:', modelResult?.error);
             this.availableModels = [
-                { value: 'meta-llama/llama-4-scout-17b-16e-instruct', name: 'Llama 4 Scout' }
+                { value: 'meta-llama/llama-4-scout-17b-16e-instruct', name: 'Llama 4 Scout', vision: true }
             ];
         }
+        rememberVisionModels(this.availableModels);
 
         // Get the current selected model, mode, and custom modes from storage
         const storage = await new Promise(resolve => {
@@ -70,6 +79,10 @@ class FloatingChatUI {
      * Close and cleanup the chat window
      */
     close() {
+        // Abort any responses still streaming into this window
+        this.activeStreams.forEach(stream => stream.stop());
+        this.activeStreams.clear();
+
         // Cleanup drag listeners to prevent memory leaks
         if (this._dragCleanup) {
             this._dragCleanup();
@@ -435,6 +448,34 @@ class FloatingChatUI {
         compareBtn.onclick = () => this.spawnCompareWindow();
         header.appendChild(compareBtn);
 
+        // Side-by-side compare button
+        const compareViewBtn = document.createElement("button");
+        compareViewBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"/><line x1="9" y1="3" x2="9" y2="21"/><line x1="15" y1="3" x2="15" y2="21"/></svg>`;
+        compareViewBtn.title = "Compare answers side by side";
+        compareViewBtn.style.cssText = `
+            background: rgba(255,255,255,0.05); color: #888; border: 1px solid rgba(255,255,255,0.1);
+            width: 28px; height: 28px; border-radius: 6px; cursor: pointer;
+            display: flex; align-items: center; justify-content: center;
+            transition: all 0.2s;
+        `;
+        compareViewBtn.onclick = () => CompareView.open(this);
+        header.appendChild(compareViewBtn);
+
+        // Export button
+        const exportBtn = document.createElement("button");
+        exportBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>`;
+        exportBtn.title = "Export or import conversation";
+        exportBtn.style.cssText = `
+            background: rgba(255,255,255,0.05); color: #888; border: 1px solid rgba(255,255,255,0.1);
+            width: 28px; height: 28px; border-radius: 6px; cursor: pointer;
+            display: flex; align-items: center; justify-content: center;
+            transition: all 0.2s;
+        `;
+        // Handled here so the outside-click listener doesn't close the menu just before the toggle
+        exportBtn.addEventListener('mousedown', (e) => e.stopPropagation());
+        exportBtn.onclick = () => this.toggleExportMenu();
+        header.appendChild(exportBtn);
+
         // Minimize button
         const minimizeBtn = document.createElement("button");
         minimizeBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="5" y1="12" x2="19" y2="12"/></svg>`;
@@ -525,6 +566,8 @@ class FloatingChatUI {
 
         this.container.addEventListener('mouseup', () => this.saveState());
 
+        this._setupFileDrop();
+
         // Escape key closes the focused chat window
         this.input.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -543,10 +586,11 @@ class FloatingChatUI {
      * @param {string|null} base64Image - Optional base64 image data for this message
      * @param {boolean} isRegenerated - Whether this is a regenerated response
      * @param {Object|null} tokenUsage - Token usage data from API response
+     * @param {Object|null} failover - { model, attempts } when a fallback model answered
      */
-    addMessage(role, content, modelName = null, isError = false, base64Image = null, isRegenerated = false, tokenUsage = null) {
-        // Track model name for assistant messages
-        const msgModel = role === 'assistant' ? (modelName || this.currentModel) : null;
+    addMessage(role, content, modelName = null, isError = false, base64Image = null, isRegenerated = false, tokenUsage = null, failover = null) {
+        // Track model name for assistant messages (the fallback that actually answered, if any)
+        const msgModel = role === 'assistant' ? (failover?.model || modelName || this.currentModel) : null;
 
         // Store FULL raw content in chatHistory to preserve image data for regeneration
         // Also extract text for display purposes
@@ -579,10 +623,13 @@ class FloatingChatUI {
             model: msgModel,
             base64Image: base64Image || null, // Store image data if provided
             isRegenerated: isRegenerated || false,
+            tokenUsage: tokenUsage || null,
+            failover: failover || null,
             timestamp: Date.now()
         };
 
         this.chatHistory.push(historyEntry);
+        this.scheduleSave();
         const messageIndex = this.chatHistory.length - 1;
 
         const msgDiv = document.createElement("div");
@@ -704,10 +751,22 @@ class FloatingChatUI {
             }
             msgDiv.appendChild(labelDiv);
 
+            // Explain why a different model answered
+            if (failover?.attempts?.length) {
+                const failoverDiv = document.createElement("div");
+                failoverDiv.style.cssText = "font-size: 10px; color: #888; margin: -4px 0 8px;";
+                failoverDiv.textContent = `↪ Fallback: ${failover.attempts.map(a => `${this._getModelDisplayName(a.model)} ${a.reason}`).join(', ')}`;
+                msgDiv.appendChild(failoverDiv);
+            }
+
             const contentDiv = document.createElement("div");
             contentDiv.style.cssText = "max-height: 350px; overflow-y: auto; overflow-x: hidden; scrollbar-width: thin; scrollbar-color: #404040 transparent;";
+            // Structured-mode replies (a lone ```json block) render as a collapsible tree
+            const jsonValue = parseJsonAnswer(content);
             const cleanText = sanitizeModelText(content);
-            if (typeof parseMarkdown === 'function') {
+            if (jsonValue) {
+                contentDiv.appendChild(this._renderJsonTree(jsonValue));
+            } else if (typeof parseMarkdown === 'function') {
                 contentDiv.innerHTML = parseMarkdown(cleanText);
             } else {
                 contentDiv.innerText = cleanText;
@@ -750,23 +809,36 @@ class FloatingChatUI {
                 return btn;
             };
 
-            // Copy entire response button
-            const copyBtn = createActionButton("Copy", '<svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>', "Copy entire response");
-            copyBtn.onclick = () => {
-                const responseText = contentDiv.textContent;
-                navigator.clipboard.writeText(responseText).then(() => {
-                    const originalHTML = copyBtn.innerHTML;
-                    copyBtn.innerHTML = '<svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="#4ade80" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg> Copied';
-                    copyBtn.style.borderColor = "#4ade80";
-                    copyBtn.style.color = "#4ade80";
+            // Copy to clipboard with a short "Copied" confirmation on the button
+            const copyWithFeedback = (btn, text) => {
+                navigator.clipboard.writeText(text).then(() => {
+                    const originalHTML = btn.innerHTML;
+                    btn.innerHTML = '<svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="#4ade80" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg> Copied';
+                    btn.style.borderColor = "#4ade80";
+                    btn.style.color = "#4ade80";
                     setTimeout(() => {
-                        copyBtn.innerHTML = originalHTML;
-                        copyBtn.style.borderColor = "rgba(255,255,255,0.1)";
-                        copyBtn.style.color = "#9ca3af";
+                        btn.innerHTML = originalHTML;
+                        btn.style.borderColor = "rgba(255,255,255,0.1)";
+                        btn.style.color = "#9ca3af";
                     }, 2000);
                 });
             };
-            actionsDiv.appendChild(copyBtn);
+            const copyIcon = '<svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>';
+
+            if (jsonValue) {
+                const copyJsonBtn = createActionButton("JSON", copyIcon, "Copy as JSON");
+                copyJsonBtn.onclick = () => copyWithFeedback(copyJsonBtn, JSON.stringify(jsonValue, null, 2));
+                actionsDiv.appendChild(copyJsonBtn);
+
+                const copyCsvBtn = createActionButton("CSV", copyIcon, "Copy as CSV (rows for lists, columns for fields)");
+                copyCsvBtn.onclick = () => copyWithFeedback(copyCsvBtn, jsonToCsv(jsonValue));
+                actionsDiv.appendChild(copyCsvBtn);
+            } else {
+                // Copy entire response button
+                const copyBtn = createActionButton("Copy", copyIcon, "Copy entire response");
+                copyBtn.onclick = () => copyWithFeedback(copyBtn, contentDiv.textContent);
+                actionsDiv.appendChild(copyBtn);
+            }
 
             // Regenerate button - pass the message index for targeted regeneration
             const regenBtn = createActionButton("Regenerate", '<svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="23 4 23 10 17 10"></polyline><polyline points="1 20 1 14 7 14"></polyline><path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"></path></svg>', "Regenerate from this point");
@@ -804,6 +876,339 @@ class FloatingChatUI {
         this.chatBody.scrollTop = this.chatBody.scrollHeight;
     }
 
+    /**
+     * Collapsible tree for a structured (JSON) reply - objects and arrays fold, the first
+     * two levels start open
+     * @param {*} value
+     * @param {string|null} key - Property name or array index shown before the value
+     * @param {number} depth
+     * @returns {HTMLElement}
+     */
+    _renderJsonTree(value, key = null, depth = 0) {
+        const keySpan = () => {
+            const span = document.createElement("span");
+            span.style.color = "#c4b5fd";
+            span.textContent = `${key}: `;
+            return span;
+        };
+
+        if (value && typeof value === 'object') {
+            const isArray = Array.isArray(value);
+            const entries = isArray ? value.map((v, i) => [String(i), v]) : Object.entries(value);
+
+            const details = document.createElement("details");
+            details.open = depth < 2;
+            details.style.cssText = depth === 0 ? "font-family: 'JetBrains Mono', monospace; font-size: 12px; line-height: 1.6;" : "";
+
+            const summary = document.createElement("summary");
+            summary.style.cssText = "cursor: pointer; color: #888; user-select: none;";
+            if (key !== null) summary.appendChild(keySpan());
+            summary.appendChild(document.createTextNode(isArray ? `[${entries.length}]` : `{${entries.length}}`));
+            details.appendChild(summary);
+
+            const children = document.createElement("div");
+            children.style.cssText = "padding-left: 14px; border-left: 1px solid rgba(255,255,255,0.08); margin-left: 4px;";
+            entries.forEach(([k, v]) => children.appendChild(this._renderJsonTree(v, k, depth + 1)));
+            details.appendChild(children);
+            return details;
+        }
+
+        const leaf = document.createElement("div");
+        if (depth === 0) leaf.style.cssText = "font-family: 'JetBrains Mono', monospace; font-size: 12px;";
+        if (key !== null) leaf.appendChild(keySpan());
+        const valueSpan = document.createElement("span");
+        valueSpan.style.color = typeof value === 'string' ? "#86efac" : (typeof value === 'number' ? "#fbbf24" : "#60a5fa");
+        valueSpan.style.wordBreak = "break-word";
+        valueSpan.textContent = typeof value === 'string' ? JSON.stringify(value) : String(value);
+        leaf.appendChild(valueSpan);
+        return leaf;
+    }
+
+    /**
+     * Accept images and PDFs dropped on the window or pasted into it
+     */
+    _setupFileDrop() {
+        const overlay = document.createElement("div");
+        overlay.textContent = "Drop an image or PDF to ask about it";
+        overlay.style.cssText = `
+            position: absolute; inset: 0; z-index: 20; display: none;
+            align-items: center; justify-content: center; pointer-events: none;
+            background: rgba(255,107,74,0.12); border: 2px dashed #ff6b4a; border-radius: 12px;
+            color: #ff6b4a; font-size: 14px; font-weight: 600;
+        `;
+        this.container.appendChild(overlay);
+
+        // dragleave also fires when moving between child elements, so count enters/leaves
+        let dragDepth = 0;
+        const hideOverlay = () => {
+            dragDepth = 0;
+            overlay.style.display = 'none';
+        };
+
+        this.container.addEventListener('dragenter', (e) => {
+            if (!hasDraggedFiles(e.dataTransfer)) return;
+            e.preventDefault();
+            dragDepth++;
+            overlay.style.display = 'flex';
+        });
+        this.container.addEventListener('dragover', (e) => {
+            if (!hasDraggedFiles(e.dataTransfer)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        this.container.addEventListener('dragleave', () => {
+            if (--dragDepth <= 0) hideOverlay();
+        });
+        this.container.addEventListener('drop', (e) => {
+            if (!hasDraggedFiles(e.dataTransfer)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            hideOverlay();
+            const files = getSupportedFiles(e.dataTransfer);
+            if (files.length === 0) {
+                showErrorToast("Only images and PDFs can be dropped here");
+                return;
+            }
+            handleDroppedFiles(files, this);
+        });
+
+        // Pasted screenshots and files; plain text pastes into the input as usual
+        this.container.addEventListener('paste', (e) => {
+            const files = getSupportedFiles(e.clipboardData);
+            if (files.length === 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+            handleDroppedFiles(files, this, true);
+        });
+    }
+
+    /**
+     * Show/hide the export menu under the header
+     */
+    toggleExportMenu() {
+        if (this.exportMenu) {
+            this._closeExportMenu();
+            return;
+        }
+
+        const menu = document.createElement("div");
+        menu.style.cssText = `
+            position: absolute; top: 48px; right: 8px; z-index: 10;
+            background: #1a1a1a; border: 1px solid rgba(255,255,255,0.12); border-radius: 8px;
+            box-shadow: 0 8px 24px rgba(0,0,0,0.6); padding: 4px; min-width: 200px;
+        `;
+        menu.addEventListener('mousedown', (e) => e.stopPropagation());
+
+        const hasMessages = this.chatHistory.length > 0;
+        const addItem = (label, hint, action, enabled = true) => {
+            const item = document.createElement("button");
+            item.style.cssText = `
+                display: flex; justify-content: space-between; gap: 12px; width: 100%;
+                background: none; border: none; border-radius: 6px; padding: 7px 10px;
+                color: ${enabled ? '#ddd' : '#555'}; font-size: 12px; text-align: left;
+                cursor: ${enabled ? 'pointer' : 'default'}; font-family: inherit;
+            `;
+            item.innerHTML = `<span>${label}</span><span style="color: #666;">${hint}</span>`;
+            item.disabled = !enabled;
+            item.onmouseenter = () => { if (enabled) item.style.background = 'rgba(255,107,74,0.12)'; };
+            item.onmouseleave = () => item.style.background = 'none';
+            item.onclick = async () => {
+                this._closeExportMenu();
+                try {
+                    await action();
+                } catch (e) {
+                    showErrorToast("Export failed: " + e.message);
+                }
+            };
+            menu.appendChild(item);
+        };
+
+        addItem('Markdown', '.md / .zip', () => ConversationExport.downloadMarkdown(this), hasMessages);
+        addItem('HTML', '.html', () => ConversationExport.downloadHtml(this), hasMessages);
+        addItem('PDF', 'print', () => ConversationExport.printPdf(this), hasMessages);
+        addItem('JSON', 're-importable', () => ConversationExport.downloadJson(this), hasMessages);
+
+        const divider = document.createElement("div");
+        divider.style.cssText = "height: 1px; background: rgba(255,255,255,0.08); margin: 4px 6px;";
+        menu.appendChild(divider);
+        addItem('Import JSON…', 'new window', () => ConversationExport.pickAndImport());
+
+        this.container.appendChild(menu);
+        this.exportMenu = menu;
+
+        // Any click elsewhere in the window closes the menu
+        this._exportMenuDismiss = () => this._closeExportMenu();
+        this.shadow.addEventListener('mousedown', this._exportMenuDismiss);
+    }
+
+    _closeExportMenu() {
+        if (!this.exportMenu) return;
+        this.exportMenu.remove();
+        this.exportMenu = null;
+        this.shadow.removeEventListener('mousedown', this._exportMenuDismiss);
+    }
+
+    /**
+     * Persist this conversation to history shortly after it changes (debounced)
+     */
+    scheduleSave() {
+        if (this._restoring) return;
+        clearTimeout(this._saveTimer);
+        this._saveTimer = setTimeout(() => this.saveConversation(), 800);
+    }
+
+    /**
+     * Send the current conversation to the background for storage in IndexedDB
+     */
+    async saveConversation() {
+        if (this.chatHistory.length === 0) return;
+
+        // Small thumbnail of the first snip for the archive list
+        if (this._thumbnail === undefined) {
+            const firstImage = this.initialBase64Image || this.chatHistory.find(m => m.base64Image)?.base64Image;
+            this._thumbnail = firstImage ? await createThumbnail(firstImage) : undefined;
+        }
+
+        try {
+            await chrome.runtime.sendMessage({
+                action: "SAVE_CONVERSATION",
+                session: {
+                    id: this.sessionId,
+                    messages: this.chatHistory,
+                    mode: this.currentMode,
+                    model: this.currentModel,
+                    ocrText: this.ocrText,
+                    thumbnail: this._thumbnail || null,
+                    contextSummary: this.contextSummary
+                }
+            });
+        } catch (e) {
+            // Extension reloaded or context invalidated - history is best effort
+            console.warn('Snip & Ask: Failed to save conversation', e);
+        }
+    }
+
+    /**
+     * Rehydrate this window from a stored history session
+     * @param {Object} session - Record from the history store
+     */
+    restoreSession(session) {
+        this._restoring = true;
+        this.sessionId = session.id;
+        this.ocrText = session.ocrText || null;
+        if (session.thumbnail) this._thumbnail = session.thumbnail;
+
+        if (session.model && this.availableModels.some(m => m.value === session.model)) {
+            this.currentModel = session.model;
+            if (this.modelSelect) this.modelSelect.value = session.model;
+        }
+        if (session.mode && this.modeSelect && [...this.modeSelect.options].some(o => o.value === session.mode)) {
+            this.currentMode = session.mode;
+            this.modeSelect.value = session.mode;
+        }
+
+        session.messages.forEach(msg => {
+            this.addMessage(msg.role, msg.content, msg.model, false, msg.base64Image, msg.isRegenerated, msg.tokenUsage, msg.failover);
+            // Keep the original time rather than the time of the restore
+            if (msg.timestamp) this.chatHistory[this.chatHistory.length - 1].timestamp = msg.timestamp;
+        });
+
+        // Initial state for comparison cloning/regeneration
+        const firstUser = session.messages.find(m => m.role === 'user');
+        this.initialUserMessage = firstUser ? firstUser.content : null;
+        this.initialBase64Image = firstUser?.base64Image || null;
+
+        // Later snips ("snip again") are tracked separately from the initial image
+        this.allImages = session.messages
+            .filter(m => m !== firstUser && m.base64Image)
+            .map(m => m.base64Image);
+
+        this.setContextSummary(session.contextSummary || null);
+
+        this._restoring = false;
+    }
+
+    /**
+     * Replace the cached running summary and refresh its pinned message
+     * @param {Object|null} summary - { text, coveredCount, edited }
+     */
+    setContextSummary(summary) {
+        const changed = summary?.text !== this.contextSummary?.text || summary?.coveredCount !== this.contextSummary?.coveredCount;
+        this.contextSummary = summary && summary.text ? summary : null;
+        if (changed) {
+            this._renderContextSummary();
+            this.scheduleSave();
+        }
+    }
+
+    /**
+     * Pinned "context" message at the top of the chat showing what older turns were
+     * compacted into. The user can edit it (sent as-is from then on) or drop it.
+     */
+    _renderContextSummary(editing = false) {
+        if (this._summaryPin) {
+            this._summaryPin.remove();
+            this._summaryPin = null;
+        }
+        if (!this.contextSummary || !this.chatBody) return;
+
+        const pin = document.createElement("div");
+        pin.style.cssText = `
+            position: sticky; top: 0; z-index: 2; flex-shrink: 0;
+            background: #1c1c1c; border: 1px dashed rgba(255,107,74,0.4); border-radius: 10px;
+            padding: 10px 12px; font-size: 12px; color: #ccc; line-height: 1.5;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.4);
+        `;
+
+        const header = document.createElement("div");
+        header.style.cssText = "display: flex; align-items: center; gap: 6px; margin-bottom: 6px;";
+
+        const title = document.createElement("span");
+        title.style.cssText = "font-size: 10px; color: #ff6b4a; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px; flex: 1;";
+        const count = this.contextSummary.coveredCount;
+        title.textContent = `📌 Context summary · ${count} earlier message${count === 1 ? '' : 's'}${this.contextSummary.edited ? ' · edited' : ''}`;
+        title.title = 'Older messages are sent to the model as this summary to stay within its context window';
+        header.appendChild(title);
+
+        const makeButton = (text, tooltip, onClick) => {
+            const btn = document.createElement("button");
+            btn.textContent = text;
+            btn.title = tooltip;
+            btn.style.cssText = "background: rgba(255,255,255,0.05); color: #888; border: 1px solid rgba(255,255,255,0.1); padding: 2px 8px; border-radius: 6px; font-size: 10px; cursor: pointer;";
+            btn.onclick = onClick;
+            return btn;
+        };
+
+        if (editing) {
+            const textarea = document.createElement("textarea");
+            textarea.value = this.contextSummary.text;
+            textarea.rows = 6;
+            textarea.style.cssText = "width: 100%; box-sizing: border-box; background: #111; color: #e8e8e8; border: 1px solid rgba(255,255,255,0.15); border-radius: 6px; padding: 6px 8px; font-size: 12px; font-family: inherit; resize: vertical; outline: none;";
+            textarea.addEventListener('keydown', (e) => e.stopPropagation());
+
+            header.appendChild(makeButton('Save', 'Use this summary for the next messages', () => {
+                const text = textarea.value.trim();
+                this.contextSummary = text ? { ...this.contextSummary, text, edited: true } : null;
+                this._renderContextSummary();
+                this.scheduleSave();
+            }));
+            header.appendChild(makeButton('Cancel', 'Discard changes', () => this._renderContextSummary()));
+            pin.append(header, textarea);
+            setTimeout(() => textarea.focus(), 0);
+        } else {
+            const body = document.createElement("div");
+            body.style.cssText = "white-space: pre-wrap; word-break: break-word; max-height: 96px; overflow-y: auto; scrollbar-width: thin; scrollbar-color: #404040 transparent;";
+            body.textContent = this.contextSummary.text;
+
+            header.appendChild(makeButton('Edit', 'Correct or extend the summary', () => this._renderContextSummary(true)));
+            header.appendChild(makeButton('✕', 'Forget the summary (older messages will be summarized again when needed)', () => this.setContextSummary(null)));
+            pin.append(header, body);
+        }
+
+        this.chatBody.insertBefore(pin, this.chatBody.firstChild);
+        this._summaryPin = pin;
+    }
+
     /**
      * Show typing indicator in chat
      */
@@ -834,6 +1239,182 @@ class FloatingChatUI {
         if (existing) existing.remove();
     }
 
+    /**
+     * Show a live assistant bubble that fills in as response chunks arrive
+     * @param {string} modelName - Model shown in the bubble label
+     * @param {Function} onStop - Called when the user clicks Stop
+     * @returns {{append: Function, remove: Function}}
+     */
+    beginStreamingMessage(modelName, onStop) {
+        const msgDiv = document.createElement("div");
+        msgDiv.style.cssText = `max-width: 85%; padding: 12px 14px; border-radius: 10px 10px 10px 2px; line-height: 1.5; word-wrap: break-word; font-size: 13px; position: relative; align-self: flex-start; background: rgba(255,255,255,0.05); color: #e8e8e8; border: 1px solid rgba(255,255,255,0.08);`;
+
+        const labelDiv = document.createElement("div");
+        labelDiv.style.cssText = "font-size: 10px; color: #ff6b4a; margin-bottom: 8px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px; display: inline-flex; align-items: center; gap: 4px; background: rgba(255,107,74,0.1); padding: 3px 8px; border-radius: 4px;";
+        labelDiv.innerHTML = `<span style="font-size: 11px;">✨</span> ${this._getModelDisplayName(modelName)} <span style="font-size: 9px; color: #888; margin-left: 6px; font-weight: 500;">Streaming…</span>`;
+        msgDiv.appendChild(labelDiv);
+
+        const contentDiv = document.createElement("div");
+        contentDiv.style.cssText = "max-height: 350px; overflow-y: auto; overflow-x: hidden; scrollbar-width: thin; scrollbar-color: #404040 transparent;";
+        msgDiv.appendChild(contentDiv);
+
+        const actionsDiv = document.createElement("div");
+        actionsDiv.style.cssText = "display: flex; gap: 8px; margin-top: 12px; padding-top: 10px; border-top: 1px solid rgba(255,255,255,0.08);";
+        const stopBtn = document.createElement("button");
+        stopBtn.innerHTML = '<svg width="11" height="11" viewBox="0 0 24 24" fill="currentColor"><rect x="5" y="5" width="14" height="14" rx="2"></rect></svg> Stop';
+        stopBtn.title = "Stop generating";
+        stopBtn.style.cssText = `
+            background: rgba(255, 107, 74, 0.15);
+            color: #ff6b4a;
+            border: 1px solid rgba(255, 107, 74, 0.3);
+            padding: 4px 10px;
+            border-radius: 6px;
+            font-size: 11px;
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            gap: 5px;
+            font-weight: 500;
+        `;
+        stopBtn.onclick = () => {
+            stopBtn.disabled = true;
+            stopBtn.style.opacity = '0.5';
+            if (typeof onStop === 'function') onStop();
+        };
+        actionsDiv.appendChild(stopBtn);
+        msgDiv.appendChild(actionsDiv);
+
+        this.chatBody.appendChild(msgDiv);
+
+        let text = '';
+        let frameRequested = false;
+
+        // Re-render at most once per frame - parseMarkdown copes with unclosed fences/math
+        const render = () => {
+            frameRequested = false;
+            const wasAtBottom = this.chatBody.scrollHeight - this.chatBody.scrollTop - this.chatBody.clientHeight < 40;
+            const cleanText = sanitizeModelText(text) || '';
+            if (typeof parseMarkdown === 'function') {
+                contentDiv.innerHTML = parseMarkdown(cleanText);
+            } else {
+                contentDiv.innerText = cleanText;
+            }
+            contentDiv.scrollTop = contentDiv.scrollHeight;
+            if (wasAtBottom) this.chatBody.scrollTop = this.chatBody.scrollHeight;
+        };
+
+        return {
+            append: (delta) => {
+                text += delta;
+                if (!frameRequested) {
+                    frameRequested = true;
+                    requestAnimationFrame(render);
+                }
+            },
+            remove: () => msgDiv.remove()
+        };
+    }
+
+    /**
+     * Send an AI request and stream the answer into a temporary bubble
+     * Resolves with the same response object as chrome.runtime.sendMessage; the caller
+     * renders the final message with addMessage() as before.
+     * @param {Object} request - ASK_AI / ASK_AI_TEXT / ASK_AI_MULTI_IMAGE / CONTINUE_CHAT payload
+     * @param {string} modelName - Model shown while streaming
+     * @returns {Promise<Object>}
+     */
+    async streamRequest(request, modelName) {
+        let bubble = null;
+        // Follow-ups reuse the template values collected for the initial snip
+        // ...and send the cached summary so old turns aren't re-summarized every time
+        const stream = requestAIStream({ promptContext: this.promptContext, contextSummary: this.contextSummary, ...request }, (delta) => {
+            if (!bubble) {
+                this.removeTypingIndicator();
+                bubble = this.beginStreamingMessage(modelName, () => stream.stop());
+            }
+            bubble.append(delta);
+        });
+
+        this.activeStreams.add(stream);
+        try {
+            const response = await stream;
+            if (response && response.success && response.stopped && !response.answer) {
+                return { success: false, error: 'Stopped before any response was received' };
+            }
+            if (response && response.success && response.contextSummary !== undefined) {
+                this.setContextSummary(response.contextSummary);
+            }
+            if (response && response.success && response.redaction) {
+                this.addRedactionNotice(response.redaction);
+            }
+            return response;
+        } finally {
+            this.activeStreams.delete(stream);
+            if (bubble) bubble.remove();
+        }
+    }
+
+    /**
+     * Show what was masked before the last request left the browser (not saved with the conversation)
+     * @param {Object} report - { counts, samples, imageRegions, images, imageErrors } from the background
+     */
+    addRedactionNotice(report) {
+        const labels = { secrets: 'secret', emails: 'email', cards: 'card number', ips: 'IP address', phones: 'phone number' };
+        const plural = (count, label) => `${count} ${label}${count === 1 ? '' : (label.endsWith('s') ? 'es' : 's')}`;
+        const parts = Object.entries(report.counts || {}).map(([category, count]) => plural(count, labels[category] || category));
+        if (report.imageRegions) parts.push(plural(report.imageRegions, 'image region'));
+        if (parts.length === 0 && !report.imageErrors) return;
+
+        const notice = document.createElement("details");
+        notice.style.cssText = `
+            align-self: center; max-width: 85%; font-size: 11px; color: #9ca3af;
+            background: rgba(52,199,89,0.06); border: 1px solid rgba(52,199,89,0.25); border-radius: 8px;
+            padding: 6px 10px;
+        `;
+        if (report.imageErrors) {
+            notice.style.background = "rgba(255,159,10,0.08)";
+            notice.style.borderColor = "rgba(255,159,10,0.35)";
+            notice.open = true;
+        }
+        const summary = document.createElement("summary");
+        summary.style.cssText = "cursor: pointer; user-select: none;";
+        summary.textContent = parts.length ? `🛡️ Masked before sending: ${parts.join(' · ')}` : '🛡️ Nothing masked';
+        notice.appendChild(summary);
+
+        if (report.imageErrors) {
+            const warning = document.createElement("div");
+            warning.style.cssText = "margin-top: 6px; color: #ff9f0a;";
+            warning.textContent = `⚠️ ${plural(report.imageErrors, 'image')} could not be checked (OCR failed) and ${report.imageErrors === 1 ? 'was' : 'were'} sent unredacted`;
+            notice.appendChild(warning);
+        }
+
+        const list = document.createElement("div");
+        list.style.cssText = "margin-top: 6px; display: flex; flex-direction: column; gap: 2px; font-family: monospace;";
+        (report.samples || []).forEach(sample => {
+            const row = document.createElement("div");
+            row.textContent = `${labels[sample.category] || sample.category}: ${sample.preview}`;
+            list.appendChild(row);
+        });
+        notice.appendChild(list);
+
+        if (report.images?.length) {
+            const images = document.createElement("div");
+            images.style.cssText = "display: flex; gap: 6px; margin-top: 6px; flex-wrap: wrap;";
+            report.images.forEach(base64 => {
+                const img = document.createElement("img");
+                img.src = `data:image/jpeg;base64,${base64}`;
+                img.title = "Image as sent - click to enlarge";
+                img.style.cssText = "max-width: 120px; max-height: 80px; border-radius: 4px; border: 1px solid #333; cursor: zoom-in;";
+                img.onclick = () => this._showImageModal(img.src);
+                images.appendChild(img);
+            });
+            notice.appendChild(images);
+        }
+
+        this.chatBody.appendChild(notice);
+        this.chatBody.scrollTop = this.chatBody.scrollHeight;
+    }
+
     /**
      * Get display name for a model
      * @param {string} modelValue
@@ -882,6 +1463,11 @@ class FloatingChatUI {
         const messagesToRemove = this.chatHistory.length - index;
         this.chatHistory = this.chatHistory.slice(0, index);
 
+        // A summary covering the rewound turns no longer describes the conversation
+        if (this.contextSummary && this.contextSummary.coveredCount > userMsgIndex) {
+            this.setContextSummary(null);
+        }
+
         // Remove corresponding DOM elements from chatBody
         for (let i = 0; i < messagesToRemove; i++) {
             const lastChild = this.chatBody.lastElementChild;
@@ -912,27 +1498,27 @@ class FloatingChatUI {
                 if (imagesToSend.length > 0) {
                     // Use multi-image if multiple, single image otherwise
                     if (imagesToSend.length === 1) {
-                        response = await chrome.runtime.sendMessage({
+                        response = await this.streamRequest({
                             action: "ASK_AI",
                             model: this.currentModel,
                             base64Image: imagesToSend[0]
-                        });
+                        }, this.currentModel);
                     } else {
-                        response = await chrome.runtime.sendMessage({
+                        response = await this.streamRequest({
                             action: "ASK_AI_MULTI_IMAGE",
                             model: this.currentModel,
                             images: imagesToSend,
                             textContext: this._extractTextFromHistory(userMsgIndex)
-                        });
+                        }, this.currentModel);
                     }
                 } else {
                     // No images, use text chat
-                    response = await chrome.runtime.sendMessage({
+                    response = await this.streamRequest({
                         action: "CONTINUE_CHAT",
                         model: this.currentModel,
                         history: this._buildApiHistory(userMsgIndex),
                         mode: this.currentMode
-                    });
+                    }, this.currentModel);
                 }
             } else {
                 // Non-vision model - need to use OCR text if there are images
@@ -942,7 +1528,8 @@ class FloatingChatUI {
                     for (const img of imagesToSend) {
                         const ocrResult = await chrome.runtime.sendMessage({
                             action: "PERFORM_OCR",
-                            base64Image: img
+                            base64Image: img,
+                            mode: this.currentMode
                         });
                         if (ocrResult?.success && ocrResult.text) {
                             ocrTextParts.push(ocrResult.text);
@@ -957,29 +1544,29 @@ class FloatingChatUI {
                             ...this._buildApiHistory(userMsgIndex).slice(1) // Skip original first message, use OCR instead
                         ];
 
-                        response = await chrome.runtime.sendMessage({
+                        response = await this.streamRequest({
                             action: "CONTINUE_CHAT",
                             model: this.currentModel,
                             history: historyWithOcr,
                             mode: this.currentMode
-                        });
+                        }, this.currentModel);
                     } else {
                         // OCR failed, use text history as fallback
-                        response = await chrome.runtime.sendMessage({
+                        response = await this.streamRequest({
                             action: "CONTINUE_CHAT",
                             model: this.currentModel,
                             history: this._buildApiHistory(userMsgIndex),
                             mode: this.currentMode
-                        });
+                        }, this.currentModel);
                     }
                 } else {
                     // No images, use text history
-                    response = await chrome.runtime.sendMessage({
+                    response = await this.streamRequest({
                         action: "CONTINUE_CHAT",
                         model: this.currentModel,
                         history: this._buildApiHistory(userMsgIndex),
                         mode: this.currentMode
-                    });
+                    }, this.currentModel);
                 }
             }
 
@@ -987,7 +1574,7 @@ class FloatingChatUI {
 
             if (response && response.success) {
                 // Add regenerated indicator to the response
-                this._addRegeneratedMessage(response.answer, this.currentModel);
+                this._addRegeneratedMessage(response.answer, this.currentModel, response.failover);
                 if (response.guestInfo) {
                     updateLocalGuestCache(response.guestInfo);
                 }
@@ -1004,10 +1591,11 @@ class FloatingChatUI {
      * Add a regenerated message with indicator badge
      * @param {string} content - Message content
      * @param {string} modelName - Model name
+     * @param {Object|null} failover - Fallback info from the response
      */
-    _addRegeneratedMessage(content, modelName) {
+    _addRegeneratedMessage(content, modelName, failover = null) {
         // Use addMessage but mark it as regenerated
-        this.addMessage('assistant', content, modelName, false, null, true);
+        this.addMessage('assistant', content, modelName, false, null, true, null, failover);
     }
 
     /**
@@ -1214,8 +1802,9 @@ class FloatingChatUI {
      * Process a snipped image for this window
      * Creates a proper message object (like the initial snip) so it persists in history correctly
      * @param {string} croppedBase64
+     * @param {string} label - Text shown with the image
      */
-    _processSnippedImage(croppedBase64) {
+    _processSnippedImage(croppedBase64, label = 'Additional screenshot') {
         // Store image for compare window access
         this.allImages.push(croppedBase64);
 
@@ -1223,50 +1812,44 @@ class FloatingChatUI {
 
         // Create a proper message object with image data (unified format like initial snip)
         const userContent = [
-            { type: 'text', text: '(Additional screenshot)' },
+            { type: 'text', text: `(${label})` },
             { type: 'image_url', image_url: { url: `data:image/png;base64,${croppedBase64}` } }
         ];
 
         // Add message with the full content AND store the base64 image
         this.addMessage('user', userContent, null, false, croppedBase64);
 
-        if (isVisionModel(this.currentModel)) {
-            chrome.runtime.sendMessage({
+        const modelToUse = this.currentModel;
+        const handleAnswer = (response) => {
+            this.removeTypingIndicator();
+            if (response && response.success) {
+                this.addMessage('assistant', response.answer, modelToUse, false, null, false, response.tokenUsage, response.failover);
+                if (response.guestInfo) {
+                    updateLocalGuestCache(response.guestInfo);
+                }
+            } else {
+                this.addMessage('assistant', "⚠️ Error: " + (response?.error || "Unknown error"), modelToUse, true);
+            }
+        };
+
+        if (isVisionModel(modelToUse)) {
+            this.streamRequest({
                 action: "ASK_AI",
-                model: this.currentModel,
+                model: modelToUse,
                 base64Image: croppedBase64
-            }, (response) => {
-                this.removeTypingIndicator();
-                if (response && response.success) {
-                    this.addMessage('assistant', response.answer, this.currentModel, false, null, false, response.tokenUsage);
-                    if (response.guestInfo) {
-                        updateLocalGuestCache(response.guestInfo);
-                    }
-                } else {
-                    this.addMessage('assistant', "⚠️ Error: " + (response?.error || "Unknown error"), this.currentModel, true);
-                }
-            });
+            }, modelToUse).then(handleAnswer);
         } else {
             chrome.runtime.sendMessage({
                 action: "PERFORM_OCR",
-                base64Image: croppedBase64
+                base64Image: croppedBase64,
+                mode: this.currentMode
             }, (ocrResult) => {
                 if (ocrResult && ocrResult.success && ocrResult.text) {
-                    chrome.runtime.sendMessage({
+                    this.streamRequest({
                         action: "ASK_AI_TEXT",
-                        model: this.currentModel,
+                        model: modelToUse,
                         text: ocrResult.text
-                    }, (response) => {
-                        this.removeTypingIndicator();
-                        if (response && response.success) {
-                            this.addMessage('assistant', response.answer, this.currentModel, false, null, false, response.tokenUsage);
-                            if (response.guestInfo) {
-                                updateLocalGuestCache(response.guestInfo);
-                            }
-                        } else {
-                            this.addMessage('assistant', "⚠️ Error: " + (response?.error || "Unknown error"), this.currentModel, true);
-                        }
-                    });
+                    }, modelToUse).then(handleAnswer);
                 } else {
                     this.removeTypingIndicator();
                     this.addMessage('assistant', "⚠️ OCR failed - no text extracted from image", this.currentModel, true);
@@ -1275,6 +1858,67 @@ class FloatingChatUI {
         }
     }
 
+    /**
+     * Ask about a dropped/pasted file or a multi-region snip: one image goes the snip route, several
+     * are sent together in order (all to a vision model, or their OCR text to a text model)
+     * @param {string[]} images - JPEG base64, one per image, page or region
+     * @param {string} label - e.g. "PDF: report.pdf, pages 1-3"
+     * @param {Object} [options]
+     * @param {string} [options.partName] - What each image is, used to label them in order ("Page 2")
+     * @param {string} [options.textContext] - Instruction sent with the images
+     */
+    async _processFileImages(images, label, { partName = 'Page', textContext = null } = {}) {
+        if (images.length === 1) {
+            this._processSnippedImage(images[0], label);
+            return;
+        }
+
+        this.allImages.push(...images);
+        this.showTypingIndicator();
+
+        const userContent = [
+            { type: 'text', text: `(${label})` },
+            ...images.map(img => ({ type: 'image_url', image_url: { url: `data:image/jpeg;base64,${img}` } }))
+        ];
+        this.addMessage('user', userContent, null, false, images[0]);
+
+        const modelToUse = this.currentModel;
+        let response;
+        if (isVisionModel(modelToUse)) {
+            response = await this.streamRequest({
+                action: "ASK_AI_MULTI_IMAGE",
+                model: modelToUse,
+                images,
+                imageLabels: images.map((_, i) => `${partName} ${i + 1}:`),
+                textContext: textContext || `${label}. Answer about these ${images.length} pages as one document.`
+            }, modelToUse);
+        } else {
+            // Images are OCR'd one at a time (the OCR worker is a queue anyway)
+            const pages = [];
+            for (let i = 0; i < images.length; i++) {
+                const ocrResult = await chrome.runtime.sendMessage({
+                    action: "PERFORM_OCR",
+                    base64Image: images[i],
+                    mode: this.currentMode
+                }).catch(() => null);
+                if (ocrResult?.success && ocrResult.text) pages.push(`[${partName} ${i + 1}]\n${ocrResult.text}`);
+            }
+            response = pages.length > 0
+                ? await this.streamRequest({ action: "ASK_AI_TEXT", model: modelToUse, text: pages.join('\n\n') }, modelToUse)
+                : { success: false, error: 'OCR failed - no text extracted from the images' };
+        }
+
+        this.removeTypingIndicator();
+        if (response && response.success) {
+            this.addMessage('assistant', response.answer, modelToUse, false, null, false, response.tokenUsage, response.failover);
+            if (response.guestInfo) {
+                updateLocalGuestCache(response.guestInfo);
+            }
+        } else {
+            this.addMessage('assistant', "⚠️ Error: " + (response?.error || "Unknown error"), modelToUse, true);
+        }
+    }
+
     /**
      * Build summarized context for compare window
      * Includes original context + summary of follow-up messages
@@ -1365,6 +2009,7 @@ class FloatingChatUI {
         // Copy all state to compare window
         newUI.initialUserMessage = this.initialUserMessage;
         newUI.initialBase64Image = this.initialBase64Image;
+        newUI.promptContext = this.promptContext;
         newUI.allImages = [...this.allImages];
 
         // Inherit mode from parent window
@@ -1390,92 +2035,28 @@ class FloatingChatUI {
                 model: msg.model,
                 base64Image: msg.base64Image,
                 isRegenerated: msg.isRegenerated,
+                tokenUsage: msg.tokenUsage || null,
+                failover: msg.failover || null,
                 timestamp: msg.timestamp
             });
 
             // Render the message in the UI
             this._renderClonedMessage(newUI, msg);
         }
+        if (this.contextSummary && this.contextSummary.coveredCount < lastAssistantIndex) {
+            newUI.setContextSummary({ ...this.contextSummary });
+        }
 
         // Now regenerate the last response with the new model
         newUI.showTypingIndicator();
 
         try {
-            let response;
-
-            // Collect all images from history
-            const imagesToSend = [];
-            if (newUI.initialBase64Image) {
-                imagesToSend.push(newUI.initialBase64Image);
-            }
-            for (let i = 0; i < newUI.chatHistory.length; i++) {
-                if (newUI.chatHistory[i].base64Image && !imagesToSend.includes(newUI.chatHistory[i].base64Image)) {
-                    imagesToSend.push(newUI.chatHistory[i].base64Image);
-                }
-            }
-
-            // Build full conversation history as text
-            const apiHistory = newUI._buildApiHistory(newUI.chatHistory.length - 1);
-            const fullTextContext = apiHistory.map(m => `${m.role}: ${m.content}`).join('\n');
-
-            if (isVisionModel(newUI.currentModel) && imagesToSend.length > 0) {
-                // Vision model with images: Always use MULTI_IMAGE which supports textContext
-                // ASK_AI does NOT support additionalContext, so we must use MULTI_IMAGE even for 1 image
-                response = await chrome.runtime.sendMessage({
-                    action: "ASK_AI_MULTI_IMAGE",
-                    model: newUI.currentModel,
-                    images: imagesToSend,
-                    textContext: fullTextContext
-                });
-            } else if (!isVisionModel(newUI.currentModel) && imagesToSend.length > 0) {
-                // Non-vision model with images: Extract text via OCR first
-                let ocrTextParts = [];
-                for (const img of imagesToSend) {
-                    const ocrResult = await chrome.runtime.sendMessage({
-                        action: "PERFORM_OCR",
-                        base64Image: img
-                    });
-                    if (ocrResult?.success && ocrResult.text) {
-                        ocrTextParts.push(ocrResult.text);
-                    }
-                }
-
-                if (ocrTextParts.length > 0) {
-                    // Inject OCR context at the start of history
-                    const ocrContext = ocrTextParts.join('\n---\n');
-                    const historyWithOcr = [
-                        { role: 'user', content: `[Image content extracted via OCR]:\n${ocrContext}` },
-                        ...apiHistory.slice(1) // Skip first message which references the image
-                    ];
-
-                    response = await chrome.runtime.sendMessage({
-                        action: "CONTINUE_CHAT",
-                        model: newUI.currentModel,
-                        history: historyWithOcr,
-                        mode: newUI.currentMode
-                    });
-                } else {
-                    // OCR failed, just use text history
-                    response = await chrome.runtime.sendMessage({
-                        action: "CONTINUE_CHAT",
-                        model: newUI.currentModel,
-                        history: apiHistory,
-                        mode: newUI.currentMode
-                    });
-                }
-            } else {
-                // No images: Use text-only chat
-                response = await chrome.runtime.sendMessage({
-                    action: "CONTINUE_CHAT",
-                    model: newUI.currentModel,
-                    history: apiHistory,
-                    mode: newUI.currentMode
-                });
-            }
+            const request = await newUI._buildAnswerRequest(newUI.currentModel, newUI.chatHistory.length - 1);
+            const response = await newUI.streamRequest(request, newUI.currentModel);
 
             newUI.removeTypingIndicator();
             if (response && response.success) {
-                newUI.addMessage('assistant', response.answer, newUI.currentModel, false, null, false, response.tokenUsage);
+                newUI.addMessage('assistant', response.answer, newUI.currentModel, false, null, false, response.tokenUsage, response.failover);
                 if (response.guestInfo) {
                     updateLocalGuestCache(response.guestInfo);
                 }
@@ -1488,6 +2069,77 @@ class FloatingChatUI {
         }
     }
 
+    /**
+     * Build the request that answers the conversation (up to a history entry) with a given model.
+     * Vision models get every snip via ASK_AI_MULTI_IMAGE (ASK_AI has no text context);
+     * other models get the snips as OCR text at the start of the history.
+     * @param {string} model
+     * @param {number} upToIndex - Last chatHistory entry to include
+     * @param {Map} [ocrCache] - image -> OCR text, shared when building several requests
+     * @returns {Promise<Object>} Request for streamRequest() / requestAIStream()
+     */
+    async _buildAnswerRequest(model, upToIndex, ocrCache = new Map()) {
+        // Collect all images from history
+        const imagesToSend = [];
+        if (this.initialBase64Image) {
+            imagesToSend.push(this.initialBase64Image);
+        }
+        for (let i = 0; i <= upToIndex; i++) {
+            if (this.chatHistory[i].base64Image && !imagesToSend.includes(this.chatHistory[i].base64Image)) {
+                imagesToSend.push(this.chatHistory[i].base64Image);
+            }
+        }
+
+        // Build full conversation history as text
+        const apiHistory = this._buildApiHistory(upToIndex);
+
+        if (imagesToSend.length > 0 && isVisionModel(model)) {
+            return {
+                action: "ASK_AI_MULTI_IMAGE",
+                model,
+                images: imagesToSend,
+                textContext: apiHistory.map(m => `${m.role}: ${m.content}`).join('\n')
+            };
+        }
+
+        if (imagesToSend.length > 0) {
+            // Non-vision model with images: Extract text via OCR first
+            const ocrTextParts = [];
+            for (const img of imagesToSend) {
+                if (!ocrCache.has(img)) {
+                    const ocrResult = await chrome.runtime.sendMessage({
+                        action: "PERFORM_OCR",
+                        base64Image: img,
+                        mode: this.currentMode
+                    });
+                    ocrCache.set(img, ocrResult?.success ? ocrResult.text : null);
+                }
+                if (ocrCache.get(img)) ocrTextParts.push(ocrCache.get(img));
+            }
+
+            if (ocrTextParts.length > 0) {
+                // Inject OCR context at the start of history
+                return {
+                    action: "CONTINUE_CHAT",
+                    model,
+                    history: [
+                        { role: 'user', content: `[Image content extracted via OCR]:\n${ocrTextParts.join('\n---\n')}` },
+                        ...apiHistory.slice(1) // Skip first message which references the image
+                    ],
+                    mode: this.currentMode
+                };
+            }
+            // OCR failed, just use text history
+        }
+
+        return {
+            action: "CONTINUE_CHAT",
+            model,
+            history: apiHistory,
+            mode: this.currentMode
+        };
+    }
+
     /**
      * Helper to render a cloned message in a new window
      * @param {FloatingChatUI} targetUI - The target window
@@ -1605,18 +2257,18 @@ class FloatingChatUI {
         });
 
         try {
-            const response = await chrome.runtime.sendMessage({
+            const response = await this.streamRequest({
                 action: "CONTINUE_CHAT",
                 model: modelToUse,
                 history: formattedHistory,
                 mode: modeToUse,
                 parallelCount: parallelCount
-            });
+            }, modelToUse);
 
             this.removeTypingIndicator();
 
             if (response && response.success) {
-                this.addMessage('assistant', response.answer, modelToUse, false, null, false, response.tokenUsage);
+                this.addMessage('assistant', response.answer, modelToUse, false, null, false, response.tokenUsage, response.failover);
                 if (response.guestInfo) {
                     updateLocalGuestCache(response.guestInfo);
                 }
@@ -0,0 +1,384 @@
+// src/content/snip-annotator.js
+// Optional annotation step between the snip and the request - boxes, arrows, freehand, text callouts, blur/black-out
+
+const ANNOTATION_COLORS = ['#ff3b30', '#ffcc00', '#34c759', '#0a84ff', '#ffffff', '#000000'];
+const BLUR_BLOCK_SIZE = 14;   // Pixelation block (image px) - a Gaussian blur of short strings can be undone, blocks can't
+const MIN_SHAPE_SIZE = 4;     // Drags smaller than this (image px) are treated as clicks
+
+const ANNOTATION_TOOLS = [
+    { id: 'box', label: '▭', title: 'Box (B)', key: 'b' },
+    { id: 'arrow', label: '➚', title: 'Arrow (A)', key: 'a' },
+    { id: 'pen', label: '✎', title: 'Freehand (P)', key: 'p' },
+    { id: 'text', label: 'T', title: 'Text callout (T)', key: 't' },
+    { id: 'blur', label: '▦', title: 'Blur region (U)', key: 'u' },
+    { id: 'redact', label: '■', title: 'Black out region (X)', key: 'x' }
+];
+
+/**
+ * SnipAnnotator - Canvas editor shown over the page after a snip
+ */
+const SnipAnnotator = {
+    /** @type {HTMLElement|null} Shadow host */
+    host: null,
+
+    /**
+     * Whether snips should go through the editor first (popup setting)
+     * @returns {Promise<boolean>}
+     */
+    async isEnabled() {
+        try {
+            const { annotateSnips } = await chrome.storage.local.get(['annotateSnips']);
+            return annotateSnips === true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * Open the editor for a snip
+     * @param {string} base64 - JPEG base64 without data URL prefix
+     * @returns {Promise<string|null>} The image to send (unchanged when nothing was drawn), or null if cancelled
+     */
+    open(base64) {
+        if (this.host) this.host.remove();
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => this._build(img, base64, resolve);
+            img.onerror = () => reject(new Error('Could not load the snip for annotation'));
+            img.src = `data:image/jpeg;base64,${base64}`;
+        });
+    },
+
+    /**
+     * Create the editor UI
+     * @param {HTMLImageElement} img
+     * @param {string} base64 - Original snip
+     * @param {Function} resolve
+     */
+    _build(img, base64, resolve) {
+        const shapes = [];
+        let tool = 'box';
+        let color = ANNOTATION_COLORS[0];
+        let draft = null;
+        let textInput = null;
+
+        const host = document.createElement('div');
+        host.id = 'snip-annotator-host';
+        host.style.cssText = 'position: fixed; inset: 0; z-index: 2147483647;';
+        const shadow = host.attachShadow({ mode: 'closed' });
+        this.host = host;
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .backdrop {
+                position: fixed; inset: 0; background: rgba(0,0,0,0.75);
+                display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 12px;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 13px;
+            }
+            .toolbar {
+                display: flex; align-items: center; gap: 6px; padding: 6px 8px;
+                background: #1e1e1e; border: 1px solid rgba(255,107,74,0.4); border-radius: 10px;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.6);
+            }
+            .sep { width: 1px; height: 22px; background: rgba(255,255,255,0.12); margin: 0 4px; }
+            button {
+                min-width: 30px; height: 30px; padding: 0 8px; border-radius: 6px; cursor: pointer;
+                background: rgba(255,255,255,0.05); color: #ccc; border: 1px solid rgba(255,255,255,0.1);
+                font-family: inherit; font-size: 14px;
+            }
+            button:hover { border-color: rgba(255,107,74,0.6); }
+            button.active { background: rgba(255,107,74,0.25); color: #fff; border-color: #ff6b4a; }
+            button:disabled { opacity: 0.4; cursor: default; }
+            .swatch { min-width: 22px; width: 22px; height: 22px; padding: 0; border-radius: 50%; border: 2px solid transparent; }
+            .swatch.active { border-color: #fff; }
+            .secondary { font-size: 12px; }
+            .send { background: #ee4b06; color: #fff; border: none; font-weight: 600; font-size: 12px; padding: 0 14px; }
+            .stage { position: relative; line-height: 0; }
+            canvas {
+                max-width: 92vw; max-height: calc(100vh - 140px); cursor: crosshair;
+                border-radius: 6px; box-shadow: 0 8px 40px rgba(0,0,0,0.7);
+            }
+            .text-input {
+                position: absolute; min-width: 160px; padding: 4px 8px; line-height: normal;
+                background: rgba(0,0,0,0.8); color: #fff; border: 1px solid #ff6b4a; border-radius: 4px;
+                font-family: inherit; font-size: 14px; outline: none;
+            }
+            .hint { color: #999; font-size: 12px; }
+        `;
+        shadow.appendChild(style);
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'backdrop';
+
+        // --- Toolbar ---
+        const toolbar = document.createElement('div');
+        toolbar.className = 'toolbar';
+
+        const toolButtons = ANNOTATION_TOOLS.map(t => {
+            const btn = document.createElement('button');
+            btn.textContent = t.label;
+            btn.title = t.title;
+            btn.onclick = () => selectTool(t.id);
+            toolbar.appendChild(btn);
+            return [t.id, btn];
+        });
+
+        toolbar.appendChild(Object.assign(document.createElement('div'), { className: 'sep' }));
+
+        const swatches = ANNOTATION_COLORS.map(c => {
+            const btn = document.createElement('button');
+            btn.className = 'swatch';
+            btn.style.background = c;
+            btn.title = 'Color';
+            btn.onclick = () => {
+                color = c;
+                swatches.forEach(s => s.classList.toggle('active', s === btn));
+            };
+            toolbar.appendChild(btn);
+            return btn;
+        });
+        swatches[0].classList.add('active');
+
+        toolbar.appendChild(Object.assign(document.createElement('div'), { className: 'sep' }));
+
+        const undoBtn = document.createElement('button');
+        undoBtn.className = 'secondary';
+        undoBtn.textContent = '↶ Undo';
+        undoBtn.title = 'Undo (Ctrl+Z)';
+        undoBtn.onclick = () => undo();
+        toolbar.appendChild(undoBtn);
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'secondary';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.title = 'Discard the snip (Esc)';
+        cancelBtn.onclick = () => finish(null);
+        toolbar.appendChild(cancelBtn);
+
+        const sendBtn = document.createElement('button');
+        sendBtn.className = 'send';
+        sendBtn.textContent = 'Send ➤';
+        sendBtn.title = 'Send the annotated snip (Enter)';
+        sendBtn.onclick = () => finish(exportImage());
+        toolbar.appendChild(sendBtn);
+
+        // --- Canvas (full image resolution, scaled down by CSS) ---
+        const stage = document.createElement('div');
+        stage.className = 'stage';
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        const ctx = canvas.getContext('2d');
+        stage.appendChild(canvas);
+
+        const hint = document.createElement('div');
+        hint.className = 'hint';
+        hint.textContent = 'Drag to draw · click with T to add a callout · blurred and blacked-out areas are flattened into the image';
+
+        backdrop.append(toolbar, stage, hint);
+        shadow.appendChild(backdrop);
+        document.documentElement.appendChild(host);
+
+        // Marks scale with the snip so they look the same on small and large captures
+        const lineWidth = Math.max(3, Math.round(Math.max(canvas.width, canvas.height) / 320));
+        const fontSize = Math.max(16, Math.round(canvas.width / 36));
+
+        // --- Rendering ---
+        const drawShape = (shape) => {
+            ctx.save();
+            ctx.strokeStyle = shape.color;
+            ctx.fillStyle = shape.color;
+            ctx.lineWidth = lineWidth;
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+
+            const x = Math.min(shape.x1, shape.x2);
+            const y = Math.min(shape.y1, shape.y2);
+            const w = Math.abs(shape.x2 - shape.x1);
+            const h = Math.abs(shape.y2 - shape.y1);
+
+            if (shape.type === 'box') {
+                ctx.strokeRect(x, y, w, h);
+            } else if (shape.type === 'arrow') {
+                const angle = Math.atan2(shape.y2 - shape.y1, shape.x2 - shape.x1);
+                const head = lineWidth * 4;
+                ctx.beginPath();
+                ctx.moveTo(shape.x1, shape.y1);
+                ctx.lineTo(shape.x2, shape.y2);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(shape.x2, shape.y2);
+                ctx.lineTo(shape.x2 - head * Math.cos(angle - Math.PI / 6), shape.y2 - head * Math.sin(angle - Math.PI / 6));
+                ctx.lineTo(shape.x2 - head * Math.cos(angle + Math.PI / 6), shape.y2 - head * Math.sin(angle + Math.PI / 6));
+                ctx.closePath();
+                ctx.fill();
+            } else if (shape.type === 'pen') {
+                ctx.beginPath();
+                shape.points.forEach(([px, py], i) => (i === 0 ? ctx.moveTo(px, py) : ctx.lineTo(px, py)));
+                ctx.stroke();
+            } else if (shape.type === 'text') {
+                ctx.font = `600 ${fontSize}px -apple-system, 'Segoe UI', Roboto, sans-serif`;
+                ctx.textBaseline = 'top';
+                const pad = Math.round(fontSize * 0.35);
+                const width = ctx.measureText(shape.text).width;
+                // Dark pill behind light text (and vice versa) keeps callouts readable on any background
+                ctx.fillStyle = shape.color === '#000000' ? 'rgba(255,255,255,0.85)' : 'rgba(0,0,0,0.75)';
+                ctx.fillRect(shape.x1, shape.y1, width + pad * 2, fontSize + pad * 2);
+                ctx.fillStyle = shape.color;
+                ctx.fillText(shape.text, shape.x1 + pad, shape.y1 + pad);
+            } else if (shape.type === 'redact') {
+                ctx.fillStyle = '#000';
+                ctx.fillRect(x, y, w, h);
+            } else if (shape.type === 'blur' && w >= 1 && h >= 1) {
+                // Pixelate whatever is under the region (including earlier marks)
+                const small = document.createElement('canvas');
+                small.width = Math.max(1, Math.round(w / BLUR_BLOCK_SIZE));
+                small.height = Math.max(1, Math.round(h / BLUR_BLOCK_SIZE));
+                small.getContext('2d').drawImage(canvas, x, y, w, h, 0, 0, small.width, small.height);
+                ctx.imageSmoothingEnabled = false;
+                ctx.drawImage(small, 0, 0, small.width, small.height, x, y, w, h);
+            }
+            ctx.restore();
+
+            // Outline the region while it is being dragged (not part of the output)
+            if (shape === draft && (shape.type === 'blur' || shape.type === 'redact')) {
+                ctx.save();
+                ctx.setLineDash([6, 4]);
+                ctx.strokeStyle = '#ff6b4a';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(x, y, w, h);
+                ctx.restore();
+            }
+        };
+
+        const render = () => {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(img, 0, 0);
+            shapes.forEach(drawShape);
+            if (draft) drawShape(draft);
+            undoBtn.disabled = shapes.length === 0;
+        };
+
+        const exportImage = () => {
+            commitText();
+            if (shapes.length === 0) return base64;
+            render();
+            return canvas.toDataURL('image/jpeg', 0.85).replace(/^data:image\/(png|jpeg);base64,/, '');
+        };
+
+        // --- Interaction ---
+        const toImagePoint = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return [
+                Math.round((e.clientX - rect.left) * canvas.width / rect.width),
+                Math.round((e.clientY - rect.top) * canvas.height / rect.height)
+            ];
+        };
+
+        const selectTool = (id) => {
+            commitText();
+            tool = id;
+            toolButtons.forEach(([toolId, btn]) => btn.classList.toggle('active', toolId === id));
+            canvas.style.cursor = id === 'text' ? 'text' : 'crosshair';
+        };
+
+        const undo = () => {
+            commitText();
+            shapes.pop();
+            render();
+        };
+
+        const commitText = () => {
+            if (!textInput) return;
+            const text = textInput.value.trim();
+            if (text) shapes.push({ ...textInput._shape, text });
+            textInput.remove();
+            textInput = null;
+            render();
+        };
+
+        const startText = (e) => {
+            commitText();
+            const [x, y] = toImagePoint(e);
+            const stageRect = stage.getBoundingClientRect();
+            textInput = document.createElement('input');
+            textInput.className = 'text-input';
+            textInput.placeholder = 'Callout text, Enter to place';
+            textInput.style.left = `${e.clientX - stageRect.left}px`;
+            textInput.style.top = `${e.clientY - stageRect.top}px`;
+            textInput._shape = { type: 'text', x1: x, y1: y, color };
+            textInput.addEventListener('keydown', (ev) => {
+                ev.stopPropagation();
+                if (ev.key === 'Enter') {
+                    ev.preventDefault();
+                    commitText();
+                } else if (ev.key === 'Escape') {
+                    textInput.remove();
+                    textInput = null;
+                }
+            });
+            stage.appendChild(textInput);
+            textInput.focus();
+        };
+
+        canvas.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            if (tool === 'text') {
+                startText(e);
+                return;
+            }
+            commitText();
+            const [x, y] = toImagePoint(e);
+            draft = { type: tool, color, x1: x, y1: y, x2: x, y2: y, points: [[x, y]] };
+
+            const onMove = (ev) => {
+                const [mx, my] = toImagePoint(ev);
+                draft.x2 = Math.max(0, Math.min(canvas.width, mx));
+                draft.y2 = Math.max(0, Math.min(canvas.height, my));
+                if (draft.type === 'pen') draft.points.push([draft.x2, draft.y2]);
+                render();
+            };
+            const onUp = () => {
+                window.removeEventListener('mousemove', onMove);
+                window.removeEventListener('mouseup', onUp);
+                const size = Math.max(Math.abs(draft.x2 - draft.x1), Math.abs(draft.y2 - draft.y1));
+                if (draft.type === 'pen' ? draft.points.length > 1 : size >= MIN_SHAPE_SIZE) shapes.push(draft);
+                draft = null;
+                render();
+            };
+            window.addEventListener('mousemove', onMove);
+            window.addEventListener('mouseup', onUp);
+        });
+
+        // Keys stay inside the editor (page shortcuts must not fire while annotating)
+        const onKeyDown = (e) => {
+            // The callout input handles its own keys
+            if (textInput) return;
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                finish(null);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(exportImage());
+            } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                undo();
+            } else if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+                const match = ANNOTATION_TOOLS.find(t => t.key === e.key.toLowerCase());
+                if (match) selectTool(match.id);
+            }
+        };
+        window.addEventListener('keydown', onKeyDown, true);
+
+        const finish = (result) => {
+            window.removeEventListener('keydown', onKeyDown, true);
+            host.remove();
+            if (this.host === host) this.host = null;
+            resolve(result);
+        };
+
+        selectTool('box');
+        render();
+    }
+};
@@ -1,5 +1,40 @@
 // src/content/snip-selection.js
-// Screen snipping/selection logic - glass pane, selection box, mouse handling
+// Screen snipping/selection logic - glass pane, selection box, mouse handling, scrolling capture
+
+// Scrolling capture tuning
+const SCROLL_EDGE_SIZE = 48;            // Distance from the viewport edge (px) that triggers auto-scroll
+const SCROLL_MAX_SPEED = 24;            // Max auto-scroll step per animation frame (px)
+const SCROLL_MAX_HEIGHT = 12000;        // Tallest selection we stitch (CSS px) - keeps canvases within browser limits
+const SCROLL_MAX_OUTPUT_HEIGHT = 8192;  // Tallest stitched image we send (px); width still follows MAX_IMAGE_DIMENSION
+
+// Adjustable selection
+const SNIP_MIN_SIZE = 10;               // Smaller selections are treated as a stray click
+const SNIP_HANDLE_SIZE = 10;            // Resize handle squares (px)
+const SNIP_HANDLE_HIT = 8;              // Grab distance around edges and handles (px)
+const SNIP_NUDGE_LARGE = 10;            // Arrow-key step with Shift held (px)
+const SNIP_SAFETY_TIMEOUT = 30000;      // Idle time before the overlay gives up (ms)
+const LOUPE_SIZE = 140;                 // Magnifier size (CSS px)
+const LOUPE_ZOOM = 8;
+
+const SNIP_ASPECT_PRESETS = [
+    { id: 'free', label: 'Free', ratio: null },
+    { id: '1:1', label: '1:1', ratio: 1 },
+    { id: '4:3', label: '4:3', ratio: 4 / 3 },
+    { id: '3:2', label: '3:2', ratio: 3 / 2 },
+    { id: '16:9', label: '16:9', ratio: 16 / 9 }
+];
+
+const SNIP_SIZE_PRESETS = [
+    { id: '640x480', width: 640, height: 480 },
+    { id: '800x600', width: 800, height: 600 },
+    { id: '1280x720', width: 1280, height: 720 }
+];
+
+// Cursor per resize handle / edge
+const SNIP_HANDLE_CURSORS = {
+    nw: 'nwse-resize', se: 'nwse-resize', ne: 'nesw-resize', sw: 'nesw-resize',
+    n: 'ns-resize', s: 'ns-resize', e: 'ew-resize', w: 'ew-resize', move: 'move'
+};
 
 /**
  * SnipSelection - Manages the screen snipping UI and interaction
@@ -26,6 +61,72 @@ const SnipSelection = {
     /** @type {Function|null} Callback when selection completes */
     onComplete: null,
 
+    /** @type {boolean} Scrolling capture: selection is tracked in page coordinates and may exceed the viewport */
+    scrollMode: false,
+
+    /** @type {boolean} Mouse button is held down */
+    isDragging: false,
+
+    /** @type {{x: number, y: number}} Last known mouse position (viewport coordinates) */
+    lastPointer: { x: 0, y: 0 },
+
+    /** @type {number|null} Auto-scroll animation frame ID */
+    autoScrollFrame: null,
+
+    /** @type {HTMLElement|null} Scrolling capture toggle button */
+    scrollToggleBtn: null,
+
+    /** @type {boolean} Keep the selection editable after the drag (Enter confirms) - "snipAdjustable" setting */
+    adjustable: true,
+
+    /** @type {boolean} Selection is drawn and being adjusted */
+    isEditing: false,
+
+    /** @type {{left: number, top: number, width: number, height: number}|null} Current selection (viewport coordinates) */
+    rect: null,
+
+    /** @type {Object|null} Active move/resize drag: { handle, x, y, startRect } */
+    editOp: null,
+
+    /** @type {number|null} Locked width/height ratio, null for free */
+    aspect: null,
+
+    /** @type {HTMLElement|null} Size label + confirm button next to the selection */
+    editBar: null,
+
+    /** @type {HTMLSelectElement|null} Aspect/size preset picker */
+    presetSelect: null,
+
+    /** @type {boolean} Magnifier loupe is on ("snipLoupe" setting) */
+    loupeEnabled: false,
+
+    /** @type {HTMLCanvasElement|null} */
+    loupeCanvas: null,
+
+    /** @type {HTMLImageElement|null} Screenshot the loupe magnifies (taken without the overlay) */
+    loupeFrame: null,
+
+    /** @type {number} Scroll position the loupe frame was taken at */
+    loupeScrollY: 0,
+
+    /** @type {HTMLElement|null} Loupe toggle button */
+    loupeBtn: null,
+
+    /** @type {boolean} Element snip: hover highlights DOM elements, click snips one ("snipElementMode" setting) */
+    elementMode: false,
+
+    /** @type {Element|null} Element under the cursor in element mode */
+    hoveredElement: null,
+
+    /** @type {Element[]} Children left by ArrowUp, for ArrowDown */
+    elementStack: [],
+
+    /** @type {HTMLElement|null} Element mode toggle button */
+    elementBtn: null,
+
+    /** @type {Array<{left: number, top: number, width: number, height: number}>} Regions added with Shift-drag, in order */
+    regions: [],
+
     /**
      * Start the snipping process
      * @param {Function} onComplete - Callback(rect) when selection completes
@@ -34,9 +135,27 @@ const SnipSelection = {
         if (this.isSelecting) return;
         this.isSelecting = true;
         this.onComplete = onComplete;
+        this.scrollMode = false;
+        this.isDragging = false;
+        this.isEditing = false;
+        this.editOp = null;
+        this.rect = null;
+        this.aspect = null;
+        this.loupeFrame = null;
+        this.elementMode = false;
+        this.hoveredElement = null;
+        this.elementStack = [];
+        this.regions = [];
 
         this.createGlassPane();
         this.createSelectionBox();
+
+        chrome.storage.local.get(['snipAdjustable', 'snipLoupe', 'snipElementMode'], (res) => {
+            this.adjustable = res.snipAdjustable !== false;
+            if (!this.isSelecting) return;
+            if (res.snipElementMode && !this.rect) this.setElementMode(true);
+            if (res.snipLoupe) this.setLoupe(true);
+        });
     },
 
     /**
@@ -63,19 +182,27 @@ const SnipSelection = {
         // Bind event handlers
         this._onMouseDown = this.onMouseDown.bind(this);
         this._onKeyDown = this.onKeyDown.bind(this);
+        this._onHover = this.onHover.bind(this);
+        this._onDblClick = this.onDblClick.bind(this);
 
         this.glassPane.addEventListener("mousedown", this._onMouseDown);
         this.glassPane.addEventListener("keydown", this._onKeyDown);
+        this.glassPane.addEventListener("mousemove", this._onHover);
+        this.glassPane.addEventListener("dblclick", this._onDblClick);
 
-        // Visual cancel button
-        const cancelBtn = document.createElement("button");
-        cancelBtn.id = "snip-cancel-btn";
-        cancelBtn.textContent = "✕ Cancel (Esc)";
-        cancelBtn.style.cssText = `
+        // Toolbar (mousedown must not start a selection)
+        const toolbar = document.createElement("div");
+        toolbar.style.cssText = `
             position: fixed;
             top: 20px;
             right: 20px;
             z-index: 2147483647;
+            display: flex;
+            gap: 8px;
+        `;
+        toolbar.addEventListener("mousedown", (e) => e.stopPropagation());
+
+        const buttonStyle = `
             background: #1e1e1e;
             color: #f55036;
             border: 1px solid #f55036;
@@ -86,10 +213,72 @@ const SnipSelection = {
             cursor: pointer;
             box-shadow: 0 4px 12px rgba(0,0,0,0.4);
         `;
+
+        // Aspect ratio / fixed size presets
+        this.presetSelect = document.createElement("select");
+        this.presetSelect.title = "Lock the aspect ratio, or start from a fixed size";
+        this.presetSelect.style.cssText = buttonStyle + "padding: 8px 10px;";
+        const aspectGroup = document.createElement("optgroup");
+        aspectGroup.label = "Aspect ratio";
+        SNIP_ASPECT_PRESETS.forEach(p => aspectGroup.appendChild(new Option(`⬚ ${p.label}`, `aspect:${p.id}`)));
+        const sizeGroup = document.createElement("optgroup");
+        sizeGroup.label = "Fixed size";
+        SNIP_SIZE_PRESETS.forEach(p => sizeGroup.appendChild(new Option(`${p.width} × ${p.height}`, `size:${p.id}`)));
+        this.presetSelect.append(aspectGroup, sizeGroup);
+        this.presetSelect.onchange = () => this.applyPreset(this.presetSelect.value);
+        toolbar.appendChild(this.presetSelect);
+
+        // Re-capture the previous rectangle
+        const lastRegionBtn = document.createElement("button");
+        lastRegionBtn.textContent = "↻ Last region (R)";
+        lastRegionBtn.title = "Select the same rectangle as the previous snip";
+        lastRegionBtn.style.cssText = buttonStyle;
+        lastRegionBtn.onclick = () => this.useLastRegion();
+        toolbar.appendChild(lastRegionBtn);
+
+        // Magnifier for pixel-precise edges
+        this.loupeBtn = document.createElement("button");
+        this.loupeBtn.title = "Magnify the area under the cursor";
+        this.loupeBtn.style.cssText = buttonStyle;
+        this.loupeBtn.onclick = () => this.setLoupe(!this.loupeEnabled, true);
+        toolbar.appendChild(this.loupeBtn);
+        this.updateLoupeToggle();
+
+        // Element snip toggle
+        this.elementBtn = document.createElement("button");
+        this.elementBtn.title = "Hover to highlight a page element (code block, table, question) and click to snip it - text is read directly, no OCR. Shift+click sends it as an image";
+        this.elementBtn.style.cssText = buttonStyle;
+        this.elementBtn.onclick = () => this.setElementMode(!this.elementMode, true);
+        toolbar.appendChild(this.elementBtn);
+        this.updateElementToggle();
+
+        // Scrolling capture toggle
+        this.scrollToggleBtn = document.createElement("button");
+        this.scrollToggleBtn.id = "snip-scroll-btn";
+        this.scrollToggleBtn.title = "Select more than one screen: drag near the top or bottom edge to scroll the page";
+        this.scrollToggleBtn.style.cssText = buttonStyle;
+        this.scrollToggleBtn.onclick = () => this.toggleScrollMode();
+        toolbar.appendChild(this.scrollToggleBtn);
+        this.updateScrollToggle();
+
+        // Visual cancel button
+        const cancelBtn = document.createElement("button");
+        cancelBtn.id = "snip-cancel-btn";
+        cancelBtn.textContent = "✕ Cancel (Esc)";
+        cancelBtn.style.cssText = buttonStyle;
         cancelBtn.onclick = () => this.cancel();
-        this.glassPane.appendChild(cancelBtn);
+        toolbar.appendChild(cancelBtn);
 
-        // Safety timeout: auto-cancel after 30 seconds
+        this.glassPane.appendChild(toolbar);
+
+        this.armSafetyTimeout();
+    },
+
+    /**
+     * (Re)start the safety timeout: auto-cancel after 30 seconds without interaction
+     */
+    armSafetyTimeout() {
+        if (this.safetyTimeout) clearTimeout(this.safetyTimeout);
         this.safetyTimeout = setTimeout(() => {
             if (this.glassPane && this.isSelecting) {
                 console.warn("Snip & Ask: Safety timeout triggered - cancelling snip mode");
@@ -98,7 +287,7 @@ const SnipSelection = {
                     showErrorToast("Snip mode timed out after 30 seconds. Click the extension icon to try again.");
                 }
             }
-        }, 30000);
+        }, SNIP_SAFETY_TIMEOUT);
     },
 
     /**
@@ -114,6 +303,7 @@ const SnipSelection = {
             z-index: 2147483647; 
             pointer-events: none; 
             display: none;
+            box-sizing: border-box;
         `;
         document.body.appendChild(this.selectionBox);
     },
@@ -123,11 +313,58 @@ const SnipSelection = {
      * @param {KeyboardEvent} e
      */
     onKeyDown(e) {
+        // Arrow keys belong to the preset picker while it has focus
+        if (e.target === this.presetSelect && e.key !== "Escape") return;
+        this.armSafetyTimeout();
+
         if (e.key === "Escape") {
             this.cancel();
+        } else if (this.elementMode && (e.key === "ArrowUp" || e.key === "ArrowDown" || e.key === "Enter")) {
+            e.preventDefault();
+            if (e.key === "Enter") this.snipHoveredElement(false);
+            else this.walkElement(e.key === "ArrowUp");
+        } else if ((e.key === "e" || e.key === "E") && !this.isDragging) {
+            this.setElementMode(!this.elementMode, true);
+        } else if (e.key === "Enter" && (this.isEditing || this.regions.length > 0)) {
+            e.preventDefault();
+            this.confirm();
+        } else if (e.key === "Backspace" && this.regions.length > 0 && !this.isDragging) {
+            e.preventDefault();
+            this.removeLastRegion();
+        } else if (e.key.startsWith("Arrow") && this.isEditing) {
+            e.preventDefault();
+            this.nudge(e.key, e.shiftKey ? SNIP_NUDGE_LARGE : 1, e.altKey);
+        } else if ((e.key === "m" || e.key === "M") && !this.isDragging) {
+            this.setLoupe(!this.loupeEnabled, true);
+        } else if ((e.key === "r" || e.key === "R") && !this.isDragging) {
+            this.useLastRegion();
+        } else if ((e.key === "s" || e.key === "S") && !this.isDragging && !this.isEditing) {
+            this.toggleScrollMode();
         }
     },
 
+    /**
+     * Toggle scrolling capture mode (before dragging starts)
+     */
+    toggleScrollMode() {
+        if (this.isDragging || this.isEditing) return;
+        if (this.elementMode) this.setElementMode(false);
+        this.clearRegions();
+        this.scrollMode = !this.scrollMode;
+        this.updateScrollToggle();
+        if (this.glassPane) this.glassPane.focus();
+    },
+
+    /**
+     * Reflect the scroll mode state on the toggle button
+     */
+    updateScrollToggle() {
+        if (!this.scrollToggleBtn) return;
+        this.scrollToggleBtn.textContent = this.scrollMode ? "📜 Scrolling: On (S)" : "📜 Scrolling: Off (S)";
+        this.scrollToggleBtn.style.background = this.scrollMode ? "#f55036" : "#1e1e1e";
+        this.scrollToggleBtn.style.color = this.scrollMode ? "#fff" : "#f55036";
+    },
+
     /**
      * Handle mouse down event
      * @param {MouseEvent} e
@@ -136,14 +373,38 @@ const SnipSelection = {
         if (!this.isSelecting) return;
         e.preventDefault();
         e.stopPropagation();
+        this.armSafetyTimeout();
+
+        if (this.elementMode) {
+            this.snipHoveredElement(e.shiftKey);
+            return;
+        }
 
-        this.startX = e.clientX;
-        this.startY = e.clientY;
+        // Shift-drag keeps the current selection as a numbered region and starts the next one
+        if (e.shiftKey && this.isEditing && !this.scrollMode) {
+            this.addRegion(this.rect);
+            this.exitEditMode();
+        }
 
-        this.selectionBox.style.left = this.startX + "px";
-        this.selectionBox.style.top = this.startY + "px";
-        this.selectionBox.style.width = "0px";
-        this.selectionBox.style.height = "0px";
+        // Adjusting: grab a handle/edge or the selection itself; elsewhere starts a new selection
+        if (this.isEditing) {
+            const handle = this.hitTest(e.clientX, e.clientY);
+            if (handle) {
+                this.startEditDrag(handle, e);
+                return;
+            }
+            this.exitEditMode();
+        }
+
+        this.isDragging = true;
+        this.lastPointer = { x: e.clientX, y: e.clientY };
+
+        // Scrolling capture anchors the start point to the page so it survives scrolling
+        this.startX = e.clientX + (this.scrollMode ? window.scrollX : 0);
+        this.startY = e.clientY + (this.scrollMode ? window.scrollY : 0);
+
+        this.rect = { left: e.clientX, top: e.clientY, width: 0, height: 0 };
+        this.renderSelection();
         this.selectionBox.style.display = "block";
 
         this._onMouseMove = this.onMouseMove.bind(this);
@@ -151,6 +412,12 @@ const SnipSelection = {
 
         this.glassPane.addEventListener("mousemove", this._onMouseMove);
         this.glassPane.addEventListener("mouseup", this._onMouseUp);
+
+        if (this.scrollMode) {
+            this._onScroll = () => this.updateScrollSelection();
+            window.addEventListener("scroll", this._onScroll, { passive: true });
+            this.autoScrollFrame = requestAnimationFrame(() => this.autoScrollStep());
+        }
     },
 
     /**
@@ -158,58 +425,832 @@ const SnipSelection = {
      * @param {MouseEvent} e
      */
     onMouseMove(e) {
-        const currentX = e.clientX;
-        const currentY = e.clientY;
+        this.lastPointer = { x: e.clientX, y: e.clientY };
 
-        const width = Math.abs(currentX - this.startX);
-        const height = Math.abs(currentY - this.startY);
-        const left = Math.min(currentX, this.startX);
-        const top = Math.min(currentY, this.startY);
+        if (this.scrollMode) {
+            this.updateScrollSelection();
+            return;
+        }
 
-        this.selectionBox.style.width = width + "px";
-        this.selectionBox.style.height = height + "px";
+        let width = Math.abs(e.clientX - this.startX);
+        let height = Math.abs(e.clientY - this.startY);
+
+        // Locked aspect: the larger side of the drag wins
+        if (this.aspect) {
+            if (width / this.aspect >= height) height = width / this.aspect;
+            else width = height * this.aspect;
+        }
+
+        this.rect = this.clipToViewport({
+            left: e.clientX < this.startX ? this.startX - width : this.startX,
+            top: e.clientY < this.startY ? this.startY - height : this.startY,
+            width,
+            height
+        });
+        this.renderSelection();
+    },
+
+    /**
+     * Pointer moves over the overlay (with or without a button held): loupe and handle cursors
+     * @param {MouseEvent} e
+     */
+    onHover(e) {
+        if (!this.isDragging) this.lastPointer = { x: e.clientX, y: e.clientY };
+        this.drawLoupe(e.clientX, e.clientY);
+        if (this.elementMode) this.highlightElementAt(e.clientX, e.clientY);
+        if (this.isEditing && !this.editOp) {
+            const handle = this.hitTest(e.clientX, e.clientY);
+            this.glassPane.style.cursor = handle ? SNIP_HANDLE_CURSORS[handle] : "crosshair";
+        }
+    },
+
+    /**
+     * Double-click inside the selection confirms it
+     * @param {MouseEvent} e
+     */
+    onDblClick(e) {
+        if (this.isEditing && this.hitTest(e.clientX, e.clientY) === 'move') this.confirm();
+    },
+
+    /**
+     * Draw the selection box for this.rect (viewport coordinates)
+     */
+    renderSelection() {
+        if (!this.selectionBox || !this.rect) return;
+        const { left, top, width, height } = this.rect;
         this.selectionBox.style.left = left + "px";
         this.selectionBox.style.top = top + "px";
+        this.selectionBox.style.width = width + "px";
+        this.selectionBox.style.height = height + "px";
+        this.updateEditBar();
+    },
+
+    /**
+     * Keep a rectangle inside the viewport by cutting off what sticks out
+     * @param {{left: number, top: number, width: number, height: number}} rect
+     * @returns {{left: number, top: number, width: number, height: number}}
+     */
+    clipToViewport(rect) {
+        const left = Math.max(0, rect.left);
+        const top = Math.max(0, rect.top);
+        return {
+            left,
+            top,
+            width: Math.max(0, Math.min(rect.left + rect.width, window.innerWidth) - left),
+            height: Math.max(0, Math.min(rect.top + rect.height, window.innerHeight) - top)
+        };
+    },
+
+    /**
+     * Keep a rectangle inside the viewport by moving it (its size is kept where it fits)
+     * @param {{left: number, top: number, width: number, height: number}} rect
+     * @returns {{left: number, top: number, width: number, height: number}}
+     */
+    moveIntoViewport(rect) {
+        const width = Math.min(rect.width, window.innerWidth);
+        const height = Math.min(rect.height, window.innerHeight);
+        return {
+            left: Math.min(Math.max(0, rect.left), window.innerWidth - width),
+            top: Math.min(Math.max(0, rect.top), window.innerHeight - height),
+            width,
+            height
+        };
+    },
+
+    // --- Adjusting the selection ---
+
+    /**
+     * Keep the drawn selection on screen with resize handles until it is confirmed
+     */
+    enterEditMode() {
+        this.isEditing = true;
+        this.selectionBox.style.display = "block";
+
+        if (!this.selectionBox.childElementCount) {
+            ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'].forEach(handle => {
+                const el = document.createElement("div");
+                const offset = `-${SNIP_HANDLE_SIZE / 2 + 1}px`;
+                const middle = `calc(50% - ${SNIP_HANDLE_SIZE / 2}px)`;
+                el.style.cssText = `
+                    position: absolute;
+                    width: ${SNIP_HANDLE_SIZE}px; height: ${SNIP_HANDLE_SIZE}px;
+                    background: #fff; border: 2px solid #f55036; border-radius: 2px;
+                    box-sizing: border-box;
+                    top: ${handle.includes('n') ? offset : handle.includes('s') ? 'auto' : middle};
+                    bottom: ${handle.includes('s') ? offset : 'auto'};
+                    left: ${handle.includes('w') ? offset : handle.includes('e') ? 'auto' : middle};
+                    right: ${handle.includes('e') ? offset : 'auto'};
+                `;
+                this.selectionBox.appendChild(el);
+            });
+        }
+
+        if (!this.editBar) {
+            this.editBar = document.createElement("div");
+            this.editBar.style.cssText = `
+                position: fixed;
+                z-index: 2147483647;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 4px 4px 4px 10px;
+                background: #1e1e1e;
+                border: 1px solid #f55036;
+                border-radius: 6px;
+                font-family: 'Segoe UI', sans-serif;
+                font-size: 12px;
+                color: #ccc;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.4);
+            `;
+            this.editBar.addEventListener("mousedown", (e) => e.stopPropagation());
+
+            const sizeLabel = document.createElement("span");
+            sizeLabel.className = "snip-size";
+            sizeLabel.title = "Arrows move, Shift+Arrows move 10px, Alt+Arrows resize. Shift-drag adds another region";
+
+            const confirmBtn = document.createElement("button");
+            confirmBtn.textContent = "✓ Ask (Enter)";
+            confirmBtn.style.cssText = `
+                background: #f55036; color: #fff; border: none; border-radius: 4px;
+                padding: 4px 10px; font-size: 12px; font-weight: 600; cursor: pointer;
+            `;
+            confirmBtn.onclick = () => this.confirm();
+
+            this.editBar.append(sizeLabel, confirmBtn);
+            this.glassPane.appendChild(this.editBar);
+        }
+
+        this.renderSelection();
+        this.glassPane.focus();
+    },
+
+    /**
+     * Drop the handles and edit bar (a new selection is being drawn)
+     */
+    exitEditMode() {
+        this.isEditing = false;
+        this.editOp = null;
+        if (this.selectionBox) this.selectionBox.replaceChildren();
+        if (this.editBar) {
+            this.editBar.remove();
+            this.editBar = null;
+        }
+        if (this.glassPane) this.glassPane.style.cursor = "crosshair";
+    },
+
+    /**
+     * Show the selection size and keep the edit bar next to the selection (below, else above, else inside)
+     */
+    updateEditBar() {
+        if (!this.editBar || !this.rect) return;
+        const { left, top, width, height } = this.rect;
+        const number = this.regions.length > 0 ? `#${this.regions.length + 1} · ` : '';
+        this.editBar.querySelector(".snip-size").textContent = `${number}${Math.round(width)} × ${Math.round(height)}`;
+
+        const barHeight = this.editBar.offsetHeight || 32;
+        let barTop = top + height + 8;
+        if (barTop + barHeight > window.innerHeight) barTop = top - barHeight - 8;
+        if (barTop < 0) barTop = top + height - barHeight - 8;
+        this.editBar.style.top = Math.max(0, barTop) + "px";
+        this.editBar.style.left = Math.max(0, Math.min(left, window.innerWidth - (this.editBar.offsetWidth || 160))) + "px";
+    },
+
+    /**
+     * Which handle, edge or the inside of the selection is under a point
+     * @param {number} x
+     * @param {number} y
+     * @returns {string|null} 'nw' | 'n' | ... | 'move', or null outside
+     */
+    hitTest(x, y) {
+        if (!this.rect) return null;
+        const { left, top, width, height } = this.rect;
+        const right = left + width;
+        const bottom = top + height;
+        const near = (a, b) => Math.abs(a - b) <= SNIP_HANDLE_HIT;
+
+        if (x < left - SNIP_HANDLE_HIT || x > right + SNIP_HANDLE_HIT || y < top - SNIP_HANDLE_HIT || y > bottom + SNIP_HANDLE_HIT) {
+            return null;
+        }
+
+        const vertical = near(y, top) ? 'n' : near(y, bottom) ? 's' : '';
+        const horizontal = near(x, left) ? 'w' : near(x, right) ? 'e' : '';
+        if (vertical || horizontal) return vertical + horizontal;
+        return x > left && x < right && y > top && y < bottom ? 'move' : null;
+    },
+
+    /**
+     * Start moving or resizing the selection with the mouse
+     * @param {string} handle - From hitTest
+     * @param {MouseEvent} e
+     */
+    startEditDrag(handle, e) {
+        this.editOp = { handle, x: e.clientX, y: e.clientY, startRect: { ...this.rect } };
+
+        this._onEditMove = (ev) => {
+            const dx = ev.clientX - this.editOp.x;
+            const dy = ev.clientY - this.editOp.y;
+            const start = this.editOp.startRect;
+            this.rect = this.editOp.handle === 'move'
+                ? this.moveIntoViewport({ ...start, left: start.left + dx, top: start.top + dy })
+                : this.resizeRect(start, this.editOp.handle, dx, dy);
+            this.renderSelection();
+        };
+        this._onEditUp = () => {
+            this.glassPane.removeEventListener("mousemove", this._onEditMove);
+            this.glassPane.removeEventListener("mouseup", this._onEditUp);
+            this.editOp = null;
+        };
+
+        this.glassPane.addEventListener("mousemove", this._onEditMove);
+        this.glassPane.addEventListener("mouseup", this._onEditUp);
+    },
+
+    /**
+     * Resize a rectangle by dragging one handle; the opposite side stays put
+     * @param {{left: number, top: number, width: number, height: number}} start
+     * @param {string} handle - 'n', 'se', ...
+     * @param {number} dx
+     * @param {number} dy
+     * @returns {{left: number, top: number, width: number, height: number}}
+     */
+    resizeRect(start, handle, dx, dy) {
+        const right = start.left + start.width;
+        const bottom = start.top + start.height;
+        let left = start.left, top = start.top, newRight = right, newBottom = bottom;
+
+        if (handle.includes('w')) left = Math.min(start.left + dx, right - SNIP_MIN_SIZE);
+        if (handle.includes('e')) newRight = Math.max(right + dx, start.left + SNIP_MIN_SIZE);
+        if (handle.includes('n')) top = Math.min(start.top + dy, bottom - SNIP_MIN_SIZE);
+        if (handle.includes('s')) newBottom = Math.max(bottom + dy, start.top + SNIP_MIN_SIZE);
+
+        const rect = { left, top, width: newRight - left, height: newBottom - top };
+
+        if (this.aspect) {
+            // Side handles drive the other dimension; corners follow the width
+            if (handle.includes('e') || handle.includes('w')) rect.height = rect.width / this.aspect;
+            else rect.width = rect.height * this.aspect;
+            if (handle.includes('n')) rect.top = bottom - rect.height;
+            if (handle.includes('w')) rect.left = right - rect.width;
+        }
+
+        return this.clipToViewport(rect);
+    },
+
+    /**
+     * Arrow keys: move the selection, or with Alt resize it from the right/bottom edge
+     * @param {string} key - ArrowLeft | ArrowRight | ArrowUp | ArrowDown
+     * @param {number} step - px
+     * @param {boolean} resize
+     */
+    nudge(key, step, resize) {
+        const dx = key === "ArrowLeft" ? -step : key === "ArrowRight" ? step : 0;
+        const dy = key === "ArrowUp" ? -step : key === "ArrowDown" ? step : 0;
+
+        if (resize) {
+            this.rect = this.resizeRect(this.rect, dx ? 'e' : 's', dx, dy);
+            this.renderSelection();
+            this.drawLoupe(this.rect.left + this.rect.width, this.rect.top + this.rect.height);
+        } else {
+            this.rect = this.moveIntoViewport({ ...this.rect, left: this.rect.left + dx, top: this.rect.top + dy });
+            this.renderSelection();
+            this.drawLoupe(this.rect.left, this.rect.top);
+        }
+    },
+
+    /**
+     * Apply a preset from the toolbar picker
+     * @param {string} value - "aspect:<id>" or "size:<id>"
+     */
+    applyPreset(value) {
+        const [kind, id] = value.split(':');
+
+        if (kind === 'aspect') {
+            this.aspect = SNIP_ASPECT_PRESETS.find(p => p.id === id)?.ratio || null;
+            if (this.isEditing && this.aspect) {
+                this.rect = this.resizeRect(this.rect, 'e', 0, 0);
+                this.renderSelection();
+            }
+        } else {
+            const preset = SNIP_SIZE_PRESETS.find(p => p.id === id);
+            if (preset && !this.scrollMode) {
+                // Fixed sizes are free-form afterwards; keep the picker showing the aspect in effect
+                if (this.elementMode) this.setElementMode(false);
+                this.aspect = null;
+                const origin = this.rect && this.isEditing
+                    ? this.rect
+                    : { left: (window.innerWidth - preset.width) / 2, top: (window.innerHeight - preset.height) / 2 };
+                this.rect = this.moveIntoViewport({ left: origin.left, top: origin.top, width: preset.width, height: preset.height });
+                this.enterEditMode();
+            }
+            this.presetSelect.value = 'aspect:free';
+        }
+
+        this.glassPane?.focus();
+    },
+
+    /**
+     * Select the previous snip's rectangle (kept adjustable when that setting is on)
+     */
+    async useLastRegion() {
+        if (this.scrollMode || this.isDragging) return;
+        const region = await this.getLastRegion();
+        if (!this.isSelecting) return;
+        if (!region) {
+            if (typeof showErrorToast === 'function') showErrorToast("No previous snip region yet");
+            return;
+        }
+        if (this.elementMode) this.setElementMode(false);
+        this.rect = region;
+        if (this.adjustable) {
+            this.enterEditMode();
+        } else {
+            this.finish(region);
+        }
+    },
+
+    /**
+     * Remember a confirmed selection for "repeat last region"
+     * @param {{left: number, top: number, width: number, height: number}} rect - Viewport coordinates
+     */
+    saveLastRegion(rect) {
+        const { left, top, width, height } = rect;
+        chrome.storage.local.set({ lastSnipRegion: { left, top, width, height } });
+    },
+
+    /**
+     * The last confirmed selection, cut to the current viewport
+     * @returns {Promise<{left: number, top: number, width: number, height: number}|null>}
+     */
+    async getLastRegion() {
+        const { lastSnipRegion } = await chrome.storage.local.get(['lastSnipRegion']);
+        if (!lastSnipRegion) return null;
+        const rect = this.clipToViewport(lastSnipRegion);
+        return rect.width >= SNIP_MIN_SIZE && rect.height >= SNIP_MIN_SIZE ? rect : null;
+    },
+
+    /**
+     * Send the adjusted selection (with any regions added before it)
+     */
+    confirm() {
+        if (this.isEditing && this.rect) {
+            this.finish(this.withRegions({ ...this.rect }));
+        } else if (this.regions.length > 0) {
+            this.finish(this.withRegions(null));
+        }
+    },
+
+    // --- Multi-region ---
+
+    /**
+     * Keep a selection as a numbered region on screen
+     * @param {{left: number, top: number, width: number, height: number}} rect
+     */
+    addRegion(rect) {
+        if (!rect || !this.glassPane) return;
+        this.regions.push({ ...rect });
+
+        const marker = document.createElement("div");
+        marker.className = "snip-region";
+        marker.style.cssText = `
+            position: fixed;
+            left: ${rect.left}px; top: ${rect.top}px;
+            width: ${rect.width}px; height: ${rect.height}px;
+            box-sizing: border-box;
+            border: 2px dashed #f55036;
+            background: rgba(245, 80, 54, 0.12);
+            pointer-events: none;
+        `;
+        const badge = document.createElement("div");
+        badge.textContent = String(this.regions.length);
+        badge.style.cssText = `
+            position: absolute; top: -2px; left: -2px;
+            min-width: 20px; height: 20px; padding: 0 4px;
+            background: #f55036; color: #fff;
+            font-family: 'Segoe UI', sans-serif; font-size: 12px; font-weight: 600;
+            line-height: 20px; text-align: center;
+            border-radius: 0 0 4px 0;
+        `;
+        marker.appendChild(badge);
+        this.glassPane.appendChild(marker);
+    },
+
+    /**
+     * Undo the last Shift-drag region (Backspace)
+     */
+    removeLastRegion() {
+        this.regions.pop();
+        const markers = this.glassPane?.querySelectorAll(".snip-region");
+        if (markers?.length) markers[markers.length - 1].remove();
+        this.updateEditBar();
+    },
+
+    /**
+     * Forget all regions (switching to scrolling or element snips)
+     */
+    clearRegions() {
+        this.regions = [];
+        this.glassPane?.querySelectorAll(".snip-region").forEach(m => m.remove());
+    },
+
+    /**
+     * Combine the regions and the current selection into one completion rect: the bounding box
+     * of all of them, with `regions` in the order they were drawn
+     * @param {Object|null} rect - Current selection, last in order
+     * @param {Array} [regions]
+     * @returns {Object}
+     */
+    withRegions(rect, regions = this.regions) {
+        const all = rect ? [...regions, rect] : [...regions];
+        if (all.length === 1) return all[0];
+
+        const left = Math.min(...all.map(r => r.left));
+        const top = Math.min(...all.map(r => r.top));
+        return {
+            left,
+            top,
+            width: Math.max(...all.map(r => r.left + r.width)) - left,
+            height: Math.max(...all.map(r => r.top + r.height)) - top,
+            regions: all
+        };
+    },
+
+    // --- Element snip ---
+
+    /**
+     * Turn element snipping on or off
+     * @param {boolean} enabled
+     * @param {boolean} remember - Save as the default for the next snips
+     */
+    setElementMode(enabled, remember = false) {
+        if (this.isDragging) return;
+        this.elementMode = enabled;
+        this.hoveredElement = null;
+        this.elementStack = [];
+        if (remember) chrome.storage.local.set({ snipElementMode: enabled });
+
+        // Drawn selections and element highlights share the selection box
+        this.exitEditMode();
+        this.clearRegions();
+        this.rect = null;
+        if (this.selectionBox) this.selectionBox.style.display = "none";
+
+        if (enabled) {
+            this.scrollMode = false;
+            this.updateScrollToggle();
+            // Highlights follow the page as it scrolls under the overlay
+            this._onElementScroll = () => this.renderElementHighlight();
+            window.addEventListener("scroll", this._onElementScroll, { passive: true });
+            this.highlightElementAt(this.lastPointer.x, this.lastPointer.y);
+        } else if (this._onElementScroll) {
+            window.removeEventListener("scroll", this._onElementScroll);
+            this._onElementScroll = null;
+        }
+
+        this.updateElementToggle();
+        if (this.glassPane) {
+            this.glassPane.style.cursor = enabled ? "pointer" : "crosshair";
+            this.glassPane.focus();
+        }
+    },
+
+    /**
+     * Highlight the element under a point
+     * @param {number} x - Viewport coordinates
+     * @param {number} y
+     */
+    highlightElementAt(x, y) {
+        const el = elementSnipTarget(x, y, node => this.glassPane?.contains(node) || this.selectionBox?.contains(node));
+        if (el === this.hoveredElement) return;
+        this.hoveredElement = el;
+        this.elementStack = [];
+        this.renderElementHighlight();
+    },
+
+    /**
+     * ArrowUp widens the highlight to the parent element (a line to its card), ArrowDown goes back
+     * @param {boolean} up
+     */
+    walkElement(up) {
+        if (!this.hoveredElement) return;
+        if (up) {
+            const parent = this.hoveredElement.parentElement;
+            if (!parent || parent === document.body || parent === document.documentElement) return;
+            this.elementStack.push(this.hoveredElement);
+            this.hoveredElement = parent;
+        } else if (this.elementStack.length > 0) {
+            this.hoveredElement = this.elementStack.pop();
+        }
+        this.renderElementHighlight();
+    },
+
+    /**
+     * Draw the selection box over the hovered element, labelled with what it is and how it will be sent
+     */
+    renderElementHighlight() {
+        if (!this.selectionBox) return;
+        const el = this.hoveredElement;
+        this.rect = el && el.isConnected ? this.clipToViewport(el.getBoundingClientRect()) : null;
+        if (!this.rect || this.rect.width < SNIP_MIN_SIZE || this.rect.height < SNIP_MIN_SIZE) {
+            this.selectionBox.style.display = "none";
+            return;
+        }
+
+        this.renderSelection();
+        this.selectionBox.style.display = "block";
+
+        let label = this.selectionBox.firstElementChild;
+        if (!label) {
+            label = document.createElement("div");
+            label.style.cssText = `
+                position: absolute;
+                left: -2px;
+                padding: 2px 8px;
+                background: #f55036;
+                color: #fff;
+                font-family: 'Segoe UI', sans-serif;
+                font-size: 11px;
+                line-height: 16px;
+                border-radius: 4px 4px 0 0;
+                white-space: nowrap;
+            `;
+            this.selectionBox.appendChild(label);
+        }
+        const sendsText = !isMostlyMedia(el) && (el.innerText || '').trim().length >= ELEMENT_MIN_TEXT;
+        label.textContent = `${describeElement(el)} · ${Math.round(this.rect.width)} × ${Math.round(this.rect.height)} · ${sendsText ? "📝 text" : "🖼 image"}`;
+        label.style.top = this.rect.top >= 20 ? "-20px" : "0px";
+    },
+
+    /**
+     * Snip the highlighted element: its text when it has enough, otherwise its bounding box as an image
+     * @param {boolean} asImage - Force a screenshot (Shift+click)
+     */
+    snipHoveredElement(asImage) {
+        const el = this.hoveredElement;
+        if (!el || !this.rect) return;
+        const elementText = asImage ? null : elementSnipText(el);
+        const rect = { ...this.rect };
+        if (elementText) rect.elementText = elementText;
+        this.finish(rect);
+    },
+
+    /**
+     * Reflect the element mode state on the toggle button
+     */
+    updateElementToggle() {
+        if (!this.elementBtn) return;
+        this.elementBtn.textContent = this.elementMode ? "🎯 Element: On (E)" : "🎯 Element: Off (E)";
+        this.elementBtn.style.background = this.elementMode ? "#f55036" : "#1e1e1e";
+        this.elementBtn.style.color = this.elementMode ? "#fff" : "#f55036";
+    },
+
+    // --- Magnifier loupe ---
+
+    /**
+     * Turn the loupe on or off
+     * @param {boolean} enabled
+     * @param {boolean} remember - Save as the default for the next snips
+     */
+    async setLoupe(enabled, remember = false) {
+        this.loupeEnabled = enabled;
+        this.updateLoupeToggle();
+        if (remember) chrome.storage.local.set({ snipLoupe: enabled });
+
+        if (!enabled) {
+            if (this.loupeCanvas) this.loupeCanvas.remove();
+            this.loupeCanvas = null;
+            return;
+        }
+
+        if (!this.loupeFrame || this.loupeScrollY !== window.scrollY) await this.captureLoupeFrame();
+        if (!this.isSelecting || !this.loupeEnabled || this.loupeCanvas) return;
+
+        this.loupeCanvas = document.createElement("canvas");
+        this.loupeCanvas.width = LOUPE_SIZE;
+        this.loupeCanvas.height = LOUPE_SIZE;
+        this.loupeCanvas.style.cssText = `
+            position: fixed;
+            width: ${LOUPE_SIZE}px; height: ${LOUPE_SIZE}px;
+            border: 2px solid #f55036;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.4);
+            pointer-events: none;
+            display: none;
+        `;
+        this.glassPane.appendChild(this.loupeCanvas);
+        this.drawLoupe(this.lastPointer.x, this.lastPointer.y);
+    },
+
+    /**
+     * Screenshot the page for the loupe, with the overlay hidden so it doesn't magnify itself
+     */
+    async captureLoupeFrame() {
+        const overlay = [this.glassPane, this.selectionBox].filter(Boolean);
+        overlay.forEach(el => el.style.visibility = "hidden");
+        try {
+            await this.waitForPaint();
+            this.loupeScrollY = window.scrollY;
+            this.loupeFrame = await this.loadFrame(await this.captureFrame());
+        } catch (err) {
+            console.warn("Snip & Ask: Loupe screenshot failed:", err);
+            this.loupeFrame = null;
+        } finally {
+            overlay.forEach(el => el.style.visibility = "");
+            this.glassPane?.focus();
+        }
+    },
+
+    /**
+     * Magnify the pixels around a point, next to it
+     * @param {number} x - Viewport coordinates
+     * @param {number} y
+     */
+    drawLoupe(x, y) {
+        const canvas = this.loupeCanvas;
+        const frame = this.loupeFrame;
+        if (!canvas || !frame) return;
+
+        // The frame only matches the page at the scroll position it was taken at
+        if (window.scrollY !== this.loupeScrollY) {
+            canvas.style.display = "none";
+            return;
+        }
+
+        const ctx = canvas.getContext("2d");
+        const frameScale = frame.width / window.innerWidth;
+        const span = LOUPE_SIZE / LOUPE_ZOOM;
+        ctx.imageSmoothingEnabled = false;
+        ctx.fillStyle = "#000";
+        ctx.fillRect(0, 0, LOUPE_SIZE, LOUPE_SIZE);
+        ctx.drawImage(
+            frame,
+            (x - span / 2) * frameScale, (y - span / 2) * frameScale, span * frameScale, span * frameScale,
+            0, 0, LOUPE_SIZE, LOUPE_SIZE
+        );
+
+        // The pixel under the cursor
+        ctx.strokeStyle = "#f55036";
+        ctx.lineWidth = 1;
+        ctx.strokeRect((LOUPE_SIZE - LOUPE_ZOOM) / 2 + 0.5, (LOUPE_SIZE - LOUPE_ZOOM) / 2 + 0.5, LOUPE_ZOOM - 1, LOUPE_ZOOM - 1);
+
+        ctx.fillStyle = "rgba(0,0,0,0.65)";
+        ctx.fillRect(0, LOUPE_SIZE - 18, LOUPE_SIZE, 18);
+        ctx.fillStyle = "#fff";
+        ctx.font = "11px 'Segoe UI', sans-serif";
+        ctx.textAlign = "center";
+        ctx.fillText(`${Math.round(x)}, ${Math.round(y)}`, LOUPE_SIZE / 2, LOUPE_SIZE - 5);
+
+        // Beside the cursor, flipped near the right/bottom edges
+        const gap = 20;
+        const left = x + gap + LOUPE_SIZE > window.innerWidth ? x - gap - LOUPE_SIZE : x + gap;
+        const top = y + gap + LOUPE_SIZE > window.innerHeight ? y - gap - LOUPE_SIZE : y + gap;
+        canvas.style.left = Math.max(0, left) + "px";
+        canvas.style.top = Math.max(0, top) + "px";
+        canvas.style.display = "block";
+    },
+
+    /**
+     * Reflect the loupe state on the toggle button
+     */
+    updateLoupeToggle() {
+        if (!this.loupeBtn) return;
+        this.loupeBtn.textContent = this.loupeEnabled ? "🔍 Loupe: On (M)" : "🔍 Loupe: Off (M)";
+        this.loupeBtn.style.background = this.loupeEnabled ? "#f55036" : "#1e1e1e";
+        this.loupeBtn.style.color = this.loupeEnabled ? "#fff" : "#f55036";
+    },
+
+    /**
+     * Current scrolling selection in page coordinates
+     * @returns {{left: number, top: number, width: number, height: number}}
+     */
+    getPageSelection() {
+        const currentX = this.lastPointer.x + window.scrollX;
+        const currentY = this.lastPointer.y + window.scrollY;
+        const top = Math.min(currentY, this.startY);
+
+        return {
+            left: Math.min(currentX, this.startX),
+            top,
+            width: Math.abs(currentX - this.startX),
+            height: Math.min(Math.abs(currentY - this.startY), SCROLL_MAX_HEIGHT)
+        };
+    },
+
+    /**
+     * Redraw the selection box for the current scroll position (it may extend past the viewport)
+     */
+    updateScrollSelection() {
+        if (!this.selectionBox) return;
+        const sel = this.getPageSelection();
+
+        this.selectionBox.style.left = (sel.left - window.scrollX) + "px";
+        this.selectionBox.style.top = (sel.top - window.scrollY) + "px";
+        this.selectionBox.style.width = sel.width + "px";
+        this.selectionBox.style.height = sel.height + "px";
+    },
+
+    /**
+     * Auto-scroll while the pointer is held near the top/bottom edge (scroll mode only)
+     */
+    autoScrollStep() {
+        if (!this.isDragging || !this.scrollMode) return;
+
+        const y = this.lastPointer.y;
+        let step = 0;
+        if (y < SCROLL_EDGE_SIZE) {
+            step = -Math.ceil(SCROLL_MAX_SPEED * (SCROLL_EDGE_SIZE - y) / SCROLL_EDGE_SIZE);
+        } else if (y > window.innerHeight - SCROLL_EDGE_SIZE) {
+            step = Math.ceil(SCROLL_MAX_SPEED * (y - (window.innerHeight - SCROLL_EDGE_SIZE)) / SCROLL_EDGE_SIZE);
+        }
+
+        if (step !== 0) window.scrollBy(0, step);
+        this.autoScrollFrame = requestAnimationFrame(() => this.autoScrollStep());
     },
 
     /**
-     * Handle mouse up event - complete selection
+     * Stop auto-scrolling and scroll tracking
+     */
+    stopAutoScroll() {
+        this.isDragging = false;
+        if (this.autoScrollFrame) {
+            cancelAnimationFrame(this.autoScrollFrame);
+            this.autoScrollFrame = null;
+        }
+        if (this._onScroll) {
+            window.removeEventListener("scroll", this._onScroll);
+            this._onScroll = null;
+        }
+    },
+
+    /**
+     * Handle mouse up event - keep the selection adjustable, or complete it right away
      * @param {MouseEvent} e
      */
     onMouseUp(e) {
         // Remove listeners
         this.glassPane.removeEventListener("mousemove", this._onMouseMove);
         this.glassPane.removeEventListener("mouseup", this._onMouseUp);
-        this.glassPane.removeEventListener("mousedown", this._onMouseDown);
+        this.stopAutoScroll();
 
-        const rect = this.selectionBox.getBoundingClientRect();
+        // Scrolling selections are completed on release (they may not fit on screen to adjust)
+        if (this.scrollMode) {
+            let rect = this.selectionBox.getBoundingClientRect();
 
-        // Clean up UI
-        this.selectionBox.remove();
-        this.glassPane.remove();
-        this.selectionBox = null;
-        this.glassPane = null;
-        this.isSelecting = false;
+            // Scrolling selections that left the viewport are captured frame by frame
+            const sel = this.getPageSelection();
+            const fitsViewport = sel.top >= window.scrollY && sel.top + sel.height <= window.scrollY + window.innerHeight;
+            if (!fitsViewport) rect = { ...sel, scrolling: true };
 
-        // Clear safety timeout
-        if (this.safetyTimeout) {
-            clearTimeout(this.safetyTimeout);
-            this.safetyTimeout = null;
+            this.finish(rect);
+            return;
         }
 
+        const tooSmall = !this.rect || this.rect.width < SNIP_MIN_SIZE || this.rect.height < SNIP_MIN_SIZE;
+
+        if (!this.adjustable && !tooSmall && e.shiftKey) {
+            // Without adjusting, Shift-drags collect regions until a plain drag (or Enter) sends them all
+            this.addRegion(this.rect);
+            this.rect = null;
+            this.selectionBox.style.display = "none";
+        } else if (!this.adjustable && !(tooSmall && this.regions.length > 0)) {
+            this.finish(tooSmall ? null : this.withRegions({ ...this.rect }));
+        } else if (tooSmall) {
+            // A stray click - keep waiting for a real selection
+            this.rect = null;
+            this.selectionBox.style.display = "none";
+        } else {
+            this.enterEditMode();
+        }
+    },
+
+    /**
+     * Close the overlay and hand the selection to the completion callback
+     * @param {Object|null} rect - Viewport rect, or page rect with `scrolling: true`
+     */
+    finish(rect) {
         // Minimum size check
-        if (rect.width < 10 || rect.height < 10) return;
+        if (!rect || rect.width < SNIP_MIN_SIZE || rect.height < SNIP_MIN_SIZE) {
+            this.cancel();
+            return;
+        }
+
+        const onComplete = this.onComplete;
+        this.cleanup();
+
+        // "Repeat last region" replays single rectangles only
+        if (!rect.scrolling && !rect.regions) this.saveLastRegion(rect);
 
         // Call completion callback
-        if (this.onComplete) {
-            this.onComplete(rect);
+        if (onComplete) {
+            onComplete(rect);
         }
     },
 
     /**
-     * Cancel the current snipping operation
+     * Remove the overlay and reset the selection state
      */
-    cancel() {
+    cleanup() {
+        this.stopAutoScroll();
+
         // Clear safety timeout
         if (this.safetyTimeout) {
             clearTimeout(this.safetyTimeout);
@@ -225,11 +1266,39 @@ const SnipSelection = {
             this.glassPane.removeEventListener("mousedown", this._onMouseDown);
             this.glassPane.removeEventListener("mousemove", this._onMouseMove);
             this.glassPane.removeEventListener("mouseup", this._onMouseUp);
+            this.glassPane.removeEventListener("mousemove", this._onEditMove);
+            this.glassPane.removeEventListener("mouseup", this._onEditUp);
+            this.glassPane.removeEventListener("mousemove", this._onHover);
+            this.glassPane.removeEventListener("dblclick", this._onDblClick);
             this.glassPane.removeEventListener("keydown", this._onKeyDown);
             this.glassPane.remove();
             this.glassPane = null;
         }
+        if (this._onElementScroll) {
+            window.removeEventListener("scroll", this._onElementScroll);
+            this._onElementScroll = null;
+        }
+        this.scrollToggleBtn = null;
+        this.presetSelect = null;
+        this.elementBtn = null;
+        this.hoveredElement = null;
+        this.elementStack = [];
+        this.elementMode = false;
+        this.regions = [];
+        this.loupeBtn = null;
+        this.loupeCanvas = null;
+        this.loupeFrame = null;
+        this.editBar = null;
+        this.editOp = null;
+        this.isEditing = false;
         this.isSelecting = false;
+    },
+
+    /**
+     * Cancel the current snipping operation
+     */
+    cancel() {
+        this.cleanup();
 
         // If in snip-again mode, restore chat windows
         if (window._snipAgainMode) {
@@ -243,6 +1312,141 @@ const SnipSelection = {
         }
     },
 
+    /**
+     * Capture a selection taller than the viewport: scroll through it, grab one frame per
+     * screen and stitch the frames on an offscreen canvas. The scroll position is restored after.
+     * @param {{left: number, top: number, width: number, height: number}} rect - Page coordinates
+     * @returns {Promise<string>} Stitched JPEG base64 (without data URL prefix)
+     */
+    async captureScrollingRegion(rect) {
+        const pixelRatio = window.devicePixelRatio || 1;
+        const originalX = window.scrollX;
+        const originalY = window.scrollY;
+        const viewportHeight = window.innerHeight;
+
+        const canvas = new OffscreenCanvas(Math.round(rect.width * pixelRatio), Math.round(rect.height * pixelRatio));
+        const ctx = canvas.getContext("2d");
+
+        // Fixed/sticky headers would repeat in every frame - hide them after the first one
+        let restoreFixed = null;
+
+        // Scroll instantly even on pages that set scroll-behavior: smooth
+        const html = document.documentElement;
+        const originalBehavior = html.style.scrollBehavior;
+        html.style.scrollBehavior = "auto";
+
+        try {
+            let y = rect.top;
+            const bottom = rect.top + rect.height;
+
+            while (y < bottom) {
+                window.scrollTo(originalX, y);
+                await this.waitForPaint();
+
+                const frame = await this.loadFrame(await this.captureFrame());
+
+                // The page may not scroll as far as asked near its end
+                const scrollY = window.scrollY;
+                const sliceTop = Math.max(y, scrollY);
+                const sliceBottom = Math.min(bottom, scrollY + viewportHeight);
+                if (sliceBottom <= sliceTop) break;
+
+                // Frames can be scaled differently from CSS px (zoom); map via the frame's own width
+                const frameScale = frame.width / window.innerWidth;
+                ctx.drawImage(
+                    frame,
+                    (rect.left - window.scrollX) * frameScale, (sliceTop - scrollY) * frameScale,
+                    rect.width * frameScale, (sliceBottom - sliceTop) * frameScale,
+                    0, Math.round((sliceTop - rect.top) * pixelRatio),
+                    Math.round(rect.width * pixelRatio), Math.round((sliceBottom - sliceTop) * pixelRatio)
+                );
+
+                y = sliceBottom;
+                if (!restoreFixed && y < bottom) restoreFixed = this.hideFixedElements();
+            }
+        } finally {
+            if (restoreFixed) restoreFixed();
+            window.scrollTo(originalX, originalY);
+            html.style.scrollBehavior = originalBehavior;
+        }
+
+        // Compress: cap the width like regular snips, allow tall output for long content
+        const scale = Math.min(1, MAX_IMAGE_DIMENSION / canvas.width, SCROLL_MAX_OUTPUT_HEIGHT / canvas.height);
+        let output = canvas;
+        if (scale < 1) {
+            output = new OffscreenCanvas(Math.round(canvas.width * scale), Math.round(canvas.height * scale));
+            output.getContext("2d").drawImage(canvas, 0, 0, output.width, output.height);
+        }
+
+        const blob = await output.convertToBlob({ type: "image/jpeg", quality: 0.85 });
+        const dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+        return dataUrl.replace(/^data:image\/(png|jpeg);base64,/, "");
+    },
+
+    /**
+     * Request one screenshot from the background (which enforces the capture rate limit)
+     * @returns {Promise<string>} Data URL
+     */
+    captureFrame() {
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ action: "CAPTURE_VISIBLE_TAB" }, (response) => {
+                if (chrome.runtime.lastError || !response?.dataUrl) {
+                    reject(new Error(chrome.runtime.lastError?.message || response?.error || "Screenshot failed"));
+                    return;
+                }
+                resolve(response.dataUrl);
+            });
+        });
+    },
+
+    /**
+     * Decode a captured frame
+     * @param {string} dataUrl
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadFrame(dataUrl) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error("Could not decode screenshot"));
+            img.src = dataUrl;
+        });
+    },
+
+    /**
+     * Resolve after the page has painted the current scroll position
+     * @returns {Promise<void>}
+     */
+    waitForPaint() {
+        return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(() => setTimeout(resolve, 50))));
+    },
+
+    /**
+     * Temporarily hide fixed and sticky elements (site headers, cookie bars, chat widgets)
+     * @returns {Function} Restores the hidden elements
+     */
+    hideFixedElements() {
+        const hidden = [];
+        document.querySelectorAll("body *").forEach(el => {
+            const position = getComputedStyle(el).position;
+            if (position !== "fixed" && position !== "sticky") return;
+            hidden.push([el, el.style.getPropertyValue("visibility"), el.style.getPropertyPriority("visibility")]);
+            el.style.setProperty("visibility", "hidden", "important");
+        });
+
+        return () => {
+            hidden.forEach(([el, value, priority]) => {
+                if (value) el.style.setProperty("visibility", value, priority);
+                else el.style.removeProperty("visibility");
+            });
+        };
+    },
+
     /**
      * Check if currently selecting
      * @returns {boolean}
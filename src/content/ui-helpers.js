@@ -1,5 +1,5 @@
 // src/content/ui-helpers.js
-// UI utility functions - toasts, text sanitizers, model helpers, loading overlay
+// UI utility functions - toasts, text sanitizers, model helpers, MCQ answers, JSON replies, loading overlay, AI streaming, prompt fields
 
 /**
  * Global reference for the loading overlay element
@@ -127,21 +127,195 @@ function hideLoadingCursor() {
 }
 
 
+// Vision support per model value, as reported by the background (isVisionModel in models-config.js)
+const visionModels = new Map();
+
+/**
+ * Remember which models accept images, from a background model list or provider check
+ * @param {Array<{value: string, vision: boolean}>} models
+ */
+function rememberVisionModels(models) {
+    (models || []).forEach(m => {
+        if (m?.value && typeof m.vision === 'boolean') visionModels.set(m.value, m.vision);
+    });
+}
+
 /**
  * Helper to identify Vision Models
  * @param {string} modelName - The model name to check
- * @returns {boolean} - True if the model supports vision/images
+ * @returns {boolean} - True if the model supports vision/images (unknown models get OCR text)
  */
 function isVisionModel(modelName) {
-    if (!modelName) return false;
-    const lower = modelName.toLowerCase();
-    return lower.includes("llama-4") ||
-        lower.includes("vision") ||
-        lower.includes("gemini") ||
-        lower.includes("gemma") ||
-        lower.includes("llava") ||
-        lower.includes("moondream") ||
-        lower.includes("minicpm");
+    return !!modelName && visionModels.get(modelName) === true;
+}
+
+/**
+ * Send an AI request over a streaming port instead of one-shot sendMessage
+ * Accepts the same request objects as chrome.runtime.sendMessage (ASK_AI, ASK_AI_TEXT,
+ * ASK_AI_MULTI_IMAGE, CONTINUE_CHAT) and resolves with the same response shape.
+ * @param {Object} request - Message payload with an action field
+ * @param {Function} onDelta - Called with each chunk of text as it arrives
+ * @returns {Promise<Object>} - Final response; the promise also exposes stop()
+ */
+function requestAIStream(request, onDelta) {
+    let port;
+    let settled = false;
+
+    const promise = new Promise((resolve) => {
+        const finish = (response) => {
+            if (settled) return;
+            settled = true;
+            try { port.disconnect(); } catch (e) { /* already closed */ }
+            resolve(response);
+        };
+
+        try {
+            port = chrome.runtime.connect({ name: 'ai-stream' });
+        } catch (e) {
+            settled = true;
+            resolve({ success: false, error: 'Extension was reloaded. Please refresh the page.' });
+            return;
+        }
+
+        port.onMessage.addListener((msg) => {
+            if (msg.type === 'DELTA' && typeof onDelta === 'function') {
+                onDelta(msg.delta);
+            } else if (msg.type === 'DONE') {
+                finish(msg.response);
+            }
+        });
+
+        port.onDisconnect.addListener(() => {
+            finish({ success: false, error: chrome.runtime.lastError?.message || 'Connection to extension lost.' });
+        });
+
+        port.postMessage({ type: 'START', request });
+    });
+
+    promise.stop = () => {
+        if (settled || !port) return;
+        try { port.postMessage({ type: 'STOP' }); } catch (e) { /* already closed */ }
+    };
+
+    return promise;
+}
+
+/**
+ * Pull the chosen option out of an MCQ answer ("Answer: B. because..." - the format
+ * the short mode asks for). Letters are compared as-is; other answers by their text.
+ * @param {string} text - Model response
+ * @returns {string|null} "B", a normalized answer text, or null when there is no Answer line
+ */
+function extractMcqAnswer(text) {
+    if (!text) return null;
+    const clean = text.replace(/\*\*/g, '');
+    const letter = /\bAnswer\s*[:：]\s*\(?([A-H])\)?(?=[\s.,:;)]|$)/i.exec(clean);
+    if (letter) return letter[1].toUpperCase();
+
+    const line = /\bAnswer\s*[:：]\s*([^\n]+)/i.exec(clean);
+    if (!line) return null;
+    const normalized = line[1].split(/[.;]\s/)[0].trim().toLowerCase().replace(/[^\p{L}\p{N}\s-]/gu, '').slice(0, 60);
+    return normalized || null;
+}
+
+/**
+ * The explanation that follows the Answer line, cut to one line
+ * @param {string} text - Model response
+ * @returns {string}
+ */
+function extractMcqRationale(text) {
+    if (!text) return '';
+    const lines = text.replace(/\*\*/g, '').split('\n').map(l => l.trim()).filter(Boolean);
+    const answerIdx = lines.findIndex(l => /\bAnswer\s*[:：]/i.test(l));
+    // "Answer: B. Because..." keeps its reason on the same line, otherwise it's the next one
+    let rationale = answerIdx === -1 ? lines[0] || ''
+        : lines[answerIdx].replace(/^.*?\bAnswer\s*[:：]\s*(?:\(?[A-H]\)?(?=[\s.,:;\-–—]|$))?\s*[.,:;\-–—]?\s*/i, '');
+    if (answerIdx !== -1 && (!rationale || /^[A-H]$/i.test(rationale))) rationale = lines[answerIdx + 1] || '';
+    return rationale.length > 160 ? rationale.slice(0, 157).trimEnd() + '...' : rationale;
+}
+
+/**
+ * Majority vote over several models' answers to the same MCQ
+ * @param {Array} results - [{ model, success, answer, error }]
+ * @returns {{winner: string|null, votes: Array<[string, number]>, answered: number, agreement: number, entries: Array}}
+ *   winner is null on a tie or when no model gave an Answer line; agreement is the winner's
+ *   share of the models that answered
+ */
+function tallyConsensus(results) {
+    const entries = results.map(r => ({
+        model: r.model,
+        answer: r.success ? r.answer : null,
+        error: r.success ? null : (r.error || 'Unknown error'),
+        option: r.success ? extractMcqAnswer(r.answer) : null,
+        rationale: r.success ? extractMcqRationale(r.answer) : ''
+    }));
+
+    const counts = new Map();
+    entries.forEach(e => { if (e.option) counts.set(e.option, (counts.get(e.option) || 0) + 1); });
+    const votes = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    const winner = votes.length > 0 && (votes.length === 1 || votes[0][1] > votes[1][1]) ? votes[0][0] : null;
+    const answered = entries.filter(e => !e.error).length;
+
+    return { winner, votes, answered, agreement: winner ? counts.get(winner) / answered : 0, entries };
+}
+
+/**
+ * The value of a structured-mode reply (nothing but a ```json block holding an object or array)
+ * @param {string} text - Assistant message
+ * @returns {Object|Array|null}
+ */
+function parseJsonAnswer(text) {
+    if (typeof text !== 'string') return null;
+    const match = /^\s*```json\s*\n([\s\S]*?)\n```\s*$/.exec(text);
+    if (!match) return null;
+    try {
+        const value = JSON.parse(match[1]);
+        return value && typeof value === 'object' ? value : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Flatten a JSON value into CSV. Arrays of objects become rows; for an object holding such
+ * an array (an invoice and its line items), its other fields repeat on every row.
+ * Nested objects become dotted columns.
+ * @param {Object|Array} value
+ * @returns {string}
+ */
+function jsonToCsv(value) {
+    const isRecord = (v) => v && typeof v === 'object' && !Array.isArray(v);
+    const flatten = (obj, prefix, out) => {
+        Object.entries(obj).forEach(([key, v]) => {
+            const column = prefix ? `${prefix}.${key}` : key;
+            if (isRecord(v)) flatten(v, column, out);
+            else if (Array.isArray(v)) out[column] = v.every(item => !item || typeof item !== 'object') ? v.join('; ') : JSON.stringify(v);
+            else out[column] = v;
+        });
+        return out;
+    };
+
+    let rows;
+    if (Array.isArray(value)) {
+        rows = value.map(item => isRecord(item) ? flatten(item, '', {}) : { value: item });
+    } else {
+        const listKey = Object.keys(value).find(key => Array.isArray(value[key]) && value[key].length > 0 && value[key].every(isRecord));
+        if (listKey) {
+            const { [listKey]: list, ...rest } = value;
+            const shared = flatten(rest, '', {});
+            rows = list.map(item => ({ ...shared, ...flatten(item, listKey, {}) }));
+        } else {
+            rows = [flatten(value, '', {})];
+        }
+    }
+
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(key => { if (!columns.includes(key)) columns.push(key); }));
+    const cell = (v) => {
+        const text = v === null || v === undefined ? '' : String(v);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.map(cell).join(','), ...rows.map(row => columns.map(c => cell(row[c])).join(','))].join('\n');
 }
 
 /**
@@ -303,3 +477,100 @@ function showErrorToast(message) {
     toast.style.cursor = 'pointer';
     toast.addEventListener('click', () => toast.remove());
 }
+
+/**
+ * Ask for the fill-in fields of a templated mode prompt ({{field:Name}})
+ * Rendered in a shadow root so page styles can't restyle the inputs.
+ * @param {Array<{name: string, defaultValue: string}>} fields
+ * @returns {Promise<Object|null>} { Name: value } or null if cancelled
+ */
+function showPromptFieldsDialog(fields) {
+    return new Promise((resolve) => {
+        const host = document.createElement('div');
+        host.id = 'snip-prompt-fields';
+        host.style.cssText = 'position: fixed; inset: 0; z-index: 2147483647;';
+        const shadow = host.attachShadow({ mode: 'open' });
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .backdrop { position: fixed; inset: 0; display: flex; align-items: center; justify-content: center; }
+            form {
+                width: 320px; padding: 18px; background: #1e1e1e; color: #e8e8e8;
+                border: 1px solid rgba(255,107,74,0.4); border-radius: 10px;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.6);
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 13px;
+            }
+            .title { font-weight: 600; color: #ff6b4a; margin-bottom: 12px; }
+            label { display: block; margin-bottom: 10px; color: #b4b4b4; font-size: 12px; }
+            input {
+                display: block; width: 100%; box-sizing: border-box; margin-top: 4px; padding: 8px 10px;
+                background: rgba(0,0,0,0.4); color: #e8e8e8; border: 1px solid rgba(255,255,255,0.1);
+                border-radius: 6px; font-size: 13px; font-family: inherit; outline: none;
+            }
+            input:focus { border-color: #ff6b4a; }
+            .actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 14px; }
+            button { padding: 6px 14px; border-radius: 6px; font-size: 12px; cursor: pointer; font-family: inherit; }
+            .cancel { background: rgba(255,255,255,0.05); color: #b4b4b4; border: 1px solid rgba(255,255,255,0.1); }
+            .submit { background: #ee4b06; color: #fff; border: none; font-weight: 600; }
+        `;
+        shadow.appendChild(style);
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'backdrop';
+        const form = document.createElement('form');
+
+        const title = document.createElement('div');
+        title.className = 'title';
+        title.textContent = 'Fill in the prompt';
+        form.appendChild(title);
+
+        const inputs = fields.map(field => {
+            const label = document.createElement('label');
+            label.textContent = field.name;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = field.defaultValue || '';
+            input.dataset.name = field.name;
+            label.appendChild(input);
+            form.appendChild(label);
+            return input;
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'cancel';
+        cancelBtn.textContent = 'Cancel';
+        const submitBtn = document.createElement('button');
+        submitBtn.type = 'submit';
+        submitBtn.className = 'submit';
+        submitBtn.textContent = 'Ask';
+        actions.append(cancelBtn, submitBtn);
+        form.appendChild(actions);
+
+        backdrop.appendChild(form);
+        shadow.appendChild(backdrop);
+        document.body.appendChild(host);
+
+        const finish = (values) => {
+            host.remove();
+            resolve(values);
+        };
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const values = {};
+            inputs.forEach(input => { values[input.dataset.name] = input.value.trim(); });
+            finish(values);
+        });
+        cancelBtn.addEventListener('click', () => finish(null));
+        // Keep page shortcuts from seeing keystrokes meant for the inputs
+        form.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') finish(null);
+        });
+
+        inputs[0]?.focus();
+    });
+}
@@ -368,3 +368,25 @@ function cropImage(base64Full, rect, callback) {
   img.src = base64Full;
 }
 
+
+/**
+ * Create a small JPEG thumbnail (for the history archive list)
+ * @param {string} base64 - Image data without the data URL prefix
+ * @param {number} maxDimension - Longest side of the thumbnail in pixels
+ * @returns {Promise<string|null>} Thumbnail base64 without prefix, or null if the image can't be read
+ */
+function createThumbnail(base64, maxDimension = 160) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, maxDimension / Math.max(img.width, img.height));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.width * scale));
+      canvas.height = Math.max(1, Math.round(img.height * scale));
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL("image/jpeg", 0.7).replace(/^data:image\/(png|jpeg);base64,/, ""));
+    };
+    img.onerror = () => resolve(null);
+    img.src = `data:image/jpeg;base64,${base64}`;
+  });
+}
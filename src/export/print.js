@@ -0,0 +1,58 @@
+// print.js - Print view for a conversation export (Save as PDF through the browser print dialog)
+// The HTML is held by the service worker until this page fetches it, so it only works once
+
+const statusEl = document.getElementById('status');
+const printBtn = document.getElementById('printBtn');
+const preview = document.getElementById('preview');
+
+function send(message) {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+                resolve({ success: false, error: chrome.runtime.lastError.message });
+                return;
+            }
+            resolve(response || { success: false, error: 'No response' });
+        });
+    });
+}
+
+/**
+ * Resolve once every image of the preview has loaded (or failed), so none are blank on paper
+ */
+function waitForImages(doc) {
+    const pending = [...doc.images].filter(img => !img.complete);
+    return Promise.all(pending.map(img => new Promise(resolve => {
+        img.addEventListener('load', resolve, { once: true });
+        img.addEventListener('error', resolve, { once: true });
+    })));
+}
+
+function print() {
+    preview.contentWindow.focus();
+    preview.contentWindow.print();
+}
+
+async function init() {
+    const id = new URLSearchParams(location.search).get('id');
+    const response = await send({ action: 'GET_PRINT_EXPORT', id });
+    if (!response.success) {
+        statusEl.textContent = response.error || 'Could not load the conversation.';
+        return;
+    }
+
+    // Name the tab after the export
+    document.title = response.title;
+
+    preview.addEventListener('load', async () => {
+        await waitForImages(preview.contentDocument);
+        statusEl.textContent = 'Choose "Save as PDF" as the destination in the print dialog.';
+        printBtn.disabled = false;
+        print();
+    }, { once: true });
+    preview.srcdoc = response.html;
+}
+
+printBtn.addEventListener('click', print);
+
+init();
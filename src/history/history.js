@@ -0,0 +1,254 @@
+// history.js - Conversation History page script
+// All data lives in the service worker's IndexedDB; this page only talks to it via messages
+
+const searchInput = document.getElementById('searchInput');
+const modelFilter = document.getElementById('modelFilter');
+const modeFilter = document.getElementById('modeFilter');
+const siteFilter = document.getElementById('siteFilter');
+const statusEl = document.getElementById('status');
+const sessionList = document.getElementById('sessionList');
+
+let searchTimer = null;
+
+/**
+ * Promise wrapper around chrome.runtime.sendMessage
+ * @param {Object} message
+ * @returns {Promise<Object>}
+ */
+function send(message) {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+                resolve({ success: false, error: chrome.runtime.lastError.message });
+                return;
+            }
+            resolve(response || { success: false, error: 'No response' });
+        });
+    });
+}
+
+function setStatus(text, isError = false) {
+    statusEl.textContent = text;
+    statusEl.classList.toggle('error', isError);
+}
+
+/**
+ * Refill a filter select, keeping the current choice if it still exists
+ * @param {HTMLSelectElement} select
+ * @param {string[]} values
+ */
+function fillFilter(select, values) {
+    const current = select.value;
+    while (select.options.length > 1) select.remove(1);
+    values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+    });
+    select.value = values.includes(current) ? current : '';
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+/**
+ * Strip provider prefixes for display (e.g. "ollama:llava" -> "llava")
+ */
+function shortModelName(model) {
+    return model.includes(':') ? model.slice(model.indexOf(':') + 1) : model;
+}
+
+async function loadSessions() {
+    const response = await send({
+        action: 'GET_HISTORY',
+        filters: {
+            query: searchInput.value.trim(),
+            model: modelFilter.value,
+            mode: modeFilter.value,
+            site: siteFilter.value
+        }
+    });
+
+    if (!response.success) {
+        setStatus('Failed to load history: ' + response.error, true);
+        return;
+    }
+
+    fillFilter(modelFilter, response.facets.models);
+    fillFilter(modeFilter, response.facets.modes);
+    fillFilter(siteFilter, response.facets.sites);
+
+    renderSessions(response.sessions);
+}
+
+function renderSessions(sessions) {
+    sessionList.textContent = '';
+
+    if (sessions.length === 0) {
+        setStatus('');
+        const empty = document.createElement('div');
+        empty.className = 'empty';
+        empty.textContent = searchInput.value.trim()
+            ? 'No conversations match your search.'
+            : 'No saved conversations yet. Snip something to get started!';
+        sessionList.appendChild(empty);
+        return;
+    }
+
+    setStatus(`${sessions.length} conversation${sessions.length === 1 ? '' : 's'}`);
+    sessions.forEach(session => sessionList.appendChild(createSessionCard(session)));
+}
+
+/**
+ * Build a card for a session summary (textContent only - history holds untrusted page/AI text)
+ * @param {Object} session
+ * @returns {HTMLElement}
+ */
+function createSessionCard(session) {
+    const card = document.createElement('div');
+    card.className = 'session';
+
+    let thumb;
+    if (session.thumbnail) {
+        thumb = document.createElement('img');
+        thumb.src = `data:image/jpeg;base64,${session.thumbnail}`;
+        thumb.alt = '';
+    } else {
+        thumb = document.createElement('div');
+        thumb.textContent = '💬';
+    }
+    thumb.className = 'thumb';
+    card.appendChild(thumb);
+
+    const body = document.createElement('div');
+    body.className = 'session-body';
+
+    const title = document.createElement('div');
+    title.className = 'session-title';
+    title.textContent = session.pageTitle || session.site || 'Untitled page';
+    title.title = session.pageUrl || '';
+    body.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'session-meta';
+    const parts = [formatDate(session.updatedAt)];
+    if (session.site) parts.push(session.site);
+    if (session.models.length) parts.push(session.models.map(shortModelName).join(', '));
+    if (session.mode) parts.push(session.mode);
+    parts.push(`${session.messageCount} messages`);
+    if (session.totalTokens) parts.push(`${session.totalTokens.toLocaleString()} tokens`);
+    meta.textContent = parts.join(' · ');
+    body.appendChild(meta);
+
+    const preview = document.createElement('div');
+    preview.className = 'session-preview';
+    preview.textContent = session.preview;
+    body.appendChild(preview);
+
+    card.appendChild(body);
+
+    const actions = document.createElement('div');
+    actions.className = 'session-actions';
+
+    const reopenBtn = document.createElement('button');
+    reopenBtn.className = 'btn';
+    reopenBtn.textContent = 'Reopen';
+    reopenBtn.addEventListener('click', async () => {
+        reopenBtn.disabled = true;
+        setStatus('Reopening conversation...');
+        const response = await send({ action: 'REOPEN_HISTORY_SESSION', id: session.id });
+        reopenBtn.disabled = false;
+        if (response.success) {
+            setStatus('');
+        } else {
+            setStatus('Could not reopen: ' + response.error, true);
+        }
+    });
+
+    const viewBtn = document.createElement('button');
+    viewBtn.className = 'btn secondary';
+    viewBtn.textContent = 'View';
+    viewBtn.addEventListener('click', () => toggleTranscript(body, session.id, viewBtn));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async () => {
+        const response = await send({ action: 'DELETE_HISTORY_SESSION', id: session.id });
+        if (response.success) {
+            loadSessions();
+        } else {
+            setStatus('Delete failed: ' + response.error, true);
+        }
+    });
+
+    actions.append(reopenBtn, viewBtn, deleteBtn);
+    card.appendChild(actions);
+
+    return card;
+}
+
+/**
+ * Expand/collapse the full transcript of a session inside its card
+ */
+async function toggleTranscript(body, id, button) {
+    const existing = body.querySelector('.transcript');
+    if (existing) {
+        existing.remove();
+        button.textContent = 'View';
+        return;
+    }
+
+    const response = await send({ action: 'GET_HISTORY_SESSION', id });
+    if (!response.success) {
+        setStatus('Failed to load conversation: ' + response.error, true);
+        return;
+    }
+
+    const transcript = document.createElement('div');
+    transcript.className = 'transcript';
+
+    response.session.messages.forEach(msg => {
+        const row = document.createElement('div');
+        row.className = 'transcript-msg';
+
+        const role = document.createElement('span');
+        role.className = 'role';
+        role.textContent = msg.role === 'user' ? 'You:' : `${msg.model ? shortModelName(msg.model) : 'AI'}:`;
+        row.appendChild(role);
+
+        let text = msg.displayText;
+        if (typeof text !== 'string') text = typeof msg.content === 'string' ? msg.content : '';
+        row.appendChild(document.createTextNode(text || (msg.base64Image ? '[Image]' : '')));
+
+        transcript.appendChild(row);
+    });
+
+    body.appendChild(transcript);
+    button.textContent = 'Hide';
+}
+
+searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(loadSessions, 250);
+});
+
+[modelFilter, modeFilter, siteFilter].forEach(select => {
+    select.addEventListener('change', loadSessions);
+});
+
+document.getElementById('clearAll').addEventListener('click', async () => {
+    if (!confirm('Delete all saved conversations? This cannot be undone.')) return;
+    const response = await send({ action: 'CLEAR_HISTORY' });
+    if (response.success) {
+        loadSessions();
+    } else {
+        setStatus('Clear failed: ' + response.error, true);
+    }
+});
+
+loadSessions();
@@ -0,0 +1,92 @@
+// languages.js - OCR Languages page script
+// Imports run in a tab rather than the popup, which closes as soon as the file chooser takes focus
+
+import {
+    BUNDLED_OCR_LANGUAGES,
+    DEFAULT_OCR_LANGUAGE,
+    TESSDATA_DOWNLOAD_URL,
+    getOCRLanguage,
+    getLanguageCodeFromFileName,
+    saveLanguagePack,
+    listLanguagePacks,
+    deleteLanguagePack
+} from '../background/ocr-languages.js';
+
+const statusEl = document.getElementById('status');
+const packList = document.getElementById('packList');
+const packInput = document.getElementById('packInput');
+
+function setStatus(text, isError = false) {
+    statusEl.textContent = text;
+    statusEl.classList.toggle('error', isError);
+}
+
+async function renderPacks() {
+    let imported = [];
+    try {
+        imported = await listLanguagePacks();
+    } catch (e) {
+        setStatus(`Could not list language packs: ${e.message}`, true);
+    }
+    const installed = [...BUNDLED_OCR_LANGUAGES, ...imported.filter(code => !BUNDLED_OCR_LANGUAGES.includes(code))];
+
+    packList.innerHTML = '';
+    installed.forEach(code => {
+        const name = getOCRLanguage(code)?.name || code;
+        const item = document.createElement('span');
+        item.className = 'pack-item';
+        item.textContent = name;
+
+        if (!BUNDLED_OCR_LANGUAGES.includes(code)) {
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = '✕';
+            removeBtn.title = `Remove ${code}.traineddata`;
+            removeBtn.addEventListener('click', async () => {
+                await deleteLanguagePack(code);
+                // Fall back to auto if the selected languages needed this pack
+                const { ocrLanguage } = await chrome.storage.local.get(['ocrLanguage']);
+                if (ocrLanguage && ocrLanguage.split('+').includes(code)) {
+                    await chrome.storage.local.set({ ocrLanguage: DEFAULT_OCR_LANGUAGE });
+                }
+                setStatus(`Removed ${name}`);
+                renderPacks();
+            });
+            item.appendChild(removeBtn);
+        }
+        packList.appendChild(item);
+    });
+}
+
+document.getElementById('tessdataLink').href = TESSDATA_DOWNLOAD_URL;
+
+document.getElementById('importBtn').addEventListener('click', () => packInput.click());
+
+packInput.addEventListener('change', async () => {
+    const files = [...packInput.files];
+    packInput.value = '';
+    const added = [];
+    const errors = [];
+
+    for (const file of files) {
+        const code = getLanguageCodeFromFileName(file.name);
+        if (!code) {
+            errors.push(`${file.name}: expected a name like hin.traineddata`);
+            continue;
+        }
+        try {
+            await saveLanguagePack(code, await file.arrayBuffer());
+            added.push(getOCRLanguage(code)?.name || code);
+        } catch (e) {
+            errors.push(`${file.name}: ${e.message}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        setStatus('⚠️ ' + errors.join('; '), true);
+    } else if (added.length > 0) {
+        setStatus(`Imported ${added.join(', ')} - select it under OCR Languages in the popup.`);
+    }
+    renderPacks();
+});
+
+renderPacks();
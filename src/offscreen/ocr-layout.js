@@ -0,0 +1,213 @@
+// src/offscreen/ocr-layout.js
+// Rebuild line breaks, indentation and tables from Tesseract block/line/word boxes
+
+const LAYOUT_CONFIG = {
+    ROW_OVERLAP: 0.5,          // Lines from different blocks sharing >= 50% of their height are one visual row
+    CELL_GAP_CHARS: 2.5,       // A gap this many character widths wide separates table cells
+    COLUMN_TOLERANCE_CHARS: 2, // Cells start within this many character widths of a column anchor
+    MIN_TABLE_ROWS: 2,
+    MIN_TABLE_COLUMNS: 2,
+    BLANK_LINE_RATIO: 1.6      // Row gap (in median line heights) that becomes an empty line
+};
+
+/**
+ * Median of a numeric array (0 for empty arrays)
+ * @param {number[]} values
+ * @returns {number}
+ */
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Flatten Tesseract blocks into lines of words with bounding boxes
+ * @param {Array} blocks - data.blocks from worker.recognize(..., { blocks: true })
+ * @returns {Array<{x0: number, y0: number, x1: number, y1: number, words: Array}>}
+ */
+export function collectLines(blocks) {
+    const lines = [];
+    for (const block of blocks || []) {
+        for (const paragraph of block.paragraphs || []) {
+            for (const line of paragraph.lines || []) {
+                const words = (line.words || [])
+                    .filter(w => w.text && w.text.trim())
+                    .map(w => ({ text: w.text.trim(), ...w.bbox }));
+                if (words.length === 0) continue;
+                lines.push({
+                    x0: Math.min(...words.map(w => w.x0)),
+                    y0: Math.min(...words.map(w => w.y0)),
+                    x1: Math.max(...words.map(w => w.x1)),
+                    y1: Math.max(...words.map(w => w.y1)),
+                    words
+                });
+            }
+        }
+    }
+    return lines;
+}
+
+/**
+ * Merge lines that sit on the same visual row (Tesseract often puts table columns in separate blocks)
+ * @param {Array} lines
+ * @returns {Array} Rows with words sorted left to right
+ */
+function groupRows(lines) {
+    const sorted = [...lines].sort((a, b) => a.y0 - b.y0 || a.x0 - b.x0);
+    const rows = [];
+
+    for (const line of sorted) {
+        const row = rows.find(r => {
+            const overlap = Math.min(r.y1, line.y1) - Math.max(r.y0, line.y0);
+            return overlap >= LAYOUT_CONFIG.ROW_OVERLAP * Math.min(r.y1 - r.y0, line.y1 - line.y0);
+        });
+
+        if (row) {
+            row.words.push(...line.words);
+            row.x0 = Math.min(row.x0, line.x0);
+            row.y0 = Math.min(row.y0, line.y0);
+            row.x1 = Math.max(row.x1, line.x1);
+            row.y1 = Math.max(row.y1, line.y1);
+        } else {
+            rows.push({ ...line, words: [...line.words] });
+        }
+    }
+
+    rows.forEach(row => row.words.sort((a, b) => a.x0 - b.x0));
+    return rows.sort((a, b) => a.y0 - b.y0);
+}
+
+/**
+ * Split a row into cells wherever the gap between words is wide
+ * @param {Object} row
+ * @param {number} charWidth
+ * @returns {Array<{x0: number, text: string}>}
+ */
+function splitCells(row, charWidth) {
+    const cells = [];
+    let current = null;
+
+    for (const word of row.words) {
+        if (current && word.x0 - current.x1 < LAYOUT_CONFIG.CELL_GAP_CHARS * charWidth) {
+            current.text += ' ' + word.text;
+            current.x1 = word.x1;
+        } else {
+            current = { x0: word.x0, x1: word.x1, text: word.text };
+            cells.push(current);
+        }
+    }
+    return cells;
+}
+
+/**
+ * Find runs of consecutive rows whose cells line up in columns
+ * @param {Array} rows - Rows with `cells`
+ * @param {number} charWidth
+ * @returns {Array<{start: number, end: number, anchors: number[]}>} Inclusive row ranges
+ */
+function findTables(rows, charWidth) {
+    const tolerance = LAYOUT_CONFIG.COLUMN_TOLERANCE_CHARS * charWidth;
+    const tables = [];
+    let i = 0;
+
+    while (i < rows.length) {
+        if (rows[i].cells.length < LAYOUT_CONFIG.MIN_TABLE_COLUMNS) {
+            i++;
+            continue;
+        }
+
+        const anchors = rows[i].cells.map(c => c.x0);
+        let end = i;
+        while (end + 1 < rows.length) {
+            const next = rows[end + 1].cells;
+            const aligned = next.length >= LAYOUT_CONFIG.MIN_TABLE_COLUMNS &&
+                next.every(cell => anchors.some(a => Math.abs(a - cell.x0) <= tolerance));
+            if (!aligned) break;
+            end++;
+        }
+
+        if (end - i + 1 >= LAYOUT_CONFIG.MIN_TABLE_ROWS) {
+            tables.push({ start: i, end, anchors });
+            i = end + 1;
+        } else {
+            i++;
+        }
+    }
+    return tables;
+}
+
+/**
+ * Render aligned rows as a Markdown table
+ * @param {Array} rows
+ * @param {number[]} anchors - Column start positions
+ * @returns {string[]} Lines
+ */
+function renderMarkdownTable(rows, anchors) {
+    const toCells = (row) => {
+        const cells = anchors.map(() => '');
+        row.cells.forEach(cell => {
+            let column = 0;
+            anchors.forEach((a, idx) => {
+                if (Math.abs(a - cell.x0) < Math.abs(anchors[column] - cell.x0)) column = idx;
+            });
+            cells[column] = (cells[column] ? cells[column] + ' ' : '') + cell.text.replace(/\|/g, '\\|');
+        });
+        return `| ${cells.join(' | ')} |`;
+    };
+
+    const [header, ...body] = rows;
+    return [
+        toCells(header),
+        `| ${anchors.map(() => '---').join(' | ')} |`,
+        ...body.map(toCells)
+    ];
+}
+
+/**
+ * Rebuild the recognized text with its visual layout: one output line per row,
+ * leading indentation from the left offset, blank lines for large vertical gaps
+ * and Markdown tables for column-aligned rows.
+ * @param {Array} blocks - data.blocks from Tesseract
+ * @returns {string|null} Layout text, or null when there are no word boxes
+ */
+export function buildLayoutText(blocks) {
+    const lines = collectLines(blocks);
+    if (lines.length === 0) return null;
+
+    const allWords = lines.flatMap(l => l.words);
+    const charWidth = median(allWords.map(w => (w.x1 - w.x0) / [...w.text].length)) || 1;
+    const lineHeight = median(lines.map(l => l.y1 - l.y0)) || 1;
+
+    const rows = groupRows(lines);
+    rows.forEach(row => { row.cells = splitCells(row, charWidth); });
+
+    const leftMargin = Math.min(...rows.map(r => r.x0));
+    const tables = findTables(rows, charWidth);
+
+    const output = [];
+    let i = 0;
+    while (i < rows.length) {
+        // Paragraph / code block breaks
+        if (i > 0 && rows[i].y0 - rows[i - 1].y1 > LAYOUT_CONFIG.BLANK_LINE_RATIO * lineHeight) {
+            output.push('');
+        }
+
+        const table = tables.find(t => t.start === i);
+        if (table) {
+            if (output.length > 0 && output[output.length - 1] !== '') output.push('');
+            output.push(...renderMarkdownTable(rows.slice(table.start, table.end + 1), table.anchors));
+            output.push('');
+            i = table.end + 1;
+            continue;
+        }
+
+        const row = rows[i];
+        const indent = ' '.repeat(Math.max(0, Math.round((row.x0 - leftMargin) / charWidth)));
+        output.push(indent + row.cells.map(c => c.text).join('    '));
+        i++;
+    }
+
+    // Keep the first row's indentation; drop surrounding blank lines
+    return output.join('\n').replace(/\n{3,}/g, '\n\n').replace(/^\n+|\s+$/g, '');
+}
@@ -0,0 +1,230 @@
+// src/offscreen/ocr-preprocess.js
+// Image preprocessing before OCR - grayscale, dark-mode inversion, upscaling, deskew, adaptive threshold
+
+const PREPROCESS_CONFIG = {
+    UPSCALE_BELOW_PX: 1000,      // Crops whose longest side is smaller than this get enlarged
+    UPSCALE_TARGET_PX: 1600,     // ...towards this longest side
+    MAX_UPSCALE: 3,
+    MAX_PIXELS: 8_000_000,       // Never produce images larger than this
+    DARK_MEAN_LUMINANCE: 110,    // Mean luminance below this = dark theme (light text on dark background)
+    DESKEW_MAX_ANGLE: 5,         // Degrees searched either way
+    DESKEW_STEP: 0.5,
+    DESKEW_MIN_ANGLE: 0.5,       // Smaller skews aren't worth the resampling blur
+    DESKEW_SAMPLE_WIDTH: 800,    // Skew is estimated on a downscaled copy
+    THRESHOLD_WINDOW_RATIO: 1 / 16, // Adaptive threshold window relative to image width
+    THRESHOLD_SENSITIVITY: 0.15  // Pixel is ink when this much darker than its neighbourhood
+};
+
+/**
+ * Variants tried in order; later ones are only used when earlier passes come back with low confidence
+ * - enhanced:  grayscale, dark-mode inversion, upscale small crops, deskew
+ * - binarized: enhanced + adaptive (local) threshold, for low-contrast/uneven backgrounds
+ * - original:  the untouched snip, in case preprocessing hurt
+ */
+export const OCR_VARIANTS = ['enhanced', 'binarized', 'original'];
+
+/**
+ * Prepare an image for OCR
+ * @param {Uint8Array} bytes - Encoded image (JPEG/PNG)
+ * @param {string} variant - One of OCR_VARIANTS
+ * @returns {Promise<Uint8Array>} Encoded PNG (or the input for 'original')
+ */
+export async function preprocessImage(bytes, variant) {
+    if (variant === 'original') return bytes;
+
+    const bitmap = await createImageBitmap(new Blob([bytes]));
+    const scale = getUpscaleFactor(bitmap.width, bitmap.height);
+
+    let canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+    let ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    // Grayscale (+ invert dark themes so text is always dark on light)
+    let imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const gray = toGrayscale(imageData);
+    if (mean(gray) < PREPROCESS_CONFIG.DARK_MEAN_LUMINANCE) {
+        for (let i = 0; i < gray.length; i++) gray[i] = 255 - gray[i];
+    }
+    writeGray(imageData, gray);
+    ctx.putImageData(imageData, 0, 0);
+
+    // Deskew
+    const angle = estimateSkew(gray, canvas.width, canvas.height);
+    if (Math.abs(angle) >= PREPROCESS_CONFIG.DESKEW_MIN_ANGLE) {
+        canvas = rotateCanvas(canvas, -angle);
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    if (variant === 'binarized') {
+        imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        writeGray(imageData, adaptiveThreshold(toGrayscale(imageData), canvas.width, canvas.height));
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * Upscale factor for small crops (Tesseract struggles with text under ~20px tall)
+ * @param {number} width
+ * @param {number} height
+ * @returns {number}
+ */
+function getUpscaleFactor(width, height) {
+    const longest = Math.max(width, height);
+    if (longest >= PREPROCESS_CONFIG.UPSCALE_BELOW_PX) return 1;
+
+    let scale = Math.min(PREPROCESS_CONFIG.MAX_UPSCALE, PREPROCESS_CONFIG.UPSCALE_TARGET_PX / longest);
+    const maxScale = Math.sqrt(PREPROCESS_CONFIG.MAX_PIXELS / (width * height));
+    scale = Math.min(scale, maxScale);
+    return Math.max(1, scale);
+}
+
+/**
+ * Luminance channel of an RGBA image
+ * @param {ImageData} imageData
+ * @returns {Uint8ClampedArray}
+ */
+function toGrayscale(imageData) {
+    const { data } = imageData;
+    const gray = new Uint8ClampedArray(data.length / 4);
+    for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+        gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+    return gray;
+}
+
+/**
+ * Write a luminance channel back into an RGBA image (opaque)
+ * @param {ImageData} imageData
+ * @param {Uint8ClampedArray} gray
+ */
+function writeGray(imageData, gray) {
+    const { data } = imageData;
+    for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+        data[i] = data[i + 1] = data[i + 2] = gray[p];
+        data[i + 3] = 255;
+    }
+}
+
+function mean(values) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) sum += values[i];
+    return values.length ? sum / values.length : 0;
+}
+
+/**
+ * Bradley-Roth adaptive threshold using an integral image
+ * Handles gradients and uneven backgrounds that defeat a single global threshold.
+ * @param {Uint8ClampedArray} gray
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8ClampedArray} 0 (ink) / 255 (background)
+ */
+function adaptiveThreshold(gray, width, height) {
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 1; y <= height; y++) {
+        let rowSum = 0;
+        for (let x = 1; x <= width; x++) {
+            rowSum += gray[(y - 1) * width + (x - 1)];
+            integral[y * (width + 1) + x] = integral[(y - 1) * (width + 1) + x] + rowSum;
+        }
+    }
+
+    const half = Math.max(4, Math.round(width * PREPROCESS_CONFIG.THRESHOLD_WINDOW_RATIO / 2));
+    const out = new Uint8ClampedArray(gray.length);
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - half);
+        const y1 = Math.min(height, y + half + 1);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - half);
+            const x1 = Math.min(width, x + half + 1);
+            const area = (x1 - x0) * (y1 - y0);
+            const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+                - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+            const idx = y * width + x;
+            out[idx] = gray[idx] * area < sum * (1 - PREPROCESS_CONFIG.THRESHOLD_SENSITIVITY) ? 0 : 255;
+        }
+    }
+    return out;
+}
+
+/**
+ * Estimate text skew (degrees) with a projection profile: the angle at which ink pixels
+ * fall into the sharpest horizontal bands is the one that straightens the lines.
+ * @param {Uint8ClampedArray} gray - Dark text on light background
+ * @param {number} width
+ * @param {number} height
+ * @returns {number} Skew angle in degrees (positive = rotated clockwise)
+ */
+function estimateSkew(gray, width, height) {
+    // Sample ink pixels on a downscaled grid
+    const step = Math.max(1, Math.ceil(width / PREPROCESS_CONFIG.DESKEW_SAMPLE_WIDTH));
+    const threshold = mean(gray) * 0.6;
+    const xs = [];
+    const ys = [];
+    for (let y = 0; y < height; y += step) {
+        for (let x = 0; x < width; x += step) {
+            if (gray[y * width + x] < threshold) {
+                xs.push(x / step);
+                ys.push(y / step);
+            }
+        }
+    }
+    if (xs.length < 50) return 0;
+
+    const rows = Math.ceil(height / step);
+    const cols = Math.ceil(width / step);
+    const offset = cols; // Rotated rows can go negative
+    let bestAngle = 0;
+    let bestScore = -1;
+
+    for (let angle = -PREPROCESS_CONFIG.DESKEW_MAX_ANGLE; angle <= PREPROCESS_CONFIG.DESKEW_MAX_ANGLE; angle += PREPROCESS_CONFIG.DESKEW_STEP) {
+        const rad = angle * Math.PI / 180;
+        const sin = Math.sin(rad);
+        const cos = Math.cos(rad);
+        const bins = new Float64Array(rows + 2 * offset);
+
+        for (let i = 0; i < xs.length; i++) {
+            bins[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+        }
+
+        let score = 0;
+        for (let i = 1; i < bins.length; i++) {
+            const diff = bins[i] - bins[i - 1];
+            score += diff * diff;
+        }
+        if (score > bestScore) {
+            bestScore = score;
+            bestAngle = angle;
+        }
+    }
+    return bestAngle;
+}
+
+/**
+ * Rotate a canvas around its centre, filling exposed corners with white
+ * @param {OffscreenCanvas} source
+ * @param {number} degrees
+ * @returns {OffscreenCanvas}
+ */
+function rotateCanvas(source, degrees) {
+    const rad = degrees * Math.PI / 180;
+    const sin = Math.abs(Math.sin(rad));
+    const cos = Math.abs(Math.cos(rad));
+    const width = Math.round(source.width * cos + source.height * sin);
+    const height = Math.round(source.width * sin + source.height * cos);
+
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate(rad);
+    ctx.drawImage(source, -source.width / 2, -source.height / 2);
+    return canvas;
+}
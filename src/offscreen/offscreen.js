@@ -1,42 +1,87 @@
 // src/offscreen/offscreen.js
 
+import {
+    BUNDLED_OCR_LANGUAGES,
+    DEFAULT_OCR_LANGUAGE,
+    OCR_CACHE_PATH,
+    listLanguagePacks,
+    resolveOCRLanguages,
+    getScriptsForLanguages
+} from '../background/ocr-languages.js';
+import { buildLayoutText, collectLines } from './ocr-layout.js';
+import { OCR_VARIANTS, preprocessImage } from './ocr-preprocess.js';
+
 // --- OCR QUALITY VALIDATION CONSTANTS ---
 const OCR_CONFIG = {
     MAX_OUTPUT_CHARS: 8000,           // Max chars to send to LLM (prevents token waste)
     MIN_CONFIDENCE: 25,                // Below this = likely garbage (Tesseract returns 0-100)
+    RETRY_BELOW_CONFIDENCE: 60,        // Try the next preprocessing variant when a pass scores below this
     MIN_READABLE_RATIO: 0.3,           // At least 30% must be alphanumeric
     MAX_REPETITION_RATIO: 0.4,         // If 40%+ is same char, it's noise
     MAX_CONSECUTIVE_GARBAGE: 20        // Max consecutive non-printable chars
 };
 
+// Scripts the analyzer can attribute letters to (Unicode Script property names)
+const KNOWN_SCRIPTS = [
+    'Latin', 'Devanagari', 'Bengali', 'Tamil', 'Telugu', 'Gujarati', 'Gurmukhi', 'Arabic',
+    'Han', 'Hiragana', 'Katakana', 'Hangul', 'Cyrillic', 'Greek', 'Hebrew', 'Thai'
+];
+const SCRIPT_PATTERNS = KNOWN_SCRIPTS.map(name => [name, new RegExp(`\\p{Script=${name}}`, 'u')]);
+
+/**
+ * Unicode script of a letter ('Other' if not one we track)
+ * @param {string} char
+ * @returns {string}
+ */
+function getScript(char) {
+    const match = SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(char));
+    return match ? match[0] : 'Other';
+}
+
 // --- OCR TEXT QUALITY ANALYZER ---
-function analyzeOCRQuality(text) {
+// Letters only count as readable when they belong to a script of the selected language(s),
+// so Hindi/Chinese/Cyrillic text isn't rejected as "garbage" for being non-ASCII.
+// Checks run on the raw text; `layoutText` (line breaks/indentation/tables) is what gets cleaned and returned.
+function analyzeOCRQuality(text, expectedScripts = ['Latin'], layoutText = null) {
     if (!text || text.length === 0) {
         return { isValid: false, reason: 'empty', cleanedText: '' };
     }
 
-    // 1. Check readable character ratio (letters, numbers, common punctuation)
-    const readableChars = text.match(/[a-zA-Z0-9.,!?;:'"()\-\s]/g) || [];
-    const readableRatio = readableChars.length / text.length;
+    const chars = [...text];
+
+    // 1. Score letters per script; digits, marks, punctuation and whitespace are script-neutral
+    const scriptCounts = {};
+    let expectedLetters = 0;
+    let neutralChars = 0;
+    for (const char of chars) {
+        if (/\p{L}/u.test(char)) {
+            const script = getScript(char);
+            scriptCounts[script] = (scriptCounts[script] || 0) + 1;
+            if (expectedScripts.includes(script)) expectedLetters++;
+        } else if (/[\p{N}\p{M}\p{P}\s]/u.test(char)) {
+            neutralChars++;
+        }
+    }
+    const readableRatio = (expectedLetters + neutralChars) / chars.length;
 
     if (readableRatio < OCR_CONFIG.MIN_READABLE_RATIO) {
         return {
             isValid: false,
             reason: 'garbage_ratio',
-            detail: `Only ${(readableRatio * 100).toFixed(1)}% readable characters`,
+            detail: `Only ${(readableRatio * 100).toFixed(1)}% readable characters for ${expectedScripts.join('/')}`,
             cleanedText: ''
         };
     }
 
     // 2. Check for repetitive patterns (common in noise: "||||||||" or "........")
     const charCounts = {};
-    for (const char of text) {
+    for (const char of chars) {
         charCounts[char] = (charCounts[char] || 0) + 1;
     }
     const maxCharCount = Math.max(...Object.values(charCounts));
-    const repetitionRatio = maxCharCount / text.length;
+    const repetitionRatio = maxCharCount / chars.length;
 
-    if (repetitionRatio > OCR_CONFIG.MAX_REPETITION_RATIO && text.length > 50) {
+    if (repetitionRatio > OCR_CONFIG.MAX_REPETITION_RATIO && chars.length > 50) {
         return {
             isValid: false,
             reason: 'repetitive',
@@ -45,8 +90,9 @@ function analyzeOCRQuality(text) {
         };
     }
 
-    // 3. Check for consecutive garbage sequences
-    const garbageMatch = text.match(/[^a-zA-Z0-9.,!?;:'"()\-\s\n]{20,}/g);
+    // 3. Check for consecutive garbage sequences (symbols/control chars, not letters of any script)
+    const garbagePattern = new RegExp(`[^\\p{L}\\p{N}\\p{M}\\p{P}\\s]{${OCR_CONFIG.MAX_CONSECUTIVE_GARBAGE},}`, 'gu');
+    const garbageMatch = text.match(garbagePattern);
     if (garbageMatch) {
         return {
             isValid: false,
@@ -56,23 +102,35 @@ function analyzeOCRQuality(text) {
         };
     }
 
-    // 4. Clean and truncate
-    let cleanedText = text
-        .replace(/[^\x20-\x7E\n\t]/g, ' ')  // Replace non-printable with space
-        .replace(/\s+/g, ' ')                 // Collapse whitespace
-        .trim();
+    // 4. Clean and truncate (keep format chars like ZWJ/ZWNJ - Indic scripts need them)
+    let cleanedText;
+    if (layoutText) {
+        cleanedText = layoutText
+            .replace(/(?![\n\t])[\p{Cc}\p{Co}\p{Cn}]/gu, ' ')  // Keep line breaks and tabs
+            .replace(/[ \t]+$/gm, '')                              // Trailing spaces only - indentation matters
+            .replace(/\n{3,}/g, '\n\n');
+    } else {
+        cleanedText = text
+            .replace(/[\p{Cc}\p{Co}\p{Cn}]/gu, ' ')  // Replace control/private-use/unassigned with space
+            .replace(/\s+/g, ' ')                      // Collapse whitespace
+            .trim();
+    }
 
     // 5. Truncate if too long (prevents token waste)
     const wasTruncated = cleanedText.length > OCR_CONFIG.MAX_OUTPUT_CHARS;
     if (wasTruncated) {
-        // Truncate at word boundary
-        cleanedText = cleanedText.substring(0, OCR_CONFIG.MAX_OUTPUT_CHARS);
-        const lastSpace = cleanedText.lastIndexOf(' ');
+        // Truncate at word/line boundary (scripts without spaces, e.g. Chinese, are cut hard)
+        cleanedText = cleanedText.substring(0, OCR_CONFIG.MAX_OUTPUT_CHARS).replace(/[\uD800-\uDBFF]$/, '');
+        const lastSpace = Math.max(cleanedText.lastIndexOf(' '), cleanedText.lastIndexOf('\n'));
         if (lastSpace > OCR_CONFIG.MAX_OUTPUT_CHARS - 100) {
-            cleanedText = cleanedText.substring(0, lastSpace) + '... [truncated]';
+            cleanedText = cleanedText.substring(0, lastSpace);
         }
+        cleanedText += '... [truncated]';
     }
 
+    const letterTotal = Object.values(scriptCounts).reduce((sum, n) => sum + n, 0);
+    const dominantScript = Object.keys(scriptCounts).sort((a, b) => scriptCounts[b] - scriptCounts[a])[0] || null;
+
     return {
         isValid: true,
         cleanedText,
@@ -80,74 +138,305 @@ function analyzeOCRQuality(text) {
         stats: {
             originalLength: text.length,
             cleanedLength: cleanedText.length,
-            readableRatio: (readableRatio * 100).toFixed(1) + '%'
+            readableRatio: (readableRatio * 100).toFixed(1) + '%',
+            layoutPreserved: !!layoutText,
+            dominantScript,
+            scripts: Object.fromEntries(Object.entries(scriptCounts).map(
+                ([script, count]) => [script, (count / letterTotal * 100).toFixed(1) + '%']
+            ))
         }
     };
 }
 
+// --- WARM WORKER POOL ---
+// Creating a worker loads the WASM core and traineddata - the slowest part of a text-model snip.
+// One worker is kept warm between requests, jobs run one at a time through a queue
+// (compare windows can fire several OCR requests at once), and it is torn down when idle.
+const WORKER_IDLE_TIMEOUT_MS = 2 * 60 * 1000;
+
+const workerPool = {
+    worker: null,              // Initialized Tesseract worker
+    languages: null,           // '+'-joined languages the worker was initialized with
+    idleTimer: null,
+    queue: Promise.resolve()   // Tail of the job queue
+};
+
+/**
+ * Run a job after every previously queued job has settled
+ * @param {Function} job - async () => result
+ * @returns {Promise<any>} The job's result
+ */
+function enqueueOCRJob(job) {
+    const run = workerPool.queue.then(job);
+    workerPool.queue = run.catch(() => { });
+    return run;
+}
+
+/**
+ * Get a worker initialized for the given languages, creating it lazily
+ * @param {string} languageKey - e.g. "eng" or "eng+hin"
+ * @returns {Promise<{worker: Object, initMs: number, warm: boolean}>}
+ */
+async function acquireWorker(languageKey) {
+    clearTimeout(workerPool.idleTimer);
+    workerPool.idleTimer = null;
+
+    if (workerPool.worker && workerPool.languages === languageKey) {
+        return { worker: workerPool.worker, initMs: 0, warm: true };
+    }
+
+    const start = performance.now();
+    if (workerPool.worker) {
+        // Language selection changed: swap traineddata without reloading the WASM core
+        workerPool.languages = null;
+        await workerPool.worker.reinitialize(languageKey);
+    } else {
+        workerPool.worker = await Tesseract.createWorker(languageKey, 1, {
+            workerPath: chrome.runtime.getURL('lib/worker.min.js'),
+            corePath: chrome.runtime.getURL('lib/tesseract-core.wasm.js'),
+            langPath: chrome.runtime.getURL('lib/'), // Bundled packs
+            cachePath: OCR_CACHE_PATH,
+            cacheMethod: 'readOnly', // Read imported packs, never write bundled ones back
+            gzip: true,
+            workerBlobURL: false, // Essential for security
+            errorHandler: e => console.error('[Offscreen] Worker Error:', e)
+        });
+    }
+    workerPool.languages = languageKey;
+
+    return { worker: workerPool.worker, initMs: Math.round(performance.now() - start), warm: false };
+}
+
+/**
+ * Terminate the pooled worker (idle timeout or after a failure)
+ */
+async function terminateWorker() {
+    clearTimeout(workerPool.idleTimer);
+    workerPool.idleTimer = null;
+
+    const worker = workerPool.worker;
+    workerPool.worker = null;
+    workerPool.languages = null;
+    if (worker) {
+        try {
+            await worker.terminate();
+        } catch (e) {
+            console.warn('[Offscreen] Worker terminate failed:', e);
+        }
+    }
+}
+
+/**
+ * Tear the worker down after a quiet period (through the queue so it never interrupts a job)
+ */
+function scheduleIdleTeardown() {
+    if (!workerPool.worker) return;
+    clearTimeout(workerPool.idleTimer);
+    workerPool.idleTimer = setTimeout(() => enqueueOCRJob(terminateWorker), WORKER_IDLE_TIMEOUT_MS);
+}
+
+/**
+ * Recognize an image on the pooled worker, retrying with alternate preprocessing
+ * (see OCR_VARIANTS) while confidence stays low. The most confident pass wins.
+ * @param {Uint8Array} bytes
+ * @param {string[]} languages
+ * @param {boolean} withBlocks - Also return block/line/word boxes (layout-preserving mode)
+ * @param {string[]} variants - Preprocessing variants to try (word boxes need 'original' coordinates)
+ * @returns {Promise<{text: string, confidence: number, blocks: Array|null, variant: string, attempts: Array, timings: Object}>}
+ */
+function recognizeQueued(bytes, languages, withBlocks = false, variants = OCR_VARIANTS) {
+    const queuedAt = performance.now();
+
+    return enqueueOCRJob(async () => {
+        const startedAt = performance.now();
+        try {
+            const { worker, initMs, warm } = await acquireWorker(languages.join('+'));
+
+            let best = null;
+            const attempts = [];
+            let preprocessMs = 0;
+            let recognizeMs = 0;
+
+            for (const variant of variants) {
+                if (best && best.confidence >= OCR_CONFIG.RETRY_BELOW_CONFIDENCE) break;
+
+                let image;
+                const preprocessStart = performance.now();
+                try {
+                    image = await preprocessImage(bytes, variant);
+                } catch (e) {
+                    // Undecodable for canvas - the remaining variants (at least 'original') still run
+                    console.warn(`[Offscreen] Preprocessing '${variant}' failed:`, e);
+                    attempts.push({ variant, error: e.message });
+                    continue;
+                } finally {
+                    preprocessMs += performance.now() - preprocessStart;
+                }
+
+                const recognizeStart = performance.now();
+                const { data: { text, confidence, blocks } } = await worker.recognize(
+                    image, {}, withBlocks ? { text: true, blocks: true } : undefined
+                );
+                recognizeMs += performance.now() - recognizeStart;
+
+                attempts.push({ variant, confidence: Math.round(confidence) });
+                if (!best || confidence > best.confidence) {
+                    best = { text, confidence, blocks: blocks || null, variant };
+                }
+            }
+
+            const finishedAt = performance.now();
+            return {
+                ...best,
+                attempts,
+                timings: {
+                    queueMs: Math.round(startedAt - queuedAt),
+                    initMs,
+                    preprocessMs: Math.round(preprocessMs),
+                    recognizeMs: Math.round(recognizeMs),
+                    totalMs: Math.round(finishedAt - queuedAt),
+                    warmWorker: warm
+                }
+            };
+        } catch (err) {
+            // A worker that failed mid-job may be wedged - start fresh next time
+            await terminateWorker();
+            throw err;
+        } finally {
+            scheduleIdleTeardown();
+        }
+    });
+}
+
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     if (msg.action === 'OCR_Request') {
-        runOCR(msg.base64Image).then(sendResponse);
+        runOCR(msg.base64Image, msg.language, msg.preserveLayout).then(sendResponse);
         return true; // Keep channel open
     }
+    if (msg.action === 'OCR_WORDS') {
+        runWordBoxes(msg.base64Image, msg.language).then(sendResponse);
+        return true;
+    }
+    if (msg.action === 'PDF_Rasterize') {
+        runPdfRaster(msg.data, msg.maxPages).then(sendResponse);
+        return true;
+    }
 });
 
-async function runOCR(base64Image) {
+/**
+ * Render the pages of a base64-encoded PDF
+ * @param {string} data - PDF file as base64
+ * @param {number} maxPages
+ * @returns {Promise<{success: boolean, pages?: string[], pageCount?: number, error?: string}>}
+ */
+async function runPdfRaster(data, maxPages) {
     try {
-        // Validate input
-        if (!base64Image || typeof base64Image !== 'string') {
-            throw new Error("Invalid image data provided");
+        if (!data || typeof data !== 'string') throw new Error("Invalid PDF data provided");
+        const bytes = Uint8Array.from(atob(data), c => c.charCodeAt(0));
+        // Loaded on first use: if pdf.js is missing or broken, only PDF drops fail - OCR keeps working
+        let rasterizePdf;
+        try {
+            ({ rasterizePdf } = await import('./pdf-raster.js'));
+        } catch (err) {
+            throw new Error('PDF support is not available (lib/pdf.min.mjs could not be loaded)');
         }
+        const { pages, pageCount } = await rasterizePdf(bytes, maxPages || 1);
+        return { success: true, pages, pageCount };
+    } catch (err) {
+        console.error("PDF Error:", err);
+        return { success: false, error: err.message };
+    }
+}
 
-        // 1. Prepare Image Data
-        const base64Data = base64Image.includes(',') ? base64Image.split(',')[1] : base64Image;
+/**
+ * Decode a base64 image (with or without data URL prefix) after basic validation
+ * @param {string} base64Image
+ * @returns {Uint8Array}
+ */
+function decodeImage(base64Image) {
+    if (!base64Image || typeof base64Image !== 'string') {
+        throw new Error("Invalid image data provided");
+    }
 
-        // Validate base64 format
-        if (!/^[A-Za-z0-9+/=]+$/.test(base64Data)) {
-            throw new Error("Invalid base64 encoding detected");
-        }
+    const base64Data = base64Image.includes(',') ? base64Image.split(',')[1] : base64Image;
 
-        // Check reasonable size (10MB limit)
-        if (base64Data.length > 10 * 1024 * 1024) {
-            throw new Error("Image too large for processing (max 10MB)");
-        }
+    // Validate base64 format
+    if (!/^[A-Za-z0-9+/=]+$/.test(base64Data)) {
+        throw new Error("Invalid base64 encoding detected");
+    }
 
-        const binaryString = atob(base64Data);
-        const len = binaryString.length;
-        const bytes = new Uint8Array(len);
-        for (let i = 0; i < len; i++) bytes[i] = binaryString.charCodeAt(i);
-
-        // 2. Setup Paths
-        const workerPath = chrome.runtime.getURL('lib/worker.min.js');
-        const corePath = chrome.runtime.getURL('lib/tesseract-core.wasm.js');
-        const langPath = chrome.runtime.getURL('lib/');
-
-        // 3. Initialize Tesseract
-        const worker = await Tesseract.createWorker('eng', 1, {
-            workerPath: workerPath,
-            corePath: corePath,
-            langPath: langPath,
-            cacheMethod: 'none',
-            gzip: true,
-            workerBlobURL: false, // Essential for security
-            errorHandler: e => console.error('[Offscreen] Worker Error:', e)
-        });
+    // Check reasonable size (10MB limit)
+    if (base64Data.length > 10 * 1024 * 1024) {
+        throw new Error("Image too large for processing (max 10MB)");
+    }
+
+    const binaryString = atob(base64Data);
+    const len = binaryString.length;
+    const bytes = new Uint8Array(len);
+    for (let i = 0; i < len; i++) bytes[i] = binaryString.charCodeAt(i);
+    return bytes;
+}
 
-        // 4. Recognize
-        const { data: { text, confidence } } = await worker.recognize(bytes);
-        await worker.terminate();
+/**
+ * Resolve the OCR languages for a request, failing if a pack isn't installed
+ * @param {string} language
+ * @returns {Promise<string[]>}
+ */
+async function getInstalledLanguages(language) {
+    const installed = [...BUNDLED_OCR_LANGUAGES, ...(await listLanguagePacks())];
+    const languages = resolveOCRLanguages(language, installed, navigator.language);
+    const missing = languages.filter(code => !installed.includes(code));
+    if (missing.length > 0) {
+        throw new Error(`OCR language pack not installed: ${missing.join(', ')}. Import it in Settings → OCR Languages.`);
+    }
+    return languages;
+}
 
-        // 5. Validate OCR quality
+/**
+ * Lines of words with pixel boxes in the snip's own coordinates (for redaction).
+ * Only the untouched image is recognized - preprocessing rescales and deskews.
+ * @param {string} base64Image
+ * @param {string} language
+ * @returns {Promise<{success: boolean, lines?: Array, error?: string}>}
+ */
+async function runWordBoxes(base64Image, language = DEFAULT_OCR_LANGUAGE) {
+    try {
+        const bytes = decodeImage(base64Image);
+        const languages = await getInstalledLanguages(language);
+        const { blocks } = await recognizeQueued(bytes, languages, true, ['original']);
+        return { success: true, lines: collectLines(blocks) };
+    } catch (err) {
+        console.error("[Offscreen] Word box OCR failed:", err);
+        return { success: false, error: err.message };
+    }
+}
+
+async function runOCR(base64Image, language = DEFAULT_OCR_LANGUAGE, preserveLayout = false) {
+    try {
+        // 1. Prepare Image Data
+        const bytes = decodeImage(base64Image);
+
+        // 2. Resolve languages (bundled packs load from lib/, imported ones from the IndexedDB cache)
+        const languages = await getInstalledLanguages(language);
+
+        // 3. Recognize on the warm worker (queued behind any in-flight snips)
+        const { text, confidence, blocks, variant, attempts, timings } = await recognizeQueued(bytes, languages, preserveLayout);
+
+        // 4. Validate OCR quality
         if (confidence < OCR_CONFIG.MIN_CONFIDENCE) {
-            console.warn(`[Offscreen] Low confidence OCR (${confidence}%) - likely noise`);
+            console.warn(`[Offscreen] Low confidence OCR (${confidence}%) after ${attempts.length} preprocessing variants - likely noise`);
             return {
                 success: false,
                 error: `OCR confidence too low (${confidence.toFixed(0)}%). Image may be too noisy or not contain text.`,
-                confidence: confidence
+                confidence: confidence,
+                variant: variant,
+                attempts: attempts,
+                timings: timings
             };
         }
 
-        const qualityCheck = analyzeOCRQuality(text);
+        const layoutText = preserveLayout ? buildLayoutText(blocks) : null;
+        const qualityCheck = analyzeOCRQuality(text, getScriptsForLanguages(languages), layoutText);
 
         if (!qualityCheck.isValid) {
             console.warn(`[Offscreen] OCR quality check failed: ${qualityCheck.reason}`, qualityCheck.detail);
@@ -155,7 +444,10 @@ async function runOCR(base64Image) {
                 success: false,
                 error: `OCR produced unusable text (${qualityCheck.reason}). Try snipping clearer content.`,
                 confidence: confidence,
-                reason: qualityCheck.reason
+                reason: qualityCheck.reason,
+                variant: variant,
+                attempts: attempts,
+                timings: timings
             };
         }
 
@@ -164,7 +456,11 @@ async function runOCR(base64Image) {
             confidence: confidence,
             success: true,
             wasTruncated: qualityCheck.wasTruncated,
-            stats: qualityCheck.stats
+            languages: languages,
+            stats: qualityCheck.stats,
+            variant: variant,     // Preprocessing that produced the winning pass
+            attempts: attempts,   // [{ variant, confidence }] for every pass tried
+            timings: timings
         };
 
     } catch (err) {
@@ -0,0 +1,47 @@
+// src/offscreen/pdf-raster.js
+// Renders PDF pages to JPEGs with pdf.js (lib/pdf*.min.mjs, pdfjs-dist 4.10.38), so dropped PDFs are read on-device like snips
+
+import * as pdfjsLib from '../../lib/pdf.min.mjs';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('lib/pdf.worker.min.mjs');
+
+// Same cap as snips (MAX_IMAGE_DIMENSION in content/utils.js)
+const MAX_PAGE_DIMENSION = 1536;
+
+/**
+ * Render the first pages of a PDF
+ * @param {Uint8Array} bytes - PDF file contents
+ * @param {number} maxPages - Pages to render at most
+ * @returns {Promise<{pages: string[], pageCount: number}>} JPEG base64 (no prefix) per page
+ */
+export async function rasterizePdf(bytes, maxPages) {
+    // No eval: the extension CSP forbids it, and a PDF shouldn't get to run code anyway
+    const pdf = await pdfjsLib.getDocument({ data: bytes, isEvalSupported: false }).promise;
+    try {
+        const pages = [];
+        const count = Math.min(pdf.numPages, maxPages);
+        for (let i = 1; i <= count; i++) {
+            pages.push(await renderPage(await pdf.getPage(i)));
+        }
+        return { pages, pageCount: pdf.numPages };
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+async function renderPage(page) {
+    const base = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: MAX_PAGE_DIMENSION / Math.max(base.width, base.height) });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(viewport.width);
+    canvas.height = Math.round(viewport.height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    try {
+        await page.render({ canvasContext: ctx, viewport }).promise;
+    } finally {
+        page.cleanup();
+    }
+    return canvas.toDataURL('image/jpeg', 0.85).split(',')[1];
+}
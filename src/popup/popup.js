@@ -14,6 +14,23 @@ import {
   toggleCustomModel,
   getMergedModelsWithCustom
 } from '../background/models-config.js';
+import {
+  BUNDLED_OCR_LANGUAGES,
+  DEFAULT_OCR_LANGUAGE,
+  TESSDATA_DOWNLOAD_URL,
+  getOCRLanguage,
+  listLanguagePacks,
+  deleteLanguagePack
+} from '../background/ocr-languages.js';
+import {
+  PROMPT_VARIABLES,
+  getTemplateFields,
+  hasTemplateVariables,
+  renderPromptTemplate,
+  getLanguageName
+} from '../background/prompt-template.js';
+import { getSchemaProblem } from '../background/json-output.js';
+import { DEFAULT_REDACTION_SETTINGS } from '../background/redaction.js';
 
 // --- DEFAULT DATA ---
 const DEFAULT_MODES = [
@@ -26,7 +43,12 @@ const API_KEY_CONFIG = {
   groq: { id: 'apiKey', placeholder: 'Groq Key (gsk_...)', type: 'password', storageKey: 'groqKey' },
   google: { id: 'geminiKey', placeholder: 'Google Key (AIza...)', type: 'password', storageKey: 'geminiKey' },
   openrouter: { id: 'openrouterKey', placeholder: 'OpenRouter Key (sk-or-...)', type: 'password', storageKey: 'openrouterKey' },
-  ollama: { id: 'ollamaHost', placeholder: 'Ollama URL (http://localhost:11434)', type: 'text', storageKey: 'ollamaHost' }
+  ollama: { id: 'ollamaHost', placeholder: 'Ollama URL (http://localhost:11434)', type: 'text', storageKey: 'ollamaHost' },
+  // OpenAI-compatible servers need a base URL plus an (often optional) key
+  compatible: [
+    { id: 'compatibleBaseUrl', placeholder: 'Base URL (http://localhost:1234/v1)', type: 'text', storageKey: 'compatibleBaseUrl', needsHostPermission: true },
+    { id: 'compatibleKey', placeholder: 'API Key (optional)', type: 'password', storageKey: 'compatibleKey' }
+  ]
 };
 
 // --- STATE ---
@@ -105,8 +127,9 @@ async function initializeDefaults() {
 async function loadSettings() {
   const result = await chrome.storage.local.get([
     'customModes', 'enabledProviders', 'enabledModels', 'selectedModel', 'selectedMode',
-    'groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost', 'customPrompt',
-    'providerHiddenSince', 'hideContextMenu'
+    'groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost', 'compatibleBaseUrl', 'compatibleKey', 'customPrompt',
+    'providerHiddenSince', 'hideContextMenu', 'historyEnabled', 'historyImages', 'historyCompaction', 'consensusMode', 'consensusModelCount',
+    'annotateSnips', 'snipAdjustable'
   ]);
 
   // Check and cleanup old keys
@@ -124,6 +147,9 @@ async function loadSettings() {
   // Load API key inputs based on enabled providers
   loadApiKeyInputs(result.enabledProviders || DEFAULT_PROVIDERS, result);
 
+  // Load fallback chain (depends on enabled providers/models)
+  loadFailoverChain();
+
   // Load modes
   loadModes(result.customModes || DEFAULT_MODES, result.selectedMode);
 
@@ -139,6 +165,32 @@ async function loadSettings() {
     hideContextMenuToggle.checked = result.hideContextMenu === true;
   }
 
+  // Conversation history (on unless turned off)
+  const historyEnabledToggle = document.getElementById('historyEnabled');
+  if (historyEnabledToggle) historyEnabledToggle.checked = result.historyEnabled !== false;
+  const historyImagesToggle = document.getElementById('historyImages');
+  if (historyImagesToggle) historyImagesToggle.checked = result.historyImages !== false;
+
+  // Long conversations: summarize old turns (on unless turned off)
+  const historyCompactionToggle = document.getElementById('historyCompaction');
+  if (historyCompactionToggle) {
+    historyCompactionToggle.checked = result.historyCompaction === true;
+  }
+
+  // Adjustable snip selection (on unless turned off)
+  const adjustableToggle = document.getElementById('snipAdjustable');
+  if (adjustableToggle) adjustableToggle.checked = result.snipAdjustable !== false;
+
+  // Snip annotation editor (off unless turned on)
+  const annotateToggle = document.getElementById('annotateSnips');
+  if (annotateToggle) annotateToggle.checked = result.annotateSnips === true;
+
+  // Consensus answers (off unless turned on)
+  const consensusToggle = document.getElementById('consensusMode');
+  if (consensusToggle) consensusToggle.checked = result.consensusMode === true;
+  const consensusCount = document.getElementById('consensusModelCount');
+  if (consensusCount && result.consensusModelCount) consensusCount.value = result.consensusModelCount;
+
   // Handle custom prompt visibility
   const modeSelect = document.getElementById('modeSelect');
   const customPromptContainer = document.getElementById('customPromptContainer');
@@ -157,6 +209,7 @@ function loadProviderToggles(enabledProviders) {
   document.getElementById('providerGoogle').checked = enabledProviders.google === true;
   document.getElementById('providerOpenRouter').checked = enabledProviders.openrouter === true;
   document.getElementById('providerOllama').checked = enabledProviders.ollama === true;
+  document.getElementById('providerCompatible').checked = enabledProviders.compatible === true;
 }
 
 // Lightweight refresh that only updates models dropdown without recreating inputs
@@ -340,8 +393,10 @@ function loadApiKeyInputs(enabledProviders, savedValues) {
   const container = document.getElementById('apiKeyInputs');
   container.innerHTML = '';
 
-  for (const [provider, config] of Object.entries(API_KEY_CONFIG)) {
-    if (enabledProviders[provider]) {
+  for (const [provider, providerConfig] of Object.entries(API_KEY_CONFIG)) {
+    if (!enabledProviders[provider]) continue;
+
+    for (const config of [].concat(providerConfig)) {
       const input = document.createElement('input');
       input.type = config.type;
       input.id = config.id;
@@ -374,6 +429,10 @@ function loadApiKeyInputs(enabledProviders, savedValues) {
       input.addEventListener('change', handleApiKeyUpdate);
 
       container.appendChild(input);
+
+      if (config.needsHostPermission) {
+        container.appendChild(createHostPermissionButton(input));
+      }
     }
   }
 
@@ -382,6 +441,60 @@ function loadApiKeyInputs(enabledProviders, savedValues) {
   }
 }
 
+// Origins of user-supplied servers are optional host permissions - they must be
+// requested from a click, so the URL input gets its own "Allow access" button
+function createHostPermissionButton(input) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'host-permission-btn hidden';
+  btn.textContent = 'Allow access';
+
+  const getOriginPattern = () => {
+    try {
+      const url = new URL(input.value.trim());
+      return ['http:', 'https:'].includes(url.protocol) ? `${url.origin}/*` : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const refresh = async () => {
+    const pattern = getOriginPattern();
+    const granted = pattern ? await chrome.permissions.contains({ origins: [pattern] }) : true;
+    btn.classList.toggle('hidden', granted);
+    if (pattern) btn.textContent = `Allow access to ${new URL(input.value.trim()).host}`;
+  };
+
+  btn.addEventListener('click', async () => {
+    const pattern = getOriginPattern();
+    if (!pattern) return;
+    try {
+      await chrome.permissions.request({ origins: [pattern] });
+    } catch (e) {
+      alert('Could not request access: ' + e.message);
+    }
+    await refresh();
+  });
+
+  input.addEventListener('input', refresh);
+  refresh();
+  return btn;
+}
+
+// Ask for an OpenAI-compatible model id (as the server names it) and save it
+async function promptCompatibleModel() {
+  const id = prompt("Enter the model ID exposed by your server (e.g., qwen2.5-7b-instruct):", "");
+  if (!id) return null;
+  if (!/^[a-zA-Z0-9][a-zA-Z0-9\-_:./@]*$/.test(id)) {
+    alert('Invalid model ID. Use only letters, numbers, hyphens, underscores, colons, slashes, @ and dots.');
+    return null;
+  }
+  const modelValue = 'compatible:' + id;
+  await saveCustomModel('compatible', modelValue, '📌 ' + id.split('/').pop());
+  await chrome.storage.local.set({ selectedModel: modelValue });
+  return modelValue;
+}
+
 function loadModes(modes, selectedMode) {
   const modeSelect = document.getElementById('modeSelect');
   modeSelect.innerHTML = '';
@@ -451,7 +564,7 @@ async function checkKeyCleanup(enabledProviders, hiddenSince) {
   for (const [provider, config] of Object.entries(API_KEY_CONFIG)) {
     if (!enabledProviders[provider] && hiddenSince[provider]) {
       if (now - hiddenSince[provider] > SEVEN_DAYS) {
-        keysToDelete.push(config.storageKey);
+        keysToDelete.push(...[].concat(config).map(c => c.storageKey));
         delete hiddenSince[provider];
       }
     }
@@ -513,7 +626,7 @@ function setupEventListeners() {
   });
 
   // Provider toggles
-  ['Groq', 'Google', 'OpenRouter', 'Ollama'].forEach(provider => {
+  ['Groq', 'Google', 'OpenRouter', 'Ollama', 'Compatible'].forEach(provider => {
     const checkbox = document.getElementById('provider' + provider);
     checkbox?.addEventListener('change', async () => {
       const result = await chrome.storage.local.get(['enabledProviders']);
@@ -581,6 +694,10 @@ function setupEventListeners() {
         await loadSettings();
         return;
       }
+    } else if (model === 'compatible:custom') {
+      await promptCompatibleModel();
+      // Reload to show saved model (or restore the previous one if cancelled)
+      await loadSettings();
     } else {
       await chrome.storage.local.set({ selectedModel: model });
     }
@@ -609,13 +726,28 @@ function setupEventListeners() {
     editingModeId = null;
     document.getElementById('modeNameInput').value = '';
     document.getElementById('modePromptInput').value = '';
+    setModeLayoutInput(null);
+    setModeJsonInput(null);
     updateCharCounters(); // Reset counters
+    updatePromptPreview();
     document.getElementById('modeEditor').classList.add('active');
   });
 
   // Character counter updates
   document.getElementById('modeNameInput').addEventListener('input', updateCharCounters);
   document.getElementById('modePromptInput').addEventListener('input', updateCharCounters);
+  document.getElementById('modePromptInput').addEventListener('input', updatePromptPreview);
+  setupTemplateVariables();
+
+  document.getElementById('modeJsonInput')?.addEventListener('change', (e) => {
+    const schemaInput = document.getElementById('modeSchemaInput');
+    if (e.target.checked && !schemaInput.value.trim()) {
+      schemaInput.value = JSON.stringify(EXAMPLE_JSON_SCHEMA, null, 2);
+    }
+    document.getElementById('modeSchemaContainer').classList.toggle('hidden', !e.target.checked);
+    updateSchemaStatus();
+  });
+  document.getElementById('modeSchemaInput')?.addEventListener('input', updateSchemaStatus);
 
   document.getElementById('cancelModeBtn').addEventListener('click', () => {
     document.getElementById('modeEditor').classList.remove('active');
@@ -626,6 +758,7 @@ function setupEventListeners() {
 
   // Snip button
   document.getElementById('snipBtn').addEventListener('click', startSnip);
+  setupFileDrop();
 
   // PDF settings link
   document.getElementById('openExtSettings')?.addEventListener('click', (e) => {
@@ -636,8 +769,8 @@ function setupEventListeners() {
   // Reset All Keys
   document.getElementById('resetAllKeys')?.addEventListener('click', async (e) => {
     e.preventDefault();
-    if (confirm('⚠️ Are you sure you want to reset all API keys? This will clear all stored keys (Groq, Google, OpenRouter, and Ollama host).')) {
-      await chrome.storage.local.remove(['groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost']);
+    if (confirm('⚠️ Are you sure you want to reset all API keys? This will clear all stored keys (Groq, Google, OpenRouter, Ollama host, and OpenAI-compatible server).')) {
+      await chrome.storage.local.remove(['groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost', 'compatibleBaseUrl', 'compatibleKey']);
       alert('✅ All API keys have been cleared.');
       await loadSettings(); // Reload to clear the input fields
     }
@@ -687,6 +820,17 @@ function setupEventListeners() {
     chrome.tabs.create({ url: chrome.runtime.getURL('src/setupguide/setupguide.html') });
   });
 
+  // Conversation History link
+  document.getElementById('openHistory')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/history/history.html') });
+  });
+
+  document.getElementById('openUsage')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/usage/usage.html') });
+  });
+
   // Provider dashboard links
   document.querySelectorAll('.provider-dashboard-link').forEach(link => {
     link.addEventListener('click', (e) => {
@@ -750,6 +894,15 @@ function setupEventListeners() {
     });
   }
 
+  // Fallback model chain
+  setupFailoverSettings();
+
+  // OCR language selector (traineddata import opens the OCR Languages page)
+  setupOcrLanguageSettings();
+
+  // PII / secret redaction policy
+  setupRedactionSettings();
+
   // Hide context menu toggle
   const hideContextMenuToggle = document.getElementById('hideContextMenu');
   if (hideContextMenuToggle) {
@@ -761,6 +914,34 @@ function setupEventListeners() {
     });
   }
 
+  document.getElementById('historyEnabled')?.addEventListener('change', async (e) => {
+    await chrome.storage.local.set({ historyEnabled: e.target.checked });
+  });
+
+  document.getElementById('historyImages')?.addEventListener('change', async (e) => {
+    await chrome.storage.local.set({ historyImages: e.target.checked });
+  });
+
+  document.getElementById('historyCompaction')?.addEventListener('change', async (e) => {
+    await chrome.storage.local.set({ historyCompaction: e.target.checked });
+  });
+
+  document.getElementById('snipAdjustable')?.addEventListener('change', async (e) => {
+    await chrome.storage.local.set({ snipAdjustable: e.target.checked });
+  });
+
+  document.getElementById('annotateSnips')?.addEventListener('change', async (e) => {
+    await chrome.storage.local.set({ annotateSnips: e.target.checked });
+  });
+
+  document.getElementById('consensusMode')?.addEventListener('change', async (e) => {
+    await chrome.storage.local.set({ consensusMode: e.target.checked });
+  });
+
+  document.getElementById('consensusModelCount')?.addEventListener('change', async (e) => {
+    await chrome.storage.local.set({ consensusModelCount: parseInt(e.target.value) });
+  });
+
   // Guest mode key links
   document.getElementById('getOwnKeyLink')?.addEventListener('click', (e) => {
     e.preventDefault();
@@ -772,6 +953,236 @@ function setupEventListeners() {
   });
 }
 
+// --- FALLBACK MODELS ---
+async function loadFailoverChain() {
+  const list = document.getElementById('failoverList');
+  const addSelect = document.getElementById('failoverAddSelect');
+  if (!list || !addSelect) return;
+
+  const result = await chrome.storage.local.get(['enabledProviders', 'enabledModels', 'failoverChain']);
+  const enabledProviders = result.enabledProviders || DEFAULT_PROVIDERS;
+  const enabledModels = result.enabledModels || getDefaultEnabledModels();
+  const chain = result.failoverChain || [];
+
+  const mergedModels = getMergedModelsWithCustom(ALL_MODELS, await getCustomSavedModels());
+  const allModels = Object.values(mergedModels).flat();
+  const getName = (value) => allModels.find(m => m.value === value)?.name || value;
+
+  const saveChain = async (newChain) => {
+    await chrome.storage.local.set({ failoverChain: newChain });
+    loadFailoverChain();
+  };
+
+  list.innerHTML = '';
+  if (chain.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'failover-empty';
+    empty.textContent = 'No fallbacks - errors are shown as-is.';
+    list.appendChild(empty);
+  }
+
+  chain.forEach((value, index) => {
+    const item = document.createElement('div');
+    item.className = 'failover-item';
+
+    const order = document.createElement('span');
+    order.className = 'failover-order';
+    order.textContent = `${index + 1}.`;
+
+    const name = document.createElement('span');
+    name.className = 'failover-name';
+    name.textContent = getName(value);
+    name.title = value;
+
+    const moveButton = (label, title, offset) => {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.title = title;
+      btn.disabled = !chain[index + offset];
+      btn.addEventListener('click', () => {
+        const newChain = [...chain];
+        [newChain[index], newChain[index + offset]] = [newChain[index + offset], newChain[index]];
+        saveChain(newChain);
+      });
+      return btn;
+    };
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'failover-remove';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove fallback';
+    removeBtn.addEventListener('click', () => saveChain(chain.filter(v => v !== value)));
+
+    item.append(order, name, moveButton('↑', 'Move up', -1), moveButton('↓', 'Move down', 1), removeBtn);
+    list.appendChild(item);
+  });
+
+  // Offer enabled models that aren't in the chain yet
+  addSelect.innerHTML = '<option value="">Choose a model...</option>';
+  for (const [provider, models] of Object.entries(mergedModels)) {
+    if (!enabledProviders[provider]) continue;
+    const available = models.filter(model =>
+      !model.value.endsWith(':custom') && enabledModels[model.value] !== false && !chain.includes(model.value));
+    if (available.length === 0) continue;
+
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = PROVIDER_LABELS[provider];
+    available.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.value;
+      option.textContent = model.name;
+      optgroup.appendChild(option);
+    });
+    addSelect.appendChild(optgroup);
+  }
+}
+
+function setupFailoverSettings() {
+  const addSelect = document.getElementById('failoverAddSelect');
+  if (!addSelect) return;
+
+  addSelect.addEventListener('change', async () => {
+    const value = addSelect.value;
+    if (!value) return;
+    const { failoverChain } = await chrome.storage.local.get(['failoverChain']);
+    await chrome.storage.local.set({ failoverChain: [...(failoverChain || []), value] });
+    loadFailoverChain();
+  });
+}
+
+// --- PRIVACY REDACTION ---
+// Stored as one `redaction` object; categories/providers missing from it use the defaults
+function readRedactionSettings(saved) {
+  return {
+    ...DEFAULT_REDACTION_SETTINGS,
+    ...saved,
+    categories: { ...DEFAULT_REDACTION_SETTINGS.categories, ...saved?.categories },
+    providers: { ...DEFAULT_REDACTION_SETTINGS.providers, ...saved?.providers }
+  };
+}
+
+async function setupRedactionSettings() {
+  const enabledToggle = document.getElementById('redactionEnabled');
+  if (!enabledToggle) return;
+
+  const imagesToggle = document.getElementById('redactImages');
+  const blockImagesToggle = document.getElementById('redactBlockImages');
+  const categoryInputs = document.querySelectorAll('[data-redact-category]');
+  const providerInputs = document.querySelectorAll('[data-redact-provider]');
+
+  const { redaction } = await chrome.storage.local.get(['redaction']);
+  const settings = readRedactionSettings(redaction);
+
+  const updateDisabled = () => {
+    [imagesToggle, ...categoryInputs, ...providerInputs].forEach(input => { input.disabled = !enabledToggle.checked; });
+    blockImagesToggle.disabled = !enabledToggle.checked || !imagesToggle.checked;
+  };
+
+  enabledToggle.checked = settings.enabled;
+  imagesToggle.checked = settings.images;
+  blockImagesToggle.checked = settings.blockUnredactedImages;
+  categoryInputs.forEach(input => { input.checked = settings.categories[input.dataset.redactCategory] === true; });
+  providerInputs.forEach(input => { input.checked = settings.providers[input.dataset.redactProvider] === true; });
+  updateDisabled();
+
+  const save = async () => {
+    updateDisabled();
+    await chrome.storage.local.set({
+      redaction: {
+        enabled: enabledToggle.checked,
+        images: imagesToggle.checked,
+        blockUnredactedImages: blockImagesToggle.checked,
+        categories: Object.fromEntries([...categoryInputs].map(input => [input.dataset.redactCategory, input.checked])),
+        providers: Object.fromEntries([...providerInputs].map(input => [input.dataset.redactProvider, input.checked]))
+      }
+    });
+  };
+
+  [enabledToggle, imagesToggle, blockImagesToggle, ...categoryInputs, ...providerInputs].forEach(input => input.addEventListener('change', save));
+}
+
+// --- OCR LANGUAGES ---
+function getOcrLanguageLabel(value) {
+  if (value === 'auto') return 'Auto-detect';
+  return value.split('+').map(code => getOCRLanguage(code)?.name || code).join(' + ');
+}
+
+async function loadOcrLanguages() {
+  const select = document.getElementById('ocrLanguage');
+  const packList = document.getElementById('ocrPackList');
+  if (!select || !packList) return;
+
+  let imported = [];
+  try {
+    imported = await listLanguagePacks();
+  } catch (e) {
+    console.error('Failed to list OCR language packs:', e);
+  }
+  const installed = [...BUNDLED_OCR_LANGUAGES, ...imported.filter(code => !BUNDLED_OCR_LANGUAGES.includes(code))];
+
+  // Single languages, then "English + X" combos for mixed-language snips
+  const values = ['auto', ...installed];
+  imported.filter(code => code !== 'eng').forEach(code => values.push(`eng+${code}`));
+
+  const { ocrLanguage } = await chrome.storage.local.get(['ocrLanguage']);
+  const current = ocrLanguage || DEFAULT_OCR_LANGUAGE;
+  if (!values.includes(current)) values.push(current);
+
+  select.innerHTML = '';
+  values.forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = getOcrLanguageLabel(value);
+    select.appendChild(option);
+  });
+  select.value = current;
+
+  packList.innerHTML = '';
+  installed.forEach(code => {
+    const item = document.createElement('span');
+    item.className = 'ocr-pack-item';
+    item.textContent = getOCRLanguage(code)?.name || code;
+
+    if (!BUNDLED_OCR_LANGUAGES.includes(code)) {
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '✕';
+      removeBtn.title = `Remove ${code}.traineddata`;
+      removeBtn.addEventListener('click', async () => {
+        await deleteLanguagePack(code);
+        // Fall back to auto if the selected languages needed this pack
+        const { ocrLanguage: selected } = await chrome.storage.local.get(['ocrLanguage']);
+        if (selected && selected.split('+').includes(code)) {
+          await chrome.storage.local.set({ ocrLanguage: DEFAULT_OCR_LANGUAGE });
+        }
+        loadOcrLanguages();
+      });
+      item.appendChild(removeBtn);
+    }
+    packList.appendChild(item);
+  });
+}
+
+function setupOcrLanguageSettings() {
+  const select = document.getElementById('ocrLanguage');
+  if (!select) return;
+
+  loadOcrLanguages();
+
+  select.addEventListener('change', () => {
+    chrome.storage.local.set({ ocrLanguage: select.value });
+  });
+
+  // The popup closes when a file chooser opens, so imports happen on their own page
+  document.getElementById('importOcrPackBtn')?.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/languages/languages.html') });
+  });
+
+  document.getElementById('tessdataLink')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: TESSDATA_DOWNLOAD_URL });
+  });
+}
+
 // --- MODE MANAGEMENT ---
 async function editMode(modeId) {
   const result = await chrome.storage.local.get(['customModes']);
@@ -782,11 +1193,128 @@ async function editMode(modeId) {
     editingModeId = modeId;
     document.getElementById('modeNameInput').value = mode.name;
     document.getElementById('modePromptInput').value = mode.prompt;
+    setModeLayoutInput(mode);
+    setModeJsonInput(mode);
     updateCharCounters(); // Update counters for existing values
+    updatePromptPreview();
     document.getElementById('modeEditor').classList.add('active');
   }
 }
 
+// OCR layout checkbox - the code mode always preserves layout (enforced in the background)
+function setModeLayoutInput(mode) {
+  const input = document.getElementById('modeLayoutInput');
+  if (!input) return;
+  const isCodeMode = mode?.id === 'code';
+  input.checked = isCodeMode || mode?.preserveLayout === true;
+  input.disabled = isCodeMode;
+}
+
+// --- STRUCTURED OUTPUT ---
+// Starting point offered when JSON output is first switched on
+const EXAMPLE_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    vendor: { type: 'string' },
+    date: { type: 'string' },
+    total: { type: 'number' },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { description: { type: 'string' }, quantity: { type: 'number' }, price: { type: 'number' } },
+        required: ['description']
+      }
+    }
+  },
+  required: ['total', 'items']
+};
+
+function setModeJsonInput(mode) {
+  const input = document.getElementById('modeJsonInput');
+  if (!input) return;
+  input.checked = !!mode?.jsonSchema;
+  document.getElementById('modeSchemaInput').value = mode?.jsonSchema ? JSON.stringify(mode.jsonSchema, null, 2) : '';
+  document.getElementById('modeSchemaContainer').classList.toggle('hidden', !input.checked);
+  updateSchemaStatus();
+}
+
+// Parse the schema textarea: { schema } or { error }
+function readSchemaInput() {
+  const text = document.getElementById('modeSchemaInput')?.value.trim() || '';
+  if (!text) return { error: 'Enter a JSON schema' };
+  let schema;
+  try {
+    schema = JSON.parse(text);
+  } catch (e) {
+    return { error: `Invalid JSON: ${e.message}` };
+  }
+  const problem = getSchemaProblem(schema);
+  return problem ? { error: problem } : { schema };
+}
+
+function updateSchemaStatus() {
+  const status = document.getElementById('schemaStatus');
+  if (!status || !document.getElementById('modeJsonInput')?.checked) return;
+  const { error } = readSchemaInput();
+  status.textContent = error ? `⚠️ ${error}` : '✓ Valid schema';
+  status.className = 'char-counter' + (error ? ' limit' : '');
+}
+
+// --- PROMPT TEMPLATES ---
+// Chips that insert {{variables}} at the cursor in the mode prompt
+function setupTemplateVariables() {
+  const container = document.getElementById('templateVars');
+  const promptInput = document.getElementById('modePromptInput');
+  if (!container || !promptInput) return;
+
+  const chips = [
+    ...PROMPT_VARIABLES.map(v => ({ text: `{{${v.key}}}`, title: v.description })),
+    { text: '{{field:Name}}', title: 'Ask for a value when snipping (add |default after the name for a default)' }
+  ];
+
+  chips.forEach(chip => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'template-var';
+    btn.textContent = chip.text;
+    btn.title = chip.title;
+    btn.addEventListener('click', () => {
+      promptInput.setRangeText(chip.text, promptInput.selectionStart, promptInput.selectionEnd, 'end');
+      promptInput.focus();
+      promptInput.dispatchEvent(new Event('input'));
+    });
+    container.appendChild(btn);
+  });
+}
+
+// Show the prompt as the model will see it, with sample page values
+function updatePromptPreview() {
+  const prompt = document.getElementById('modePromptInput')?.value || '';
+  const preview = document.getElementById('modePromptPreview');
+  const previewText = document.getElementById('modePromptPreviewText');
+  if (!preview || !previewText) return;
+
+  if (!hasTemplateVariables(prompt)) {
+    preview.classList.add('hidden');
+    return;
+  }
+
+  const fields = {};
+  getTemplateFields(prompt).forEach(field => {
+    fields[field.name] = field.defaultValue || `[${field.name}]`;
+  });
+
+  previewText.textContent = renderPromptTemplate(prompt, {
+    page: { title: 'Example Page Title', url: 'https://example.com/article' },
+    selection: '[selected text]',
+    date: new Date().toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+    language: getLanguageName(chrome.i18n.getUILanguage()),
+    fields
+  });
+  preview.classList.remove('hidden');
+}
+
 // Character counter helper
 function updateCharCounters() {
   const nameInput = document.getElementById('modeNameInput');
@@ -812,6 +1340,8 @@ function updateCharCounters() {
 async function saveMode() {
   const name = document.getElementById('modeNameInput').value.trim();
   const prompt = document.getElementById('modePromptInput').value.trim();
+  const preserveLayout = document.getElementById('modeLayoutInput').checked;
+  const wantsJson = document.getElementById('modeJsonInput')?.checked;
 
   // Validation
   if (!name || !prompt) {
@@ -829,14 +1359,24 @@ async function saveMode() {
     return;
   }
 
+  let jsonSchema = null;
+  if (wantsJson) {
+    const { schema, error } = readSchemaInput();
+    if (error) {
+      alert(`JSON schema: ${error}`);
+      return;
+    }
+    jsonSchema = schema;
+  }
+
   const result = await chrome.storage.local.get(['customModes']);
   let modes = result.customModes || DEFAULT_MODES;
 
   if (editingModeId) {
-    modes = modes.map(m => m.id === editingModeId ? { ...m, name, prompt } : m);
+    modes = modes.map(m => m.id === editingModeId ? { ...m, name, prompt, preserveLayout, jsonSchema } : m);
   } else {
     const id = 'custom_' + Date.now();
-    modes.push({ id, name, prompt, isDefault: false });
+    modes.push({ id, name, prompt, preserveLayout, jsonSchema, isDefault: false });
   }
 
   await chrome.storage.local.set({ customModes: modes });
@@ -858,7 +1398,7 @@ async function deleteMode(modeId) {
 
 // --- SNIP FUNCTIONALITY ---
 async function startSnip() {
-  const result = await chrome.storage.local.get(['enabledProviders', 'selectedModel', 'groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost']);
+  const result = await chrome.storage.local.get(['enabledProviders', 'selectedModel', 'groqKey', 'geminiKey', 'openrouterKey', 'ollamaHost', 'compatibleBaseUrl']);
   let model = result.selectedModel || 'meta-llama/llama-4-scout-17b-16e-instruct';
 
   // Handle custom model selection - prompt user for model name
@@ -895,6 +1435,9 @@ async function startSnip() {
       // User cancelled
       return;
     }
+  } else if (model === 'compatible:custom') {
+    model = await promptCompatibleModel();
+    if (!model) return;
   }
 
   // In guest mode, skip API key validation (background.js handles it)
@@ -908,6 +1451,23 @@ async function startSnip() {
         alert('Please set Ollama URL in API Keys');
         return;
       }
+    } else if (model.startsWith('compatible:')) {
+      if (!result.compatibleBaseUrl) {
+        alert('Please set the OpenAI-Compatible Base URL in API Keys');
+        return;
+      }
+      // Still inside the click gesture, so Chrome can show the permission prompt
+      try {
+        const origin = new URL(result.compatibleBaseUrl).origin;
+        const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+        if (!granted) {
+          alert(`Snip & Ask needs access to ${origin} to reach your server.`);
+          return;
+        }
+      } catch (e) {
+        alert('Invalid OpenAI-Compatible Base URL');
+        return;
+      }
     } else if (model.includes('gemini') || model.includes('gemma')) {
       if (!result.geminiKey) {
         alert('Please set Google API Key');
@@ -939,29 +1499,103 @@ async function startSnip() {
     return;
   }
 
-  try {
-    await chrome.tabs.sendMessage(tab.id, { action: "START_SNIP" });
+  // The background injects the content scripts (its CONTENT_SCRIPT_FILES) if the page doesn't have them yet
+  const response = await chrome.runtime.sendMessage({ action: "START_SNIP_IN_TAB", tabId: tab.id }).catch(() => null);
+  if (response?.success) {
+    window.close();
+  } else {
+    alert("⚠️ Could not start snip. Please refresh the page!");
+  }
+}
+
+// --- FILE DROP / PASTE ---
+// The popup closes as soon as it loses focus, so files are asked about in a chat tab instead
+const FILE_DROP_MAX_BYTES = 25 * 1024 * 1024;
+
+function isSupportedFile(file) {
+  return file.type.startsWith('image/') || file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+}
+
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+async function openFileChat(fileList, pasted = false) {
+  const files = [...(fileList || [])].filter(isSupportedFile);
+  if (files.length === 0) {
+    alert('Only images and PDFs are supported.');
+    return;
+  }
+  const tooLarge = files.find(f => f.size > FILE_DROP_MAX_BYTES);
+  if (tooLarge) {
+    alert(`${tooLarge.name} is too large (max ${FILE_DROP_MAX_BYTES / 1024 / 1024} MB).`);
+    return;
+  }
+
+  const payload = await Promise.all(files.map(async f => ({
+    name: f.name,
+    type: f.type,
+    data: await readFileAsBase64(f)
+  })));
+  const response = await chrome.runtime.sendMessage({ action: 'OPEN_FILE_CHAT', files: payload, pasted });
+  if (response?.success) {
     window.close();
-  } catch (err) {
-    // Content script not loaded, inject it first
+  } else {
+    alert(`⚠️ ${response?.error || 'Could not open the chat.'}`);
+  }
+}
+
+function setupFileDrop() {
+  const hasFiles = (e) => !!e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+
+  document.addEventListener('dragover', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.add('file-drop-active');
+  });
+  document.addEventListener('dragleave', (e) => {
+    if (!e.relatedTarget) document.body.classList.remove('file-drop-active');
+  });
+  document.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.remove('file-drop-active');
+    openFileChat(e.dataTransfer.files);
+  });
+
+  document.getElementById('clipboardImageBtn')?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    let image = null;
     try {
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: [
-          'src/content/utils.js',
-          'src/content/ui-helpers.js',
-          'src/content/window-manager.js',
-          'src/content/snip-selection.js',
-          'src/content/floating-chat-ui.js',
-          'src/content/content.js'
-        ]
-      });
-      await chrome.tabs.sendMessage(tab.id, { action: "START_SNIP" });
-      window.close();
-    } catch (injectErr) {
-      alert("⚠️ Could not start snip. Please refresh the page!");
+      for (const item of await navigator.clipboard.read()) {
+        const type = item.types.find(t => t.startsWith('image/'));
+        if (type) {
+          image = new File([await item.getType(type)], 'Clipboard image', { type });
+          break;
+        }
+      }
+    } catch (err) {
+      // Permission denied or nothing readable - handled below
     }
-  }
+    if (!image) {
+      alert("There's no image on the clipboard.");
+      return;
+    }
+    openFileChat([image], true);
+  });
+
+  // Only file pastes - text still pastes into the focused field
+  document.addEventListener('paste', (e) => {
+    const files = [...(e.clipboardData?.files || [])].filter(isSupportedFile);
+    if (files.length === 0) return;
+    e.preventDefault();
+    openFileChat(files, true);
+  });
 }
 
 // --- DYNAMIC PANEL RESIZE ---
@@ -0,0 +1,454 @@
+// usage.js - Usage & Cost dashboard page script
+// The request log lives in the service worker's IndexedDB; prices are a user-editable table in storage
+
+const rangeSelect = document.getElementById('rangeSelect');
+const providerFilter = document.getElementById('providerFilter');
+const statusEl = document.getElementById('status');
+const warningsEl = document.getElementById('warnings');
+const summaryEl = document.getElementById('summary');
+const dailyChart = document.getElementById('dailyChart');
+const weeklyChart = document.getElementById('weeklyChart');
+const modelTable = document.getElementById('modelTable');
+const priceTable = document.getElementById('priceTable');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAILY_BARS = 14;
+const WEEKLY_BARS = 12;
+const TPM_WARNING_RATIO = 0.8;   // Warn once the last minute used this share of a model's TPM limit
+const REFRESH_MS = 15000;        // Keep the TPM warnings live while the page is open
+
+const PROVIDER_NAMES = {
+    groq: 'Groq',
+    google: 'Google',
+    openrouter: 'OpenRouter',
+    ollama: 'Ollama',
+    compatible: 'OpenAI-Compatible'
+};
+
+// Rough list prices in USD per 1M tokens [input, output], matched by substring in order
+// (specific patterns before generic ones, like TYPE_LIMITS in ai-service.js)
+const DEFAULT_PRICES = [
+    ['scout', 0.11, 0.34],
+    ['maverick', 0.20, 0.60],
+    ['llama-3.3', 0.59, 0.79],
+    ['kimi-k2', 1.00, 3.00],
+    ['gpt-oss-120b', 0.15, 0.75],
+    ['gpt-oss-20b', 0.10, 0.50],
+    ['qwen3-32b', 0.29, 0.59],
+    ['compound', 0.15, 0.75],
+    ['gemini-2.5-flash-lite', 0.10, 0.40],
+    ['gemini-2.5-flash', 0.30, 2.50],
+    ['gemini-3-flash', 0.50, 3.00],
+    ['gemini', 0.30, 2.50],
+    [':free', 0, 0],
+    ['gemma', 0, 0]
+];
+
+let records = [];
+let limits = {};
+let prices = {};
+
+/**
+ * Promise wrapper around chrome.runtime.sendMessage
+ * @param {Object} message
+ * @returns {Promise<Object>}
+ */
+function send(message) {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+                resolve({ success: false, error: chrome.runtime.lastError.message });
+                return;
+            }
+            resolve(response || { success: false, error: 'No response' });
+        });
+    });
+}
+
+function setStatus(text, isError = false) {
+    statusEl.textContent = text;
+    statusEl.classList.toggle('error', isError);
+}
+
+/**
+ * Strip provider prefixes for display (e.g. "ollama:llava" -> "llava")
+ */
+function shortModelName(model) {
+    return model.includes(':') ? model.slice(model.indexOf(':') + 1) : model;
+}
+
+function formatTokens(count) {
+    if (count >= 1e6) return (count / 1e6).toFixed(1) + 'M';
+    if (count >= 1e4) return Math.round(count / 1e3) + 'k';
+    return count.toLocaleString();
+}
+
+function formatCost(amount) {
+    if (amount === 0) return '$0';
+    return amount < 0.01 ? '<$0.01' : '$' + amount.toFixed(2);
+}
+
+// --- PRICES ---
+
+/**
+ * Price for a model: the user's edit if there is one, otherwise the default table
+ * @param {string} model
+ * @returns {{input: number, output: number}}
+ */
+function getPrice(model) {
+    if (prices[model]) return prices[model];
+    const lower = model.toLowerCase();
+    const match = DEFAULT_PRICES.find(([pattern]) => lower.includes(pattern));
+    return match ? { input: match[1], output: match[2] } : { input: 0, output: 0 };
+}
+
+/**
+ * Models that cost nothing whatever the table says
+ */
+function isFree(record) {
+    return record.guest || record.provider === 'ollama';
+}
+
+function getRecordCost(record) {
+    if (isFree(record)) return 0;
+    const price = getPrice(record.model);
+    return (record.promptTokens * price.input + record.completionTokens * price.output) / 1e6;
+}
+
+// --- AGGREGATION ---
+
+function startOfDay(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+// Weeks start on Monday
+function startOfWeek(timestamp) {
+    const date = new Date(startOfDay(timestamp));
+    date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    return date.getTime();
+}
+
+/**
+ * Sum a list of records
+ * @param {Array} list
+ * @returns {Object}
+ */
+function totals(list) {
+    const sum = { requests: 0, errors: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, latencyMs: 0, cost: 0 };
+    list.forEach(r => {
+        sum.requests++;
+        if (!r.success) sum.errors++;
+        sum.promptTokens += r.promptTokens;
+        sum.completionTokens += r.completionTokens;
+        sum.totalTokens += r.totalTokens;
+        sum.latencyMs += r.latencyMs;
+        sum.cost += getRecordCost(r);
+    });
+    return sum;
+}
+
+/**
+ * Bucket records into consecutive periods ending with the current one
+ * @param {Array} list
+ * @param {number} count - Number of buckets
+ * @param {Function} startOf - Period start for a timestamp
+ * @param {Function} previous - Start of the period before a given start
+ * @param {Function} label - Axis label for a period start
+ * @returns {Array<{label: string, start: number, records: Array}>}
+ */
+function bucketize(list, count, startOf, previous, label) {
+    const buckets = [];
+    let start = startOf(Date.now());
+    for (let i = 0; i < count; i++) {
+        buckets.unshift({ start, label: label(start), records: [] });
+        start = previous(start);
+    }
+    list.forEach(r => {
+        const bucket = buckets.find(b => b.start === startOf(r.timestamp));
+        if (bucket) bucket.records.push(r);
+    });
+    return buckets;
+}
+
+function getFilteredRecords(since) {
+    return records.filter(r => r.timestamp >= since && (!providerFilter.value || r.provider === providerFilter.value));
+}
+
+// --- RENDERING ---
+
+function renderSummary(list) {
+    const sum = totals(list);
+    const stats = [
+        ['Requests', sum.requests.toLocaleString()],
+        ['Tokens', formatTokens(sum.totalTokens)],
+        ['Estimated cost', formatCost(sum.cost)],
+        ['Errors', sum.requests ? `${sum.errors} (${Math.round(sum.errors / sum.requests * 100)}%)` : '0'],
+        ['Avg latency', sum.requests ? `${(sum.latencyMs / sum.requests / 1000).toFixed(1)}s` : '-']
+    ];
+
+    summaryEl.textContent = '';
+    stats.forEach(([label, value]) => {
+        const stat = document.createElement('div');
+        stat.className = 'stat';
+        const labelEl = document.createElement('div');
+        labelEl.className = 'stat-label';
+        labelEl.textContent = label;
+        const valueEl = document.createElement('div');
+        valueEl.className = 'stat-value';
+        valueEl.textContent = value;
+        stat.append(labelEl, valueEl);
+        summaryEl.appendChild(stat);
+    });
+}
+
+/**
+ * Warn for hosted models whose last minute of traffic is close to their free-tier TPM limit
+ */
+function renderWarnings() {
+    warningsEl.textContent = '';
+    const since = Date.now() - 60 * 1000;
+
+    Object.entries(limits).forEach(([model, limit]) => {
+        const used = records
+            .filter(r => r.model === model && !r.guest && r.timestamp >= since)
+            .reduce((sum, r) => sum + r.totalTokens, 0);
+        if (used < limit * TPM_WARNING_RATIO) return;
+
+        const warning = document.createElement('div');
+        warning.className = 'warning';
+        warning.textContent = `⚠️ ${shortModelName(model)} used ${used.toLocaleString()} of ~${limit.toLocaleString()} tokens in the last minute ` +
+            `(${Math.round(used / limit * 100)}%). Requests may be rate limited - slow down or add a fallback model in the popup.`;
+        warningsEl.appendChild(warning);
+    });
+}
+
+/**
+ * Token bars with failed requests stacked on top in red
+ * @param {HTMLElement} container
+ * @param {Array} buckets - From bucketize()
+ */
+function renderChart(container, buckets) {
+    container.textContent = '';
+    const sums = buckets.map(b => totals(b.records));
+    const max = Math.max(...sums.map(s => s.totalTokens), 1);
+
+    const chart = document.createElement('div');
+    chart.className = 'chart';
+    const labels = document.createElement('div');
+    labels.className = 'chart-labels';
+
+    buckets.forEach((bucket, i) => {
+        const sum = sums[i];
+        const col = document.createElement('div');
+        col.className = 'bar-col';
+        col.title = `${bucket.label}: ${sum.totalTokens.toLocaleString()} tokens, ${sum.requests} requests` +
+            `${sum.errors ? ` (${sum.errors} failed)` : ''}, ${formatCost(sum.cost)}`;
+
+        if (sum.errors) {
+            const errorBar = document.createElement('div');
+            errorBar.className = 'bar errors';
+            errorBar.style.height = `${Math.min(8, sum.errors * 2)}px`;
+            col.appendChild(errorBar);
+        }
+        if (sum.totalTokens) {
+            const bar = document.createElement('div');
+            bar.className = 'bar';
+            bar.style.height = `${(sum.totalTokens / max) * 100}%`;
+            col.appendChild(bar);
+        }
+        chart.appendChild(col);
+
+        const label = document.createElement('span');
+        label.textContent = bucket.label;
+        labels.appendChild(label);
+    });
+
+    container.append(chart, labels);
+}
+
+/**
+ * Simple table builder (textContent only - model names come from user settings)
+ * @param {string[]} headers
+ * @param {Array<Array<string|Node>>} rows
+ * @returns {HTMLTableElement}
+ */
+function buildTable(headers, rows) {
+    const table = document.createElement('table');
+    const head = table.createTHead().insertRow();
+    headers.forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    });
+    const body = table.createTBody();
+    rows.forEach(cells => {
+        const row = body.insertRow();
+        cells.forEach(cell => {
+            const td = row.insertCell();
+            if (cell instanceof Node) td.appendChild(cell);
+            else td.textContent = cell;
+        });
+    });
+    return table;
+}
+
+function renderModelTable(list) {
+    modelTable.textContent = '';
+    if (list.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty';
+        empty.textContent = 'No requests in this period.';
+        modelTable.appendChild(empty);
+        return;
+    }
+
+    const byModel = new Map();
+    list.forEach(r => {
+        const key = `${r.model}|${r.guest ? 'guest' : r.provider}`;
+        if (!byModel.has(key)) byModel.set(key, []);
+        byModel.get(key).push(r);
+    });
+
+    const rows = [...byModel.values()]
+        .map(group => ({ record: group[0], sum: totals(group) }))
+        .sort((a, b) => b.sum.totalTokens - a.sum.totalTokens)
+        .map(({ record, sum }) => [
+            shortModelName(record.model),
+            record.guest ? 'Guest Mode' : (PROVIDER_NAMES[record.provider] || record.provider),
+            sum.requests.toLocaleString(),
+            sum.errors.toLocaleString(),
+            formatTokens(sum.promptTokens),
+            formatTokens(sum.completionTokens),
+            `${(sum.latencyMs / sum.requests / 1000).toFixed(1)}s`,
+            formatCost(sum.cost)
+        ]);
+
+    modelTable.appendChild(buildTable(
+        ['Model', 'Provider', 'Requests', 'Errors', 'Input', 'Output', 'Avg latency', 'Est. cost'], rows));
+}
+
+/**
+ * Editable prices for every paid model in the log
+ */
+function renderPriceTable() {
+    priceTable.textContent = '';
+    const models = [...new Set(records.filter(r => !isFree(r)).map(r => r.model))].sort();
+
+    if (models.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty';
+        empty.textContent = 'Prices appear here once you have used a hosted model with your own key.';
+        priceTable.appendChild(empty);
+        return;
+    }
+
+    const priceInput = (model, field) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = '0.01';
+        input.value = getPrice(model)[field];
+        input.dataset.model = model;
+        input.dataset.field = field;
+        return input;
+    };
+
+    priceTable.appendChild(buildTable(
+        ['Model', 'Input $ / 1M', 'Output $ / 1M'],
+        models.map(model => [shortModelName(model), priceInput(model, 'input'), priceInput(model, 'output')])
+    ));
+}
+
+function fillProviderFilter() {
+    const current = providerFilter.value;
+    const providers = [...new Set(records.map(r => r.provider))].sort();
+    while (providerFilter.options.length > 1) providerFilter.remove(1);
+    providers.forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider;
+        option.textContent = PROVIDER_NAMES[provider] || provider;
+        providerFilter.appendChild(option);
+    });
+    providerFilter.value = providers.includes(current) ? current : '';
+}
+
+function render() {
+    const days = parseInt(rangeSelect.value, 10);
+    const rangeRecords = getFilteredRecords(startOfDay(Date.now()) - (days - 1) * DAY_MS);
+
+    setStatus(records.length === 0 ? 'No requests recorded yet. Snip something to get started!' : '');
+    renderWarnings();
+    renderSummary(rangeRecords);
+
+    const all = getFilteredRecords(0);
+    renderChart(dailyChart, bucketize(all, DAILY_BARS, startOfDay,
+        start => startOfDay(start - DAY_MS / 2),
+        start => new Date(start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })));
+    renderChart(weeklyChart, bucketize(all, WEEKLY_BARS, startOfWeek,
+        start => startOfWeek(start - DAY_MS / 2),
+        start => new Date(start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })));
+
+    renderModelTable(rangeRecords);
+}
+
+async function loadUsage() {
+    const response = await send({ action: 'GET_USAGE', since: startOfDay(Date.now()) - 90 * DAY_MS });
+    if (!response.success) {
+        setStatus('Failed to load usage: ' + response.error, true);
+        return;
+    }
+
+    records = response.records;
+    limits = response.limits;
+    fillProviderFilter();
+    render();
+}
+
+async function init() {
+    const stored = await chrome.storage.local.get('usagePrices');
+    prices = stored.usagePrices || {};
+    await loadUsage();
+    renderPriceTable();
+    setInterval(loadUsage, REFRESH_MS);
+}
+
+[rangeSelect, providerFilter].forEach(select => select.addEventListener('change', render));
+
+document.getElementById('savePrices').addEventListener('click', async () => {
+    const updated = { ...prices };
+    priceTable.querySelectorAll('input').forEach(input => {
+        const value = parseFloat(input.value);
+        updated[input.dataset.model] = {
+            ...getPrice(input.dataset.model),
+            ...updated[input.dataset.model],
+            [input.dataset.field]: Number.isFinite(value) && value >= 0 ? value : 0
+        };
+    });
+    prices = updated;
+    await chrome.storage.local.set({ usagePrices: prices });
+    render();
+    setStatus('Prices saved.');
+});
+
+document.getElementById('resetPrices').addEventListener('click', async () => {
+    prices = {};
+    await chrome.storage.local.remove('usagePrices');
+    renderPriceTable();
+    render();
+    setStatus('Prices reset to defaults.');
+});
+
+document.getElementById('clearAll').addEventListener('click', async () => {
+    if (!confirm('Delete the whole usage log? This cannot be undone.')) return;
+    const response = await send({ action: 'CLEAR_USAGE' });
+    if (response.success) {
+        await loadUsage();
+        renderPriceTable();
+    } else {
+        setStatus('Clear failed: ' + response.error, true);
+    }
+});
+
+init();